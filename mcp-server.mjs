@@ -3,23 +3,41 @@
  * sogni-gen MCP Server
  *
  * Exposes Sogni AI image/video generation as MCP tools for Claude Code
- * and Claude Desktop.  Wraps the sogni-gen CLI using its --json mode.
+ * and Claude Desktop.  Runs sogni-gen in-process on one long-lived client,
+ * falling back to spawning the CLI in --json mode.
  *
  * Install (Claude Code):
  *   claude mcp add sogni -- npx -y -p sogni-gen sogni-gen-mcp
  *
  * Install (Claude Desktop – add to claude_desktop_config.json):
  *   { "mcpServers": { "sogni": { "command": "npx", "args": ["-y", "-p", "sogni-gen", "sogni-gen-mcp"] } } }
+ *
+ * Shared server over streamable HTTP (clients connect to http://host:port/mcp):
+ *   SOGNI_GEN_MCP_TOKEN=secret sogni-gen-mcp --http --port 3000 --host 0.0.0.0
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import {
+  CallToolRequestSchema,
+  isInitializeRequest,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
 import { spawn } from 'child_process';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { createServer as createHttpServer } from 'http';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync, readFileSync } from 'fs';
-import { homedir } from 'os';
+import { basename, delimiter, dirname, extname, isAbsolute, join, relative, resolve } from 'path';
+import {
+  appendFileSync, existsSync, mkdirSync, mkdtempSync, readdirSync, readFileSync, realpathSync, rmSync, statSync, unlinkSync,
+  writeFileSync,
+} from 'fs';
+import { homedir, tmpdir } from 'os';
+import { MULTI_ANGLE_AZIMUTHS, MULTI_ANGLE_ELEVATIONS, MULTI_ANGLE_DISTANCES } from './multi-angle-presets.mjs';
 
 // ---------------------------------------------------------------------------
 // Paths
@@ -29,6 +47,8 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const SOGNI_GEN = join(__dirname, 'sogni-gen.mjs');
 const CREDENTIALS_PATH = join(homedir(), '.config', 'sogni', 'credentials');
+// Written by sogni-gen after every render.
+const LAST_RENDER_PATH = join(homedir(), '.config', 'sogni', 'last-render.json');
 const SERVER_VERSION = (() => {
   try {
     const pkg = JSON.parse(readFileSync(join(__dirname, 'package.json'), 'utf8'));
@@ -38,6 +58,141 @@ const SERVER_VERSION = (() => {
   }
 })();
 
+// ---------------------------------------------------------------------------
+// Output — formatSuccess() keeps a copy of every result it had to download.
+//
+//   SOGNI_GEN_MCP_OUTPUT_DIR     folder for the copies (default ~/Downloads/sogni)
+//   SOGNI_GEN_MCP_FILENAME       name template, extension added automatically
+//   SOGNI_GEN_MCP_MAX_FILES      keep only the newest N copies
+//   SOGNI_GEN_MCP_MAX_AGE_DAYS   delete copies older than this
+//
+// Images (and video poster frames) go inline as JPEG thumbnails:
+//
+//   SOGNI_GEN_MCP_THUMBNAIL_SIZE     longest edge in pixels (default 512)
+//   SOGNI_GEN_MCP_THUMBNAIL_QUALITY  JPEG quality 1-100 (default 80)
+// ---------------------------------------------------------------------------
+
+// `[...]` marks an optional part, dropped when a placeholder in it is empty.
+const DEFAULT_FILENAME_TEMPLATE = 'sogni-{timestamp}[-r{id}]-{index}';
+// How each placeholder appears in a file name, for recognising our copies.
+const FILENAME_FIELD_PATTERNS = {
+  timestamp: '\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}',
+  date: '\\d{4}-\\d{2}-\\d{2}',
+  id: '\\d*',
+  index: '\\d+',
+  seed: '\\d*',
+  type: '[A-Za-z0-9_.-]*?',
+  model: '[A-Za-z0-9_.-]*?',
+  prompt: '[A-Za-z0-9_.-]*?',
+};
+
+/**
+ * Split a filename template into literal, placeholder and optional-section
+ * tokens, and build the regex that matches names it produces (the history id
+ * is captured as `id`). Throws on unknown placeholders or unusable templates.
+ */
+function parseFilenameTemplate(template) {
+  if (/[\\/\0]/.test(template)) {
+    throw new Error('SOGNI_GEN_MCP_FILENAME must be a file name, not a path.');
+  }
+  if (!template.includes('{index}')) {
+    throw new Error('SOGNI_GEN_MCP_FILENAME must contain {index} so results of one render get distinct names.');
+  }
+  const tokens = [];
+  let section = null;
+  const push = (token) => (section ? section.tokens : tokens).push(token);
+  for (const part of template.split(/(\{[^{}]*\}|\[|\])/).filter(Boolean)) {
+    if (part === '[') {
+      if (section) throw new Error('SOGNI_GEN_MCP_FILENAME cannot nest [optional] sections.');
+      section = { tokens: [] };
+    } else if (part === ']') {
+      if (!section) throw new Error('SOGNI_GEN_MCP_FILENAME has an unmatched "]".');
+      tokens.push(section);
+      section = null;
+    } else if (part.startsWith('{')) {
+      const field = part.slice(1, -1);
+      if (!Object.hasOwn(FILENAME_FIELD_PATTERNS, field)) {
+        throw new Error(`SOGNI_GEN_MCP_FILENAME has unknown placeholder ${part}; use ${Object.keys(FILENAME_FIELD_PATTERNS).map((f) => `{${f}}`).join(', ')}.`);
+      }
+      push({ field });
+    } else {
+      push({ text: part });
+    }
+  }
+  if (section) throw new Error('SOGNI_GEN_MCP_FILENAME has an unmatched "[".');
+
+  let capturedId = false;
+  const toPattern = (token) => {
+    if (token.tokens) return `(?:${token.tokens.map(toPattern).join('')})?`;
+    if (token.text !== undefined) return token.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (token.field === 'id' && !capturedId) {
+      capturedId = true;
+      return `(?<id>${FILENAME_FIELD_PATTERNS.id})`;
+    }
+    return FILENAME_FIELD_PATTERNS[token.field];
+  };
+  // A trailing -<n> is added when the name is already taken.
+  const regex = new RegExp(`^${tokens.map(toPattern).join('')}(?:-\\d+)?\\.[a-z0-9]+$`, 'i');
+  return { template, tokens, regex };
+}
+
+/** Fill a parsed template; values are reduced to file-name-safe characters. */
+function renderFilename({ tokens }, values) {
+  const valueOf = (field) => String(values[field] ?? '')
+    .replace(/[^A-Za-z0-9_.-]+/g, '-')
+    .replace(/^[-.]+|-+$/g, '')
+    .slice(0, 60);
+  const render = (token) => {
+    if (token.text !== undefined) return token.text;
+    if (token.field) return valueOf(token.field);
+    return token.tokens.every((t) => !t.field || valueOf(t.field)) ? token.tokens.map(render).join('') : '';
+  };
+  return tokens.map(render).join('');
+}
+
+function parseLimit(value, name, { integer, max = Infinity }) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || number > max || (integer && !Number.isInteger(number))) {
+    const range = max === Infinity ? '' : ` up to ${max}`;
+    throw new Error(`${name} must be a positive ${integer ? 'integer' : 'number'}${range}, got "${value}".`);
+  }
+  return number;
+}
+
+const DEFAULT_THUMBNAIL_SIZE = 512;
+const DEFAULT_THUMBNAIL_QUALITY = 80;
+
+function expandHome(path) {
+  return path.replace(/^~(?=$|[\\/])/, homedir());
+}
+
+function loadOutputConfig(env) {
+  const dir = env.SOGNI_GEN_MCP_OUTPUT_DIR ? expandHome(env.SOGNI_GEN_MCP_OUTPUT_DIR) : join(homedir(), 'Downloads', 'sogni');
+  const maxAgeDays = parseLimit(env.SOGNI_GEN_MCP_MAX_AGE_DAYS, 'SOGNI_GEN_MCP_MAX_AGE_DAYS', { integer: false });
+  return {
+    dir: resolve(dir),
+    // Extra folders tools may read and write over --http, besides `dir`.
+    roots: (env.SOGNI_GEN_MCP_ROOTS || '').split(delimiter).filter(Boolean).map((root) => resolve(expandHome(root))),
+    filename: parseFilenameTemplate(env.SOGNI_GEN_MCP_FILENAME || DEFAULT_FILENAME_TEMPLATE),
+    maxFiles: parseLimit(env.SOGNI_GEN_MCP_MAX_FILES, 'SOGNI_GEN_MCP_MAX_FILES', { integer: true }),
+    maxAgeMs: maxAgeDays === null ? null : maxAgeDays * 24 * 60 * 60_000,
+    thumbnailSize: parseLimit(env.SOGNI_GEN_MCP_THUMBNAIL_SIZE, 'SOGNI_GEN_MCP_THUMBNAIL_SIZE', { integer: true })
+      ?? DEFAULT_THUMBNAIL_SIZE,
+    thumbnailQuality: parseLimit(env.SOGNI_GEN_MCP_THUMBNAIL_QUALITY, 'SOGNI_GEN_MCP_THUMBNAIL_QUALITY', { integer: true, max: 100 })
+      ?? DEFAULT_THUMBNAIL_QUALITY,
+  };
+}
+
+const OUTPUT = (() => {
+  try {
+    return loadOutputConfig(process.env);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+})();
+
 // ---------------------------------------------------------------------------
 // Input sanitization — validate MCP tool inputs before passing to CLI
 // ---------------------------------------------------------------------------
@@ -59,6 +214,40 @@ function sanitizeString(value, label) {
   return value;
 }
 
+// Folders tool paths must stay inside; null (stdio) allows any path. A client
+// on another machine must not read or overwrite the server's files.
+let pathRoots = null;
+
+/** `path` with symlinks resolved as far as it exists. */
+function realPathOf(path) {
+  const missing = [];
+  let current = resolve(path);
+  while (!existsSync(current) && dirname(current) !== current) {
+    missing.unshift(basename(current));
+    current = dirname(current);
+  }
+  return join(realpathSync(current), ...missing);
+}
+
+function isInsideRoot(path, root) {
+  const rel = relative(root, path);
+  return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+/**
+ * Validate a local input or output path (URLs pass through). Over --http
+ * it must lie inside the output folder or a SOGNI_GEN_MCP_ROOTS folder.
+ */
+function confinePath(value, label) {
+  sanitizeString(value, label);
+  if (!pathRoots || /^https?:\/\//.test(value)) return value;
+  const path = realPathOf(value);
+  if (!pathRoots.some((root) => isInsideRoot(path, root))) {
+    throw new Error(`${label} must be inside ${pathRoots.join(' or ')} (add folders with SOGNI_GEN_MCP_ROOTS).`);
+  }
+  return value;
+}
+
 /**
  * Validate a string is one of the allowed values (case-sensitive).
  */
@@ -78,11 +267,13 @@ function validateEnum(value, allowed, label) {
  * Spawn `node sogni-gen.mjs --json ...args`, collect stdout, parse JSON.
  * Returns the parsed object on success or throws on failure.
  */
-function runSogniGen(args, { timeoutMs = 30_000 } = {}) {
+function spawnSogniGen(args, { timeoutMs = 30_000, signal = null } = {}) {
   return new Promise((resolve, reject) => {
-    const child = spawn(process.execPath, [SOGNI_GEN, '--json', '--quiet', ...args], {
+    // A {a|b} in a prompt is literal text here, never a multi-render matrix.
+    const child = spawn(process.execPath, [SOGNI_GEN, '--json', '--quiet', '--no-matrix', ...args], {
       stdio: ['ignore', 'pipe', 'pipe'],
       timeout: timeoutMs,
+      ...(signal ? { signal } : {}),
     });
 
     const stdoutChunks = [];
@@ -114,6 +305,356 @@ function runSogniGen(args, { timeoutMs = 30_000 } = {}) {
   });
 }
 
+// ---------------------------------------------------------------------------
+// Inline media — tools taking an image/audio/video path also accept
+// { data, mimeType } with base64 data, for clients on another machine or
+// images pasted into chat.
+// ---------------------------------------------------------------------------
+
+const MAX_INLINE_MEDIA_BYTES = 50 * 1024 * 1024;
+const INLINE_MEDIA_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/ogg': 'ogg',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov',
+};
+
+/**
+ * Managed temp area for one tool call. `resolve()` turns a path/URL string
+ * or an inline media object into a path the CLI can read; `cleanup()`
+ * deletes every file written once the render no longer needs them.
+ */
+function createInputArea() {
+  let dir = null;
+  let count = 0;
+  return {
+    resolve(value, label, kind) {
+      if (typeof value === 'string') return confinePath(value, label);
+      if (!value || typeof value !== 'object' || typeof value.data !== 'string' || typeof value.mimeType !== 'string') {
+        throw new Error(`${label} must be a file path, a URL or { data, mimeType } with base64 data.`);
+      }
+      const mimeType = value.mimeType.toLowerCase().split(';')[0].trim();
+      const ext = INLINE_MEDIA_EXTENSIONS[mimeType];
+      if (!ext || !mimeType.startsWith(`${kind}/`)) {
+        const allowed = Object.keys(INLINE_MEDIA_EXTENSIONS).filter((type) => type.startsWith(`${kind}/`));
+        throw new Error(`${label} mimeType must be one of: ${allowed.join(', ')}`);
+      }
+      // Tolerate data: URLs and line-wrapped base64.
+      const base64 = value.data.replace(/^data:[^,]*;base64,/, '').replace(/\s+/g, '');
+      if (!base64 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+        throw new Error(`${label} data is not valid base64.`);
+      }
+      const buffer = Buffer.from(base64, 'base64');
+      if (buffer.length > MAX_INLINE_MEDIA_BYTES) {
+        throw new Error(`${label} is larger than ${MAX_INLINE_MEDIA_BYTES / (1024 * 1024)}MB.`);
+      }
+      if (!dir) dir = mkdtempSync(join(tmpdir(), 'sogni-mcp-input-'));
+      const filePath = join(dir, `input-${++count}.${ext}`);
+      writeFileSync(filePath, buffer);
+      return filePath;
+    },
+    cleanup() {
+      if (dir) rmSync(dir, { recursive: true, force: true });
+      dir = null;
+    },
+  };
+}
+
+/**
+ * Build args with a fresh input area and run them; the area is removed once
+ * `run` settles, or right away if building the args fails.
+ */
+async function withInputArea(buildArgs, run) {
+  const inputs = createInputArea();
+  let done;
+  try {
+    done = Promise.resolve(run(buildArgs(inputs)));
+  } catch (err) {
+    inputs.cleanup();
+    throw err;
+  }
+  return done.finally(() => inputs.cleanup());
+}
+
+// ---------------------------------------------------------------------------
+// In-process execution
+// ---------------------------------------------------------------------------
+
+// Set SOGNI_GEN_MCP_SPAWN=1 to always run tools through the CLI child process.
+const FORCE_SPAWN = /^(1|true|yes)$/i.test(process.env.SOGNI_GEN_MCP_SPAWN || '');
+
+let libraryPromise = null;
+let clientPromise = null;
+let renderQueue = Promise.resolve();
+
+/**
+ * Import sogni-gen-lib.mjs once. Resolves to null (spawn fallback) when the
+ * import fails, e.g. the SDK cannot load in this Node build.
+ */
+function loadLibrary() {
+  if (FORCE_SPAWN) return Promise.resolve(null);
+  if (!libraryPromise) {
+    libraryPromise = import('./sogni-gen-lib.mjs').catch((err) => {
+      console.error(`sogni-gen MCP: in-process mode unavailable, spawning the CLI instead (${err.message})`);
+      return null;
+    });
+  }
+  return libraryPromise;
+}
+
+/**
+ * Return the shared authenticated client, connecting on first use and again
+ * after the connection drops or a previous login failed.
+ */
+async function getSharedClient(lib) {
+  if (clientPromise) {
+    const client = await clientPromise.catch(() => null);
+    if (client && client.isConnected?.() !== false) return client;
+    await resetSharedClient();
+  }
+  clientPromise = lib.createSogniClient();
+  clientPromise.catch(() => { clientPromise = null; });
+  return clientPromise;
+}
+
+async function resetSharedClient() {
+  if (!clientPromise) return;
+  const pending = clientPromise;
+  clientPromise = null;
+  const client = await pending.catch(() => null);
+  await client?.disconnect?.().catch(() => {});
+}
+
+/**
+ * Run tasks one at a time. Renders listen to client-wide job events, so two
+ * projects on the shared client must not overlap. Over --http the queue is
+ * shared by every session, so one client's long video delays the others.
+ */
+function runExclusive(task) {
+  const run = renderQueue.then(task, task);
+  renderQueue = run.catch(() => {});
+  return run;
+}
+
+// A render that timed out or was cancelled keeps running on the network and
+// may still be listening on the client; drop the client so the next call
+// starts from a fresh connection.
+const ABANDONED_ERROR_CODES = new Set(['TIMEOUT', 'CANCELLED']);
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`sogni-gen timed out after ${Math.round(timeoutMs / 1000)}s`);
+      err.code = 'TIMEOUT';
+      reject(err);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run sogni-gen with `args` and resolve to its --json result object. Uses the
+ * library and shared client when available, otherwise spawns the CLI.
+ */
+async function runSogniGen(args, { timeoutMs = 30_000, signal = null, onStart = null, onProgress = null } = {}) {
+  const lib = await loadLibrary();
+  if (!lib) {
+    onStart?.();
+    return spawnSogniGen(args, { timeoutMs, signal });
+  }
+  const needsClient = !args.includes('--version');
+  onProgress?.({ phase: 'queued', percentage: 0, step: 1, steps: 1 });
+  return runExclusive(async () => {
+    if (signal?.aborted) return { success: false, error: 'Render cancelled.', errorCode: 'CANCELLED' };
+    onStart?.();
+    try {
+      const result = await withTimeout((async () => {
+        const client = needsClient ? await getSharedClient(lib) : null;
+        return lib.runCliJson(['--quiet', ...args], { client, signal, onProgress });
+      })(), timeoutMs);
+      if (ABANDONED_ERROR_CODES.has(result?.errorCode)) await resetSharedClient();
+      return result;
+    } catch (err) {
+      if (ABANDONED_ERROR_CODES.has(err.code)) await resetSharedClient();
+      return {
+        success: false,
+        error: err.message,
+        errorCode: err.code || 'RENDER_FAILED',
+        ...(err.hint ? { hint: err.hint } : {}),
+      };
+    }
+  });
+}
+
+/**
+ * Wait for in-flight tool calls, cancel background jobs nobody can collect
+ * any more, then close the shared client so the process can exit once the MCP
+ * client hangs up.
+ */
+async function shutdown(pendingCalls) {
+  await Promise.allSettled([...pendingCalls]);
+  const allJobs = [...jobTables].flatMap((jobs) => [...jobs.values()]);
+  for (const job of allJobs) {
+    if (!isJobFinished(job)) job.controller.abort();
+  }
+  await Promise.allSettled(allJobs.map((job) => job.done));
+  await resetSharedClient();
+  process.exit(0);
+}
+
+/**
+ * Return an onProgress callback that forwards render progress as MCP
+ * `notifications/progress` (percentage of 100, phase as the message) when the
+ * request carries a progressToken, or null when it does not.
+ */
+function createProgressNotifier(request, extra) {
+  const progressToken = request.params._meta?.progressToken;
+  if (progressToken === undefined || !extra?.sendNotification) return null;
+  let last = -1;
+  let lastPhase = null;
+  return ({ phase, percentage, step, steps }) => {
+    // Progress must increase with every notification; a phase change at the
+    // same percentage is still worth reporting, so nudge it forward.
+    if (percentage <= last && phase === lastPhase) return;
+    const progress = percentage > last ? percentage : Math.round((last + 0.1) * 10) / 10;
+    last = progress;
+    lastPhase = phase;
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress,
+        total: 100,
+        message: steps > 1 ? `${phase} (${step}/${steps})` : phase,
+      },
+    }).catch(() => {});
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Background jobs — start_image/start_video return at once; the job table
+// tracks each render until get_job_status/wait_for_job collect it. Every
+// connected client has its own table, so over --http one session cannot see
+// or cancel another's jobs.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_WAIT_SECONDS = 60;
+const MAX_WAIT_SECONDS = 600;
+const JOB_RETENTION_MS = 60 * 60_000;
+const MAX_FINISHED_JOBS = 100;
+
+const jobTables = new Set();
+let nextJobId = 1;
+
+function isJobFinished(job) {
+  return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+}
+
+/**
+ * Drop finished jobs older than JOB_RETENTION_MS, and the oldest beyond
+ * MAX_FINISHED_JOBS.
+ */
+function pruneJobs(jobs) {
+  const finished = [...jobs.values()].filter(isJobFinished);
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  finished.forEach((job, index) => {
+    if (job.finishedAt < cutoff || index < finished.length - MAX_FINISHED_JOBS) jobs.delete(job.id);
+  });
+}
+
+function startJob(jobs, type, args, { timeoutMs }) {
+  pruneJobs(jobs);
+  const job = {
+    id: `job-${nextJobId++}`,
+    type,
+    status: 'queued',
+    phase: null,
+    progress: 0,
+    listeners: new Set(),
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    controller: new AbortController(),
+  };
+  const finish = (result) => {
+    job.result = result;
+    job.finishedAt = Date.now();
+    if (job.controller.signal.aborted) {
+      job.status = 'cancelled';
+    } else if (result.success === false) {
+      job.status = 'failed';
+    } else {
+      job.status = 'completed';
+      job.progress = 100;
+    }
+  };
+  job.done = runSogniGen(args, {
+    timeoutMs,
+    signal: job.controller.signal,
+    onStart: () => {
+      if (job.status !== 'queued') return;
+      job.status = 'running';
+      job.startedAt = Date.now();
+    },
+    onProgress: (event) => {
+      job.phase = event.phase;
+      job.progress = Math.max(job.progress, Math.min(99, Math.round(event.percentage)));
+      job.listeners.forEach((listener) => listener(event));
+    },
+  }).then(finish, (err) => finish({ success: false, error: err.message, errorCode: 'RENDER_FAILED' }));
+  jobs.set(job.id, job);
+  return job;
+}
+
+function getJob(jobs, jobId) {
+  sanitizeString(jobId, 'job_id');
+  const job = jobs.get(jobId);
+  if (!job) throw new Error(`Unknown job: ${jobId}`);
+  return job;
+}
+
+function summarizeJob(job) {
+  const summary = {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    ...(job.status === 'running' && job.phase ? { phase: job.phase } : {}),
+    createdAt: new Date(job.createdAt).toISOString(),
+  };
+  if (job.startedAt) summary.startedAt = new Date(job.startedAt).toISOString();
+  if (job.finishedAt) summary.finishedAt = new Date(job.finishedAt).toISOString();
+  const result = job.result;
+  if (job.status === 'completed') {
+    if (result.urls) summary.urls = result.urls;
+    if (result.localPaths) summary.localPaths = result.localPaths;
+    else if (result.localPath) summary.localPaths = [result.localPath];
+    if (result.seed != null) summary.seed = result.seed;
+  } else if (result && result.success === false) {
+    summary.error = result.error;
+    if (result.errorCode) summary.errorCode = result.errorCode;
+    if (result.hint) summary.hint = result.hint;
+  }
+  return summary;
+}
+
+function formatJobSummary(job) {
+  return { content: [{ type: 'text', text: JSON.stringify(summarizeJob(job), null, 2) }] };
+}
+
 // ---------------------------------------------------------------------------
 // Credential check helper
 // ---------------------------------------------------------------------------
@@ -150,6 +691,56 @@ function checkCredentials() {
 // Result formatting
 // ---------------------------------------------------------------------------
 
+let sharpPromise = null;
+
+/** sharp is optional here: without it images are embedded at full size. */
+function loadSharp() {
+  if (!sharpPromise) sharpPromise = import('sharp').then((mod) => mod.default).catch(() => null);
+  return sharpPromise;
+}
+
+/**
+ * Return an MCP image block holding a JPEG thumbnail of `buffer` (longest edge
+ * OUTPUT.thumbnailSize, never enlarged), or the original image when sharp is
+ * unavailable or cannot read it.
+ */
+async function thumbnailContent(buffer, mimeType) {
+  const sharp = await loadSharp();
+  if (sharp) {
+    try {
+      const thumbnail = await sharp(buffer, { animated: false })
+        .rotate()
+        .resize(OUTPUT.thumbnailSize, OUTPUT.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: OUTPUT.thumbnailQuality })
+        .toBuffer();
+      return { type: 'image', data: thumbnail.toString('base64'), mimeType: 'image/jpeg' };
+    } catch {
+      // Fall through to the original image.
+    }
+  }
+  return { type: 'image', data: buffer.toString('base64'), mimeType };
+}
+
+/**
+ * Grab the first frame of a video as PNG with ffmpeg (FFMPEG_PATH or the one
+ * on PATH). Resolves to null when ffmpeg is missing or fails; a poster frame
+ * is a nicety, never a reason to fail the tool call.
+ */
+function extractPosterFrame(videoPath) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    const child = spawn(
+      process.env.FFMPEG_PATH || 'ffmpeg',
+      ['-v', 'error', '-i', videoPath, '-frames:v', '1', '-f', 'image2pipe', '-c:v', 'png', '-'],
+      { stdio: ['ignore', 'pipe', 'ignore'], timeout: 30_000 },
+    );
+    child.stdout.on('data', (chunk) => chunks.push(chunk));
+    child.on('error', () => resolve(null));
+    child.on('close', (code) => resolve(code === 0 && chunks.length > 0 ? Buffer.concat(chunks) : null));
+  });
+}
+
 async function formatSuccess(result) {
   const parts = [];
 
@@ -159,6 +750,19 @@ async function formatSuccess(result) {
     return { content: [{ type: 'text', text: parts.join('\n') }] };
   }
 
+  if (result.type === 'loras') {
+    if (result.loras.length === 0) {
+      parts.push(result.model ? `No LoRAs available for ${result.model}.` : 'No LoRAs available.');
+    }
+    for (const lora of result.loras) {
+      const range = lora.minStrength != null && lora.maxStrength != null ? `, range ${lora.minStrength} to ${lora.maxStrength}` : '';
+      const models = result.model ? '' : ` — ${lora.models.join(', ')}`;
+      parts.push(`${lora.id} (${lora.name}): default ${lora.defaultStrength ?? '-'}${range}${models}`);
+    }
+    if (result.maxPerRequest) parts.push(`Up to ${result.maxPerRequest} LoRAs per render.`);
+    return { content: [{ type: 'text', text: parts.join('\n') }] };
+  }
+
   // Image / video result
   if (result.prompt) parts.push(`Prompt: ${result.prompt}`);
   parts.push(`Model: ${result.model}`);
@@ -171,7 +775,21 @@ async function formatSuccess(result) {
     if (result.fps) parts.push(`FPS: ${result.fps}`);
   }
 
-  if (result.localPath) parts.push(`Saved to: ${result.localPath}`);
+  const localPaths = result.localPaths?.length ? result.localPaths : (result.localPath ? [result.localPath] : []);
+  localPaths.forEach((path, i) => {
+    parts.push(localPaths.length === 1 ? `Saved to: ${path}` : `Saved to #${i + 1}: ${path}`);
+  });
+
+  // Multi-angle / 360 results carry one entry per azimuth instead of urls
+  const angles = Array.isArray(result.angles) ? result.angles : [];
+  if (angles.length > 0) {
+    parts.push(`Elevation: ${angles[0].elevation}`);
+    parts.push(`Distance: ${angles[0].distance}`);
+  }
+  if (result.videoPath) {
+    parts.push(`360 video: ${result.videoPath}`);
+    if (result.videoModel) parts.push(`Video model: ${result.videoModel}`);
+  }
 
   // URLs
   const urls = result.urls || [];
@@ -181,51 +799,89 @@ async function formatSuccess(result) {
       parts.push(urls.length === 1 ? `URL: ${url}` : `URL #${i + 1}: ${url}`);
     });
   }
+  for (const angle of angles) {
+    parts.push('');
+    const angleUrls = angle.urls || [];
+    angleUrls.forEach((url, i) => {
+      parts.push(`${angleUrls.length === 1 ? angle.azimuth : `${angle.azimuth} #${i + 1}`}: ${url}`);
+      if (angle.localPaths?.[i]) parts.push(`  Saved to: ${angle.localPaths[i]}`);
+    });
+  }
 
   const content = [{ type: 'text', text: parts.join('\n') }];
 
   // Download images/videos and save locally + embed as base64 for MCP clients
   // that support inline image rendering (e.g. Claude Desktop).
   // For Claude Code (terminal), the saved file path is the primary way to view results.
+  // Results the CLI already saved (-o) are read back instead of copied again.
   const savedPaths = [];
-  for (const url of urls) {
+  const media = urls.length > 0
+    ? urls.map((url, i) => ({ url, localPath: localPaths[i] }))
+    : angles.flatMap((angle) => (angle.urls || []).map((url, i) => ({ url, localPath: angle.localPaths?.[i] })));
+  const now = new Date();
+  const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  for (const [index, { url, localPath }] of media.entries()) {
     const isImage = /\.(png|jpg|jpeg|webp|gif)(\?|$)/i.test(url);
     const isVideo = /\.(mp4|webm|mov)(\?|$)/i.test(url);
 
     if (!isImage && !isVideo) continue;
 
     try {
-      const resp = await fetch(url);
-      if (!resp.ok) continue;
-      const buf = Buffer.from(await resp.arrayBuffer());
-
-      // Determine extension and build a temp file path
-      const ext = isImage
-        ? (url.match(/\.(png|jpg|jpeg|webp|gif)/i)?.[1]?.toLowerCase() || 'png')
-        : (url.match(/\.(mp4|webm|mov)/i)?.[1]?.toLowerCase() || 'mp4');
-
-      // Save to ~/Downloads/sogni/ so the user can find it easily
-      const { mkdirSync, writeFileSync } = await import('fs');
-      const downloadsDir = join(homedir(), 'Downloads', 'sogni');
-      mkdirSync(downloadsDir, { recursive: true });
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-      const filename = `sogni-${timestamp}-${savedPaths.length}.${ext}`;
-      const filePath = join(downloadsDir, filename);
-      writeFileSync(filePath, buf);
-      savedPaths.push(filePath);
-
-      // For images, also embed as base64 (Claude Desktop can render these)
+      const reuse = Boolean(localPath && existsSync(localPath));
+      let buf;
+      let ext;
+      let filePath = reuse ? localPath : null;
+      if (reuse) {
+        ext = extname(localPath).slice(1).toLowerCase();
+        if (isImage) buf = readFileSync(localPath);
+      } else {
+        const resp = await fetch(url);
+        if (!resp.ok) continue;
+        buf = Buffer.from(await resp.arrayBuffer());
+        ext = isImage
+          ? (url.match(/\.(png|jpg|jpeg|webp|gif)/i)?.[1]?.toLowerCase() || 'png')
+          : (url.match(/\.(mp4|webm|mov)/i)?.[1]?.toLowerCase() || 'mp4');
+
+        // Save to the output folder (~/Downloads/sogni/ by default) so the user can find it easily
+        mkdirSync(OUTPUT.dir, { recursive: true });
+        const name = renderFilename(OUTPUT.filename, {
+          timestamp,
+          date: timestamp.slice(0, 10),
+          // -r<id> in the default name ties the copy to sogni://render/<id>
+          id: result.historyId,
+          index,
+          type: result.type,
+          model: result.model,
+          seed: result.seed,
+          prompt: result.prompt?.toLowerCase(),
+        });
+        filePath = join(OUTPUT.dir, `${name}.${ext}`);
+        for (let n = 1; existsSync(filePath); n++) filePath = join(OUTPUT.dir, `${name}-${n}.${ext}`);
+        writeFileSync(filePath, buf);
+        savedPaths.push(filePath);
+      }
+
+      // Embed a thumbnail as base64 (Claude Desktop can render these): the
+      // image itself, or a video's first frame. The full file stays on disk.
       if (isImage) {
-        const mimeType = ext === 'jpg' || ext === 'jpeg' ? 'image/jpeg'
-          : ext === 'webp' ? 'image/webp'
-          : ext === 'gif' ? 'image/gif'
-          : 'image/png';
-        content.push({ type: 'image', data: buf.toString('base64'), mimeType });
+        content.push(await thumbnailContent(buf, MIME_TYPES[`.${ext}`] || 'image/png'));
+      } else {
+        const poster = await extractPosterFrame(filePath);
+        if (poster) content.push(await thumbnailContent(poster, 'image/png'));
       }
     } catch {
       // If download fails, skip — the URL is still in the text above
     }
   }
+  // The assembled 360 video is only ever a local file.
+  if (result.videoPath && existsSync(result.videoPath)) {
+    const poster = await extractPosterFrame(result.videoPath);
+    if (poster) content.push(await thumbnailContent(poster, 'image/png'));
+  }
+  if (savedPaths.length > 0) {
+    recordDownloads(savedPaths);
+    pruneDownloads(savedPaths);
+  }
 
   // Append saved file paths to the text output so Claude Code users can see/open them
   if (savedPaths.length > 0) {
@@ -248,15 +904,20 @@ function formatError(result) {
 
 async function formatResult(result) {
   if (result.success === false) return formatError(result);
-  return formatSuccess(result);
+  const formatted = await formatSuccess(result);
+  // A new history entry (and its downloads) is a new sogni://render/<id>.
+  if (result.historyId != null) {
+    for (const server of servers) server.sendResourceListChanged().catch(() => {});
+  }
+  return formatted;
 }
 
-async function runAndFormat(args, { timeoutMs = 30_000, requireCredentials = true } = {}) {
+async function runAndFormat(args, { timeoutMs = 30_000, requireCredentials = true, onProgress = null } = {}) {
   if (requireCredentials) {
     const credErr = checkCredentials();
     if (credErr) return credErr;
   }
-  const result = await runSogniGen(args, { timeoutMs });
+  const result = await runSogniGen(args, { timeoutMs, onProgress });
   return formatResult(result);
 }
 
@@ -285,6 +946,216 @@ LTX-2 Video Models:
   ltx2-19b-fp8_v2v_distilled              — Video-to-video with ControlNet (~3min)
   ltx2-19b-fp8_v2v                        — Video-to-video with ControlNet, quality (~5min)`;
 
+/**
+ * Schema for a media input given as a path/URL string or inline base64.
+ */
+function mediaInputSchema(kind, description) {
+  return {
+    anyOf: [
+      { type: 'string' },
+      {
+        type: 'object',
+        properties: {
+          data: { type: 'string', description: `Base64-encoded ${kind} data` },
+          mimeType: { type: 'string', description: `${kind[0].toUpperCase()}${kind.slice(1)} MIME type, e.g. ${kind === 'image' ? 'image/png' : kind === 'audio' ? 'audio/mpeg' : 'video/mp4'}` },
+        },
+        required: ['data', 'mimeType'],
+      },
+    ],
+    description: `${description}, or { data, mimeType } with base64 ${kind} data`,
+  };
+}
+
+const IMAGE_INPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    prompt: {
+      type: 'string',
+      description: 'Image description / generation prompt',
+    },
+    model: {
+      type: 'string',
+      description: 'Model ID (default: z_image_turbo_bf16)',
+    },
+    width: {
+      type: 'number',
+      description: 'Image width in pixels (default: 512)',
+    },
+    height: {
+      type: 'number',
+      description: 'Image height in pixels (default: 512)',
+    },
+    count: {
+      type: 'number',
+      description: 'Number of images to generate (default: 1)',
+    },
+    negative_prompt: {
+      type: 'string',
+      description: 'What to avoid in the image (negative prompt)',
+    },
+    style_prompt: {
+      type: 'string',
+      description: 'Style prompt applied alongside the main prompt',
+    },
+    seed: {
+      type: 'number',
+      description: 'Specific seed for reproducibility',
+    },
+    output: {
+      type: 'string',
+      description: 'Save image to this file path',
+    },
+    output_format: {
+      type: 'string',
+      enum: ['png', 'jpg'],
+      description: 'Output format (default: png)',
+    },
+    loras: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'LoRA model IDs (see list_loras)',
+    },
+    lora_strengths: {
+      type: 'array',
+      items: { type: 'number' },
+      description: 'LoRA strengths (parallel to loras array)',
+    },
+  },
+  required: ['prompt'],
+};
+
+const VIDEO_INPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    prompt: {
+      type: 'string',
+      description: 'Video description / generation prompt',
+    },
+    workflow: {
+      type: 'string',
+      enum: ['t2v', 'i2v', 's2v', 'v2v', 'animate-move', 'animate-replace'],
+      description: 'Video workflow (default: t2v, auto-inferred from provided refs)',
+    },
+    model: {
+      type: 'string',
+      description: 'Model ID (auto-selected per workflow by default)',
+    },
+    width: {
+      type: 'number',
+      description: 'Video width in pixels (default: 512, must be divisible by 16)',
+    },
+    height: {
+      type: 'number',
+      description: 'Video height in pixels (default: 512, must be divisible by 16)',
+    },
+    fps: {
+      type: 'number',
+      description: 'Frames per second (default: 16)',
+    },
+    duration: {
+      type: 'number',
+      description: 'Duration in seconds (default: 5)',
+    },
+    frames: {
+      type: 'number',
+      description: 'Override total frame count (alternative to duration)',
+    },
+    ref: mediaInputSchema('image', 'Reference image path or URL (for i2v, s2v, animate workflows)'),
+    ref_end: mediaInputSchema('image', 'End frame image path or URL (for i2v interpolation)'),
+    ref_audio: mediaInputSchema('audio', 'Reference audio file path (for s2v workflow)'),
+    ref_video: mediaInputSchema('video', 'Reference video file path (for animate and v2v workflows)'),
+    controlnet_name: {
+      type: 'string',
+      enum: ['canny', 'pose', 'depth', 'detailer'],
+      description: 'ControlNet type for v2v workflow',
+    },
+    controlnet_strength: {
+      type: 'number',
+      description: 'ControlNet strength for v2v (0.0-1.0, default: 0.8)',
+    },
+    sam2_coordinates: {
+      type: 'string',
+      description: 'SAM2 click coordinates for animate-replace (x,y or x1,y1;x2,y2)',
+    },
+    trim_end_frame: {
+      type: 'boolean',
+      description: 'Trim last frame for seamless video stitching',
+    },
+    first_frame_strength: {
+      type: 'number',
+      description: 'Keyframe strength for start frame (0.0-1.0)',
+    },
+    last_frame_strength: {
+      type: 'number',
+      description: 'Keyframe strength for end frame (0.0-1.0)',
+    },
+    negative_prompt: {
+      type: 'string',
+      description: 'What to avoid in the video (negative prompt)',
+    },
+    style_prompt: {
+      type: 'string',
+      description: 'Style prompt applied alongside the main prompt',
+    },
+    seed: {
+      type: 'number',
+      description: 'Specific seed for reproducibility',
+    },
+    output: {
+      type: 'string',
+      description: 'Save video to this file path',
+    },
+    looping: {
+      type: 'boolean',
+      description: 'Generate seamless loop (i2v only)',
+    },
+  },
+  required: ['prompt'],
+};
+
+const AZIMUTH_KEYS = MULTI_ANGLE_AZIMUTHS.map((a) => a.key);
+const ELEVATION_KEYS = MULTI_ANGLE_ELEVATIONS.map((e) => e.key);
+const DISTANCE_KEYS = MULTI_ANGLE_DISTANCES.map((d) => d.key);
+
+// Inputs shared by multi_angle and turntable_360.
+const ANGLE_INPUT_PROPERTIES = {
+  reference_image: mediaInputSchema('image', 'Subject image file path or URL'),
+  prompt: {
+    type: 'string',
+    description: 'Optional description of the subject, appended to every angle prompt',
+  },
+  elevation: {
+    type: 'string',
+    enum: ELEVATION_KEYS,
+    description: 'Camera elevation (default: eye-level)',
+  },
+  distance: {
+    type: 'string',
+    enum: DISTANCE_KEYS,
+    description: 'Camera distance (default: medium)',
+  },
+  angle_strength: {
+    type: 'number',
+    description: 'Multiple Angles LoRA strength (default: 0.9)',
+  },
+  model: {
+    type: 'string',
+    description: 'Qwen Image Edit 2511 model ID (default: qwen_image_edit_2511_fp8_lightning)',
+  },
+  width: {
+    type: 'number',
+    description: 'Output width in pixels',
+  },
+  height: {
+    type: 'number',
+    description: 'Output height in pixels',
+  },
+  seed: {
+    type: 'number',
+    description: 'Specific seed for reproducibility',
+  },
+};
+
 const TOOLS = [
   {
     name: 'generate_image',
@@ -293,55 +1164,7 @@ const TOOLS = [
 ${IMAGE_MODEL_TABLE}
 
 Cost: Uses Spark tokens. 512x512 is most cost-efficient. Claim 50 free daily Spark at https://app.sogni.ai/`,
-    inputSchema: {
-      type: 'object',
-      properties: {
-        prompt: {
-          type: 'string',
-          description: 'Image description / generation prompt',
-        },
-        model: {
-          type: 'string',
-          description: 'Model ID (default: z_image_turbo_bf16)',
-        },
-        width: {
-          type: 'number',
-          description: 'Image width in pixels (default: 512)',
-        },
-        height: {
-          type: 'number',
-          description: 'Image height in pixels (default: 512)',
-        },
-        count: {
-          type: 'number',
-          description: 'Number of images to generate (default: 1)',
-        },
-        seed: {
-          type: 'number',
-          description: 'Specific seed for reproducibility',
-        },
-        output: {
-          type: 'string',
-          description: 'Save image to this file path',
-        },
-        output_format: {
-          type: 'string',
-          enum: ['png', 'jpg'],
-          description: 'Output format (default: png)',
-        },
-        loras: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'LoRA model IDs',
-        },
-        lora_strengths: {
-          type: 'array',
-          items: { type: 'number' },
-          description: 'LoRA strengths (parallel to loras array)',
-        },
-      },
-      required: ['prompt'],
-    },
+    inputSchema: IMAGE_INPUT_SCHEMA,
   },
   {
     name: 'generate_video',
@@ -359,98 +1182,7 @@ ${VIDEO_MODEL_TABLE}
 
 WAN video dimensions: divisible by 16, min 480px, max 1536px. LTX-2: divisible by 64, 768-1920px.
 Generation takes 3-5 minutes. Cost: Uses Spark tokens. Claim 50 free daily Spark at https://app.sogni.ai/`,
-    inputSchema: {
-      type: 'object',
-      properties: {
-        prompt: {
-          type: 'string',
-          description: 'Video description / generation prompt',
-        },
-        workflow: {
-          type: 'string',
-          enum: ['t2v', 'i2v', 's2v', 'v2v', 'animate-move', 'animate-replace'],
-          description: 'Video workflow (default: t2v, auto-inferred from provided refs)',
-        },
-        model: {
-          type: 'string',
-          description: 'Model ID (auto-selected per workflow by default)',
-        },
-        width: {
-          type: 'number',
-          description: 'Video width in pixels (default: 512, must be divisible by 16)',
-        },
-        height: {
-          type: 'number',
-          description: 'Video height in pixels (default: 512, must be divisible by 16)',
-        },
-        fps: {
-          type: 'number',
-          description: 'Frames per second (default: 16)',
-        },
-        duration: {
-          type: 'number',
-          description: 'Duration in seconds (default: 5)',
-        },
-        frames: {
-          type: 'number',
-          description: 'Override total frame count (alternative to duration)',
-        },
-        ref: {
-          type: 'string',
-          description: 'Reference image path or URL (for i2v, s2v, animate workflows)',
-        },
-        ref_end: {
-          type: 'string',
-          description: 'End frame image path or URL (for i2v interpolation)',
-        },
-        ref_audio: {
-          type: 'string',
-          description: 'Reference audio file path (for s2v workflow)',
-        },
-        ref_video: {
-          type: 'string',
-          description: 'Reference video file path (for animate and v2v workflows)',
-        },
-        controlnet_name: {
-          type: 'string',
-          enum: ['canny', 'pose', 'depth', 'detailer'],
-          description: 'ControlNet type for v2v workflow',
-        },
-        controlnet_strength: {
-          type: 'number',
-          description: 'ControlNet strength for v2v (0.0-1.0, default: 0.8)',
-        },
-        sam2_coordinates: {
-          type: 'string',
-          description: 'SAM2 click coordinates for animate-replace (x,y or x1,y1;x2,y2)',
-        },
-        trim_end_frame: {
-          type: 'boolean',
-          description: 'Trim last frame for seamless video stitching',
-        },
-        first_frame_strength: {
-          type: 'number',
-          description: 'Keyframe strength for start frame (0.0-1.0)',
-        },
-        last_frame_strength: {
-          type: 'number',
-          description: 'Keyframe strength for end frame (0.0-1.0)',
-        },
-        seed: {
-          type: 'number',
-          description: 'Specific seed for reproducibility',
-        },
-        output: {
-          type: 'string',
-          description: 'Save video to this file path',
-        },
-        looping: {
-          type: 'boolean',
-          description: 'Generate seamless loop (i2v only)',
-        },
-      },
-      required: ['prompt'],
-    },
+    inputSchema: VIDEO_INPUT_SCHEMA,
   },
   {
     name: 'edit_image',
@@ -474,8 +1206,8 @@ Models:
         },
         context_images: {
           type: 'array',
-          items: { type: 'string' },
-          description: 'Image file paths or URLs to edit (1-3 images)',
+          items: mediaInputSchema('image', 'Image file path or URL'),
+          description: 'Images to edit (1-3)',
           minItems: 1,
           maxItems: 3,
         },
@@ -499,6 +1231,54 @@ Models:
       required: ['prompt', 'context_images'],
     },
   },
+  {
+    name: 'inpaint_image',
+    description: `Regenerate only part of an image using Sogni AI.
+
+Provide the image, a mask (white = regenerate, black = keep) and a prompt for the
+masked area. Everything outside the mask stays as it is. Examples:
+  - "a relaxed hand with five fingers"
+  - "a wooden sign that reads OPEN"
+
+The mask must have the image's aspect ratio; it is resized to the image's size.
+Only models that accept a mask can inpaint. The Qwen edit models do not, so the
+call fails with them; use edit_image and describe the change instead.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        prompt: {
+          type: 'string',
+          description: 'What to paint into the masked area',
+        },
+        image: mediaInputSchema('image', 'Source image file path or URL'),
+        mask: mediaInputSchema('image', 'Mask image file path or URL (white = regenerate)'),
+        feather: {
+          type: 'number',
+          description: 'Blur the mask edge by this many pixels so the new area blends in (default: 0)',
+          minimum: 0,
+        },
+        model: {
+          type: 'string',
+          description: 'Model ID (default: qwen_image_edit_2511_fp8_lightning)',
+        },
+        seed: {
+          type: 'number',
+          description: 'Seed for reproducibility',
+        },
+        count: {
+          type: 'number',
+          description: 'Number of variations to generate (default: 1)',
+          minimum: 1,
+          maximum: 4,
+        },
+        output: {
+          type: 'string',
+          description: 'Save the result to this file path',
+        },
+      },
+      required: ['prompt', 'image', 'mask'],
+    },
+  },
   {
     name: 'photobooth',
     description: `Generate stylized portraits from a face photo using InstantID face transfer.
@@ -518,10 +1298,7 @@ The face likeness is preserved while applying the style from the prompt.`,
           type: 'string',
           description: 'Style/scene description for the portrait',
         },
-        reference_face: {
-          type: 'string',
-          description: 'Face image file path or URL',
-        },
+        reference_face: mediaInputSchema('image', 'Face image file path or URL'),
         model: {
           type: 'string',
           description: 'Model ID (default: coreml-sogniXLturbo_alpha1_ad)',
@@ -534,6 +1311,14 @@ The face likeness is preserved while applying the style from the prompt.`,
           type: 'number',
           description: 'ControlNet guidance end point (default: 0.3)',
         },
+        negative_prompt: {
+          type: 'string',
+          description: 'What to avoid in the portrait (negative prompt)',
+        },
+        style_prompt: {
+          type: 'string',
+          description: 'Style prompt applied alongside the main prompt',
+        },
         width: {
           type: 'number',
           description: 'Output width in pixels (default: 1024)',
@@ -554,6 +1339,62 @@ The face likeness is preserved while applying the style from the prompt.`,
       required: ['prompt', 'reference_face'],
     },
   },
+  {
+    name: 'multi_angle',
+    description: `Re-render a subject from a different camera angle using Qwen Image Edit with the Multiple Angles LoRA.
+
+Provide one reference image and pick the azimuth, elevation and distance. Images are saved as JPG by default.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...ANGLE_INPUT_PROPERTIES,
+        azimuth: {
+          type: 'string',
+          enum: AZIMUTH_KEYS,
+          description: 'Camera position around the subject (default: front)',
+        },
+        count: {
+          type: 'number',
+          description: 'Number of images to generate (default: 1)',
+        },
+        output: {
+          type: 'string',
+          description: 'Save images to this file path, pattern or directory',
+        },
+      },
+      required: ['reference_image'],
+    },
+  },
+  {
+    name: 'turntable_360',
+    description: `Render a subject from all ${AZIMUTH_KEYS.length} azimuths (${AZIMUTH_KEYS.join(', ')}) for a 360 turntable.
+
+With video: true, each pair of neighbouring angles is also animated with image-to-video and the clips are joined into
+a looping mp4 (requires ffmpeg). Angles take about 10s each; the video adds several minutes per clip.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...ANGLE_INPUT_PROPERTIES,
+        video: {
+          type: 'boolean',
+          description: 'Also assemble a looping 360 turntable video',
+        },
+        video_model: {
+          type: 'string',
+          description: 'i2v model for the turntable clips (default: wan_v2.2-14b-fp8_i2v_lightx2v)',
+        },
+        duration: {
+          type: 'number',
+          description: 'Total turntable video duration in seconds, split across the clips (default: 5)',
+        },
+        output: {
+          type: 'string',
+          description: 'Frames directory, or an .mp4 path for the video (frames are saved next to it)',
+        },
+      },
+      required: ['reference_image'],
+    },
+  },
   {
     name: 'check_balance',
     description:
@@ -572,6 +1413,20 @@ The face likeness is preserved while applying the style from the prompt.`,
       properties: {},
     },
   },
+  {
+    name: 'list_loras',
+    description:
+      'List the LoRA ids that can be passed to generate_image/edit_image, with their default strengths. Pass a model to see only the LoRAs it accepts.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        model: {
+          type: 'string',
+          description: 'Only list LoRAs for this model ID',
+        },
+      },
+    },
+  },
   {
     name: 'get_version',
     description: 'Show the running sogni-gen version for this MCP server instance.',
@@ -580,13 +1435,74 @@ The face likeness is preserved while applying the style from the prompt.`,
       properties: {},
     },
   },
+  {
+    name: 'start_image',
+    description: `Start an image generation in the background and return a job id immediately.
+
+Takes the same parameters as generate_image. Follow up with get_job_status (progress) or wait_for_job (result).`,
+    inputSchema: IMAGE_INPUT_SCHEMA,
+  },
+  {
+    name: 'start_video',
+    description: `Start a video generation in the background and return a job id immediately.
+
+Takes the same parameters as generate_video. Videos take 3-5 minutes, longer than many MCP clients wait for a
+single call; poll get_job_status or call wait_for_job repeatedly until the job finishes.`,
+    inputSchema: VIDEO_INPUT_SCHEMA,
+  },
+  {
+    name: 'get_job_status',
+    description: 'Report the status (queued, running, completed, failed, cancelled), progress percentage and, once finished, the URLs/paths or error of a job from start_image/start_video.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'string',
+          description: 'Job id returned by start_image or start_video',
+        },
+      },
+      required: ['job_id'],
+    },
+  },
+  {
+    name: 'wait_for_job',
+    description: 'Wait for a background job to finish and return its result. Returns the current status instead if it is still running after timeout_seconds.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'string',
+          description: 'Job id returned by start_image or start_video',
+        },
+        timeout_seconds: {
+          type: 'number',
+          description: `Longest time to wait (default: ${DEFAULT_WAIT_SECONDS}, max: ${MAX_WAIT_SECONDS})`,
+        },
+      },
+      required: ['job_id'],
+    },
+  },
+  {
+    name: 'cancel_job',
+    description: 'Cancel a queued or running background job. A running render stops being tracked; work already dispatched to the network may still be billed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'string',
+          description: 'Job id returned by start_image or start_video',
+        },
+      },
+      required: ['job_id'],
+    },
+  },
 ];
 
 // ---------------------------------------------------------------------------
 // Tool handlers
 // ---------------------------------------------------------------------------
 
-async function handleGenerateImage(params) {
+function buildImageArgs(params) {
   sanitizeString(params.prompt, 'prompt');
   const args = [];
   if (params.model) args.push('-m', sanitizeString(params.model, 'model'));
@@ -594,19 +1510,24 @@ async function handleGenerateImage(params) {
   if (params.height) args.push('-h', String(params.height));
   if (params.count) args.push('-n', String(params.count));
   if (params.seed != null) args.push('-s', String(params.seed));
-  if (params.output) args.push('-o', sanitizeString(params.output, 'output'));
+  if (params.output) args.push('-o', confinePath(params.output, 'output'));
   if (params.output_format) args.push('--output-format', validateEnum(params.output_format, ['png', 'jpg'], 'output_format'));
   if (params.loras?.length) {
     params.loras.forEach((l, i) => sanitizeString(l, `loras[${i}]`));
     args.push('--loras', params.loras.join(','));
   }
   if (params.lora_strengths?.length) args.push('--lora-strengths', params.lora_strengths.join(','));
+  if (params.negative_prompt) args.push('--negative', sanitizeString(params.negative_prompt, 'negative_prompt'));
+  if (params.style_prompt) args.push('--style', sanitizeString(params.style_prompt, 'style_prompt'));
   args.push('--', params.prompt);
+  return args;
+}
 
-  return runAndFormat(args, { timeoutMs: 60_000 });
+async function handleGenerateImage(params, { onProgress }) {
+  return runAndFormat(buildImageArgs(params), { timeoutMs: 60_000, onProgress });
 }
 
-async function handleGenerateVideo(params) {
+function buildVideoArgs(params, inputs) {
   sanitizeString(params.prompt, 'prompt');
   const args = ['--video'];
   if (params.workflow) args.push('--workflow', validateEnum(params.workflow, ['t2v', 'i2v', 's2v', 'v2v', 'animate-move', 'animate-replace'], 'workflow'));
@@ -616,10 +1537,10 @@ async function handleGenerateVideo(params) {
   if (params.fps) args.push('--fps', String(params.fps));
   if (params.duration) args.push('--duration', String(params.duration));
   if (params.frames) args.push('--frames', String(params.frames));
-  if (params.ref) args.push('--ref', sanitizeString(params.ref, 'ref'));
-  if (params.ref_end) args.push('--ref-end', sanitizeString(params.ref_end, 'ref_end'));
-  if (params.ref_audio) args.push('--ref-audio', sanitizeString(params.ref_audio, 'ref_audio'));
-  if (params.ref_video) args.push('--ref-video', sanitizeString(params.ref_video, 'ref_video'));
+  if (params.ref) args.push('--ref', inputs.resolve(params.ref, 'ref', 'image'));
+  if (params.ref_end) args.push('--ref-end', inputs.resolve(params.ref_end, 'ref_end', 'image'));
+  if (params.ref_audio) args.push('--ref-audio', inputs.resolve(params.ref_audio, 'ref_audio', 'audio'));
+  if (params.ref_video) args.push('--ref-video', inputs.resolve(params.ref_video, 'ref_video', 'video'));
   if (params.controlnet_name) args.push('--controlnet-name', validateEnum(params.controlnet_name, ['canny', 'pose', 'depth', 'detailer'], 'controlnet_name'));
   if (params.controlnet_strength != null) args.push('--controlnet-strength', String(params.controlnet_strength));
   if (params.sam2_coordinates) args.push('--sam2-coordinates', sanitizeString(params.sam2_coordinates, 'sam2_coordinates'));
@@ -627,50 +1548,140 @@ async function handleGenerateVideo(params) {
   if (params.first_frame_strength != null) args.push('--first-frame-strength', String(params.first_frame_strength));
   if (params.last_frame_strength != null) args.push('--last-frame-strength', String(params.last_frame_strength));
   if (params.seed != null) args.push('-s', String(params.seed));
-  if (params.output) args.push('-o', sanitizeString(params.output, 'output'));
+  if (params.output) args.push('-o', confinePath(params.output, 'output'));
   if (params.looping) args.push('--looping');
+  if (params.negative_prompt) args.push('--negative', sanitizeString(params.negative_prompt, 'negative_prompt'));
+  if (params.style_prompt) args.push('--style', sanitizeString(params.style_prompt, 'style_prompt'));
   args.push('--', params.prompt);
+  return args;
+}
 
-  return runAndFormat(args, { timeoutMs: 600_000 });
+async function handleGenerateVideo(params, { onProgress }) {
+  return withInputArea(
+    (inputs) => buildVideoArgs(params, inputs),
+    (args) => runAndFormat(args, { timeoutMs: 600_000, onProgress }),
+  );
 }
 
-async function handleEditImage(params) {
+function buildEditArgs(params, inputs) {
   sanitizeString(params.prompt, 'prompt');
   const args = [];
   for (const img of params.context_images) {
-    args.push('-c', sanitizeString(img, 'context_images'));
+    args.push('-c', inputs.resolve(img, 'context_images', 'image'));
   }
   if (params.model) args.push('-m', sanitizeString(params.model, 'model'));
   if (params.width) args.push('-w', String(params.width));
   if (params.height) args.push('-h', String(params.height));
-  if (params.output) args.push('-o', sanitizeString(params.output, 'output'));
+  if (params.output) args.push('-o', confinePath(params.output, 'output'));
+  args.push('--', params.prompt);
+  return args;
+}
+
+async function handleEditImage(params, { onProgress }) {
+  return withInputArea(
+    (inputs) => buildEditArgs(params, inputs),
+    (args) => runAndFormat(args, { timeoutMs: 60_000, onProgress }),
+  );
+}
+
+function buildInpaintArgs(params, inputs) {
+  sanitizeString(params.prompt, 'prompt');
+  const args = [
+    '-c', inputs.resolve(params.image, 'image', 'image'),
+    '--mask', inputs.resolve(params.mask, 'mask', 'image'),
+  ];
+  if (params.feather != null) args.push('--mask-feather', String(params.feather));
+  if (params.model) args.push('-m', sanitizeString(params.model, 'model'));
+  if (params.seed != null) args.push('-s', String(params.seed));
+  if (params.count) args.push('-n', String(params.count));
+  if (params.output) args.push('-o', confinePath(params.output, 'output'));
   args.push('--', params.prompt);
+  return args;
+}
 
-  return runAndFormat(args, { timeoutMs: 60_000 });
+async function handleInpaintImage(params, { onProgress }) {
+  return withInputArea(
+    (inputs) => buildInpaintArgs(params, inputs),
+    (args) => runAndFormat(args, { timeoutMs: 60_000, onProgress }),
+  );
 }
 
-async function handlePhotobooth(params) {
+function buildPhotoboothArgs(params, inputs) {
   sanitizeString(params.prompt, 'prompt');
-  sanitizeString(params.reference_face, 'reference_face');
-  const args = ['--photobooth', '--ref', params.reference_face];
+  const args = ['--photobooth', '--ref', inputs.resolve(params.reference_face, 'reference_face', 'image')];
   if (params.model) args.push('-m', sanitizeString(params.model, 'model'));
   if (params.cn_strength != null) args.push('--cn-strength', String(params.cn_strength));
   if (params.cn_guidance_end != null) args.push('--cn-guidance-end', String(params.cn_guidance_end));
+  if (params.negative_prompt) args.push('--negative', sanitizeString(params.negative_prompt, 'negative_prompt'));
+  if (params.style_prompt) args.push('--style', sanitizeString(params.style_prompt, 'style_prompt'));
   if (params.width) args.push('-w', String(params.width));
   if (params.height) args.push('-h', String(params.height));
   if (params.count) args.push('-n', String(params.count));
-  if (params.output) args.push('-o', sanitizeString(params.output, 'output'));
+  if (params.output) args.push('-o', confinePath(params.output, 'output'));
   args.push('--', params.prompt);
+  return args;
+}
 
-  return runAndFormat(args, { timeoutMs: 60_000 });
+async function handlePhotobooth(params, { onProgress }) {
+  return withInputArea(
+    (inputs) => buildPhotoboothArgs(params, inputs),
+    (args) => runAndFormat(args, { timeoutMs: 60_000, onProgress }),
+  );
 }
 
-async function handleCheckBalance() {
-  return runAndFormat(['--balance'], { timeoutMs: 30_000 });
+function buildAngleArgs(params, inputs) {
+  const args = ['-c', inputs.resolve(params.reference_image, 'reference_image', 'image')];
+  if (params.elevation) args.push('--elevation', validateEnum(params.elevation, ELEVATION_KEYS, 'elevation'));
+  if (params.distance) args.push('--distance', validateEnum(params.distance, DISTANCE_KEYS, 'distance'));
+  if (params.angle_strength != null) args.push('--angle-strength', String(params.angle_strength));
+  if (params.model) args.push('-m', sanitizeString(params.model, 'model'));
+  if (params.width) args.push('-w', String(params.width));
+  if (params.height) args.push('-h', String(params.height));
+  if (params.seed != null) args.push('-s', String(params.seed));
+  if (params.output) args.push('-o', confinePath(params.output, 'output'));
+  return args;
+}
+
+function pushOptionalPrompt(args, params) {
+  if (params.prompt) args.push('--', sanitizeString(params.prompt, 'prompt'));
+  return args;
+}
+
+async function handleMultiAngle(params, { onProgress }) {
+  return withInputArea((inputs) => {
+    const args = ['--multi-angle', ...buildAngleArgs(params, inputs)];
+    if (params.azimuth) args.push('--azimuth', validateEnum(params.azimuth, AZIMUTH_KEYS, 'azimuth'));
+    if (params.count) args.push('-n', String(params.count));
+    return pushOptionalPrompt(args, params);
+  }, (args) => runAndFormat(args, { timeoutMs: 120_000, onProgress }));
+}
+
+async function handleTurntable360(params, { onProgress }) {
+  return withInputArea((inputs) => {
+    const args = ['--angles-360', ...buildAngleArgs(params, inputs)];
+    if (params.video_model) args.push('--video-model', sanitizeString(params.video_model, 'video_model'));
+    if (params.duration) args.push('--duration', String(params.duration));
+    // --angles-360-video takes an optional path, so it must not precede a bare value.
+    if (params.video) args.push('--angles-360-video');
+    return pushOptionalPrompt(args, params);
+  }, (args) => runAndFormat(args, { timeoutMs: params.video ? 3_600_000 : 600_000, onProgress }));
+}
+
+async function handleCheckBalance({ onProgress }) {
+  return runAndFormat(['--balance'], { timeoutMs: 30_000, onProgress });
+}
+
+async function handleListLoras(params, { onProgress }) {
+  const args = ['--list-loras'];
+  if (params?.model) args.push('-m', sanitizeString(params.model, 'model'));
+  return runAndFormat(args, { timeoutMs: 30_000, onProgress });
 }
 
 async function handleGetVersion() {
-  const result = await runSogniGen(['--version'], { timeoutMs: 5_000 });
+  const lib = await loadLibrary();
+  const result = lib
+    ? { success: true, version: lib.version }
+    : await runSogniGen(['--version'], { timeoutMs: 5_000 });
   if (result.success === false) return formatError(result);
   return {
     content: [{
@@ -680,6 +1691,65 @@ async function handleGetVersion() {
   };
 }
 
+function handleStartJob(type, buildArgs, { timeoutMs, jobs }) {
+  const credErr = checkCredentials();
+  if (credErr) return credErr;
+  // The job outlives this call, so its inline inputs are removed when it ends.
+  const inputs = createInputArea();
+  let job;
+  try {
+    job = startJob(jobs, type, buildArgs(inputs), { timeoutMs });
+  } catch (err) {
+    inputs.cleanup();
+    throw err;
+  }
+  job.done.finally(() => inputs.cleanup());
+  return formatJobSummary(job);
+}
+
+function handleGetJobStatus(params, { jobs }) {
+  return formatJobSummary(getJob(jobs, params.job_id));
+}
+
+async function handleWaitForJob(params, { onProgress, jobs }) {
+  const job = getJob(jobs, params.job_id);
+  const seconds = Math.min(Math.max(Number(params.timeout_seconds) || DEFAULT_WAIT_SECONDS, 1), MAX_WAIT_SECONDS);
+  if (onProgress) {
+    if (job.phase) onProgress({ phase: job.phase, percentage: job.progress, step: 1, steps: 1 });
+    job.listeners.add(onProgress);
+  }
+  let timer;
+  await Promise.race([
+    job.done,
+    new Promise((resolve) => { timer = setTimeout(resolve, seconds * 1000); }),
+  ]).finally(() => {
+    clearTimeout(timer);
+    job.listeners.delete(onProgress);
+  });
+  if (!isJobFinished(job)) return formatJobSummary(job);
+  const formatted = await formatResult(job.result);
+  formatted.content[0].text = `Job ${job.id} ${job.status}.\n\n${formatted.content[0].text}`;
+  return formatted;
+}
+
+function handleCancelJob(params, { jobs }) {
+  const job = getJob(jobs, params.job_id);
+  if (isJobFinished(job)) {
+    return {
+      content: [{ type: 'text', text: `Error: Job ${job.id} already ${job.status}.` }],
+      isError: true,
+    };
+  }
+  job.controller.abort();
+  if (job.status === 'queued') {
+    // Never started; the queue skips it once its turn comes.
+    job.status = 'cancelled';
+    job.finishedAt = Date.now();
+    job.result = { success: false, error: 'Render cancelled.', errorCode: 'CANCELLED' };
+  }
+  return formatJobSummary(job);
+}
+
 function handleListModels() {
   const text = `${IMAGE_MODEL_TABLE}
 
@@ -697,35 +1767,282 @@ Defaults:
   return { content: [{ type: 'text', text }] };
 }
 
+// ---------------------------------------------------------------------------
+// Resources — past renders as sogni://render/<id>, where <id> is a history
+// id, `last` (last-render.json) or the name of a copy in ~/Downloads/sogni
+// that belongs to no history entry.
+// ---------------------------------------------------------------------------
+
+const RENDER_URI_PREFIX = 'sogni://render/';
+const MAX_LISTED_RENDERS = 50;
+const MAX_BLOB_BYTES = 10 * 1024 * 1024;
+const DOWNLOAD_NAME_RE = /^sogni-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(?:-r(\d+))?-\d+\.[a-z0-9]+$/i;
+// Names of the copies formatSuccess() wrote, one per line. A custom template
+// can match the user's own files, so retention only deletes names listed here.
+const DOWNLOAD_MANIFEST = '.sogni-gen-mcp-files';
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+};
+
+function readJsonFile(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Every render history entry, oldest first, from the library's reader. In
+ * spawn mode the CLI lists it instead.
+ */
+async function readRenderHistory() {
+  const lib = await loadLibrary();
+  if (lib) return lib.readRenderHistory();
+  const result = await spawnSogniGen(['--history', '--limit', String(Number.MAX_SAFE_INTEGER)]).catch(() => null);
+  return result?.success ? result.entries.reverse() : [];
+}
+
+/**
+ * Copies formatSuccess() saved, newest first, with the history id parsed
+ * from their name (null for copies made before ids were recorded). Names
+ * from the current template and from the default one are both recognised.
+ */
+function listDownloads() {
+  if (!existsSync(OUTPUT.dir)) return [];
+  return readdirSync(OUTPUT.dir)
+    .filter((name) => name !== DOWNLOAD_MANIFEST)
+    .map((name) => ({ name, match: OUTPUT.filename.regex.exec(name) || DOWNLOAD_NAME_RE.exec(name) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => {
+      const path = join(OUTPUT.dir, name);
+      const id = match.groups?.id ?? match[1];
+      return { name, path, historyId: id ? Number(id) : null, mtimeMs: statSync(path).mtimeMs };
+    })
+    .filter(({ path }) => statSync(path).isFile())
+    .sort((a, b) => b.mtimeMs - a.mtimeMs);
+}
+
+function readDownloadManifest() {
+  const manifestPath = join(OUTPUT.dir, DOWNLOAD_MANIFEST);
+  if (!existsSync(manifestPath)) return new Set();
+  return new Set(readFileSync(manifestPath, 'utf8').split('\n').filter(Boolean));
+}
+
+function recordDownloads(paths) {
+  appendFileSync(join(OUTPUT.dir, DOWNLOAD_MANIFEST), paths.map((path) => `${basename(path)}\n`).join(''));
+}
+
+/**
+ * Apply the retention policy to the output folder: drop copies older than
+ * SOGNI_GEN_MCP_MAX_AGE_DAYS, then all but the newest SOGNI_GEN_MCP_MAX_FILES.
+ * Only copies in the manifest (or with the default name, from before it
+ * existed) are touched, never the ones in `keep`.
+ */
+function pruneDownloads(keep = []) {
+  if (OUTPUT.maxFiles === null && OUTPUT.maxAgeMs === null) return;
+  const cutoff = OUTPUT.maxAgeMs === null ? -Infinity : Date.now() - OUTPUT.maxAgeMs;
+  const manifest = readDownloadManifest();
+  const ours = listDownloads().filter((file) => manifest.has(file.name) || DOWNLOAD_NAME_RE.test(file.name));
+  let kept = keep.length;
+  for (const file of ours) {
+    if (keep.includes(file.path)) continue;
+    if (file.mtimeMs >= cutoff && (OUTPUT.maxFiles === null || kept < OUTPUT.maxFiles)) {
+      kept++;
+      continue;
+    }
+    try {
+      unlinkSync(file.path);
+    } catch {
+      // Already gone or not ours to delete; try again after the next render.
+    }
+  }
+  // Forget deleted copies so the manifest only grows with the folder.
+  const remaining = [...manifest].filter((name) => existsSync(join(OUTPUT.dir, name)));
+  if (remaining.length < manifest.size) {
+    writeFileSync(join(OUTPUT.dir, DOWNLOAD_MANIFEST), remaining.map((name) => `${name}\n`).join(''));
+  }
+}
+
+/** Every existing local file a history entry points at, plus its downloads. */
+function collectRenderFiles(entry, downloads) {
+  const paths = [
+    ...(entry.localPaths || (entry.localPath ? [entry.localPath] : [])),
+    ...(entry.angles || []).flatMap((angle) => angle.localPaths || []),
+    entry.videoPath,
+    entry.gridPath,
+    ...downloads.filter((file) => entry.id != null && file.historyId === entry.id).map((file) => file.path),
+  ];
+  return [...new Set(paths.filter((path) => typeof path === 'string' && existsSync(path) && statSync(path).isFile()))];
+}
+
+function describeRender(entry) {
+  const prompt = entry.prompt ? ` "${entry.prompt.length > 60 ? `${entry.prompt.slice(0, 57)}...` : entry.prompt}"` : '';
+  return `#${entry.id} ${entry.type || 'render'}${prompt}`;
+}
+
+/** Resolve a render id to `{ metadata, files }`, or null when unknown. */
+async function findRender(id) {
+  const downloads = listDownloads();
+  let entry = null;
+  if (id === 'last') {
+    entry = readJsonFile(LAST_RENDER_PATH);
+  } else if (/^\d+$/.test(id)) {
+    entry = (await readRenderHistory()).find((item) => String(item.id) === id) || null;
+  } else {
+    const file = downloads.find((item) => item.name.slice(0, -extname(item.name).length) === id);
+    if (!file) return null;
+    return {
+      metadata: { id, savedAt: new Date(file.mtimeMs).toISOString(), historyId: file.historyId },
+      files: [file.path],
+    };
+  }
+  if (!entry) return null;
+  return { metadata: entry, files: collectRenderFiles(entry, downloads) };
+}
+
+async function listRenderResources() {
+  const downloads = listDownloads();
+  const history = (await readRenderHistory()).reverse();
+  const knownIds = new Set(history.map((entry) => entry.id));
+  const resources = history.map((entry) => ({
+    uri: `${RENDER_URI_PREFIX}${entry.id}`,
+    name: describeRender(entry),
+    description: [entry.timestamp, entry.model].filter(Boolean).join(' '),
+    mimeType: 'application/json',
+  }));
+  for (const file of downloads) {
+    if (file.historyId != null && knownIds.has(file.historyId)) continue;
+    const id = file.name.slice(0, -extname(file.name).length);
+    resources.push({
+      uri: `${RENDER_URI_PREFIX}${id}`,
+      name: file.name,
+      description: `Saved ${new Date(file.mtimeMs).toISOString()}`,
+      mimeType: MIME_TYPES[extname(file.name).toLowerCase()] || 'application/octet-stream',
+    });
+  }
+  return resources.slice(0, MAX_LISTED_RENDERS);
+}
+
+/**
+ * Render metadata as JSON, followed by each saved image as a blob. Videos
+ * and oversized files are listed in the metadata `files` only.
+ */
+async function readRenderResource(uri) {
+  const id = uri.startsWith(RENDER_URI_PREFIX) ? decodeURIComponent(uri.slice(RENDER_URI_PREFIX.length)) : null;
+  const render = id ? await findRender(id) : null;
+  if (!render) throw new Error(`Unknown resource: ${uri}`);
+  const contents = [{
+    uri,
+    mimeType: 'application/json',
+    text: JSON.stringify({ ...render.metadata, files: render.files }, null, 2),
+  }];
+  for (const path of render.files) {
+    const mimeType = MIME_TYPES[extname(path).toLowerCase()];
+    if (!mimeType?.startsWith('image/') || statSync(path).size > MAX_BLOB_BYTES) continue;
+    contents.push({
+      uri: `${uri}/${encodeURIComponent(basename(path))}`,
+      mimeType,
+      blob: readFileSync(path).toString('base64'),
+    });
+  }
+  return { contents };
+}
+
 // ---------------------------------------------------------------------------
 // Server setup
 // ---------------------------------------------------------------------------
 
-const server = new Server(
-  { name: 'sogni', version: SERVER_VERSION },
-  { capabilities: { tools: {} } },
-);
+// Every connected client gets its own Server (stdio has exactly one; each
+// HTTP session another); the client and render queue are shared.
+const servers = new Set();
+const pendingCalls = new Set();
+
+function createServer() {
+  const server = new Server(
+    { name: 'sogni', version: SERVER_VERSION },
+    { capabilities: { tools: {}, resources: { listChanged: true } } },
+  );
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: await listRenderResources() }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: [{
+      uriTemplate: `${RENDER_URI_PREFIX}{id}`,
+      name: 'Sogni render',
+      description: 'A past render by history id (see the sogni-gen --history list), or "last" for the most recent one.',
+      mimeType: 'application/json',
+    }],
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => readRenderResource(request.params.uri));
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
 
-server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+  const jobs = new Map();
+  jobTables.add(jobs);
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) => {
+    const call = handleToolCall(request, extra, jobs);
+    pendingCalls.add(call);
+    call.finally(() => pendingCalls.delete(call));
+    return call;
+  });
+
+  servers.add(server);
+  server.onclose = () => {
+    servers.delete(server);
+    // Nobody can collect this client's jobs any more.
+    const pending = [...jobs.values()].filter((job) => !isJobFinished(job));
+    pending.forEach((job) => job.controller.abort());
+    Promise.allSettled(pending.map((job) => job.done)).then(() => jobTables.delete(jobs));
+  };
+  return server;
+}
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function handleToolCall(request, extra, jobs) {
   const { name, arguments: params } = request.params;
+  const context = { onProgress: createProgressNotifier(request, extra), jobs };
   try {
     switch (name) {
       case 'generate_image':
-        return await handleGenerateImage(params);
+        return await handleGenerateImage(params, context);
       case 'generate_video':
-        return await handleGenerateVideo(params);
+        return await handleGenerateVideo(params, context);
       case 'edit_image':
-        return await handleEditImage(params);
+        return await handleEditImage(params, context);
+      case 'inpaint_image':
+        return await handleInpaintImage(params, context);
       case 'photobooth':
-        return await handlePhotobooth(params);
+        return await handlePhotobooth(params, context);
+      case 'multi_angle':
+        return await handleMultiAngle(params, context);
+      case 'turntable_360':
+        return await handleTurntable360(params, context);
       case 'check_balance':
-        return await handleCheckBalance();
+        return await handleCheckBalance(context);
       case 'list_models':
         return handleListModels();
+      case 'list_loras':
+        return await handleListLoras(params, context);
       case 'get_version':
         return await handleGetVersion();
+      case 'start_image':
+        return handleStartJob('image', () => buildImageArgs(params), { timeoutMs: 60_000, jobs });
+      case 'start_video':
+        return handleStartJob('video', (inputs) => buildVideoArgs(params, inputs), { timeoutMs: 600_000, jobs });
+      case 'get_job_status':
+        return handleGetJobStatus(params, context);
+      case 'wait_for_job':
+        return await handleWaitForJob(params, context);
+      case 'cancel_job':
+        return handleCancelJob(params, context);
       default:
         return {
           content: [{ type: 'text', text: `Unknown tool: ${name}` }],
@@ -738,11 +2055,270 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true,
     };
   }
-});
+}
+
+// ---------------------------------------------------------------------------
+// HTTP transport — `--http` serves MCP over streamable HTTP at /mcp so several
+// clients can share one server (and one Sogni login) on a workstation.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_HTTP_PORT = 3000;
+const DEFAULT_HTTP_HOST = '127.0.0.1';
+const HTTP_ENDPOINT = '/mcp';
+// Inline media is base64 inside the JSON body: 50MB decoded is ~67MB encoded.
+const MAX_HTTP_BODY_BYTES = 80 * 1024 * 1024;
+const DEFAULT_SESSION_IDLE_MINUTES = 30;
+
+const SERVER_USAGE = `Usage: sogni-gen-mcp [--http [--port N] [--host HOST] [--token TOKEN]]
+
+  (default)      Serve MCP over stdio for a single client.
+  --http         Serve MCP over streamable HTTP at http://HOST:PORT${HTTP_ENDPOINT}.
+  --port N       HTTP port (default ${DEFAULT_HTTP_PORT}; 0 picks a free port).
+  --host HOST    Interface to bind (default ${DEFAULT_HTTP_HOST}; 0.0.0.0 for the whole network).
+  --token TOKEN  Require "Authorization: Bearer TOKEN". Prefer $SOGNI_GEN_MCP_TOKEN:
+                 flags are visible to other users in the process list.
+
+  A token is required unless HOST is a loopback address. Sessions idle for
+  $SOGNI_GEN_MCP_SESSION_IDLE_MINUTES (default ${DEFAULT_SESSION_IDLE_MINUTES}) are closed. Renders from all
+  sessions share one Sogni client and run one at a time, so a long video
+  delays every other client's calls until it finishes. Local paths in tool
+  calls must be inside the output folder or a $SOGNI_GEN_MCP_ROOTS folder.`;
+
+function exitWithUsage(message) {
+  if (message) console.error(`Error: ${message}\n`);
+  console.error(SERVER_USAGE);
+  process.exit(message ? 1 : 0);
+}
+
+function parseServerArgs(argv) {
+  const options = {
+    http: false,
+    port: DEFAULT_HTTP_PORT,
+    host: DEFAULT_HTTP_HOST,
+    token: process.env.SOGNI_GEN_MCP_TOKEN || null,
+    sessionIdleMs: DEFAULT_SESSION_IDLE_MINUTES * 60_000,
+  };
+  const valueOf = (i) => {
+    if (i + 1 >= argv.length) exitWithUsage(`${argv[i]} requires a value.`);
+    return argv[i + 1];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--http':
+        options.http = true;
+        break;
+      case '--port': {
+        const port = Number(valueOf(i++));
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+          exitWithUsage(`--port must be an integer between 0 and 65535, got "${argv[i]}".`);
+        }
+        options.port = port;
+        break;
+      }
+      case '--host':
+        options.host = valueOf(i++);
+        break;
+      case '--token':
+        options.token = valueOf(i++);
+        console.error('Warning: --token is visible in the process list; prefer SOGNI_GEN_MCP_TOKEN.');
+        break;
+      case '-h':
+      case '--help':
+        exitWithUsage();
+        break;
+      default:
+        exitWithUsage(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (!options.http && (argv.includes('--port') || argv.includes('--host') || argv.includes('--token'))) {
+    exitWithUsage('--port, --host and --token only apply with --http.');
+  }
+  if (options.http && !options.token && !isLoopbackHost(options.host)) {
+    exitWithUsage(`--host ${options.host} is reachable from the network; set SOGNI_GEN_MCP_TOKEN (or --token).`);
+  }
+  const idleMinutes = process.env.SOGNI_GEN_MCP_SESSION_IDLE_MINUTES;
+  if (idleMinutes !== undefined && idleMinutes !== '') {
+    const minutes = Number(idleMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      exitWithUsage(`SOGNI_GEN_MCP_SESSION_IDLE_MINUTES must be a positive number, got "${idleMinutes}".`);
+    }
+    options.sessionIdleMs = minutes * 60_000;
+  }
+  return options;
+}
+
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || host.startsWith('127.');
+}
+
+/**
+ * Host and Origin values a loopback-only server answers to. Browsers send the
+ * attacker's name in Host after a DNS rebind, so the SDK rejects anything else.
+ */
+function loopbackAllowlist(port) {
+  const hosts = ['localhost', '127.0.0.1', '[::1]'].map((name) => `${name}:${port}`);
+  return { allowedHosts: hosts, allowedOrigins: hosts.map((host) => `http://${host}`) };
+}
+
+/** Compare bearer tokens without leaking their length or content through timing. */
+function isAuthorized(req, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+function sendJsonRpcError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_HTTP_BODY_BYTES) {
+        const err = new Error(`Request body exceeds ${MAX_HTTP_BODY_BYTES / 1024 / 1024}MB.`);
+        err.status = 413;
+        reject(err);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        const err = new Error('Parse error: request body is not valid JSON.');
+        err.status = 400;
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Route one HTTP request to its session's transport. A POST carrying an
+ * initialize request without a session id opens a new session with its own
+ * Server; everything else must name a live session.
+ */
+async function handleHttpRequest(req, res, { token, sessions, dnsRebinding }) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname !== HTTP_ENDPOINT) {
+    sendJsonRpcError(res, 404, `Not found; the MCP endpoint is ${HTTP_ENDPOINT}.`);
+    return;
+  }
+  if (token && !isAuthorized(req, token)) {
+    sendJsonRpcError(res, 401, 'Unauthorized: missing or invalid bearer token.', { 'WWW-Authenticate': 'Bearer' });
+    return;
+  }
+
+  let body;
+  if (req.method === 'POST') {
+    try {
+      body = await readJsonBody(req);
+    } catch (err) {
+      sendJsonRpcError(res, err.status || 400, err.message);
+      return;
+    }
+  }
+
+  const sessionId = req.headers['mcp-session-id'];
+  let session = sessionId ? sessions.get(sessionId) : null;
+  if (!session) {
+    if (sessionId) {
+      sendJsonRpcError(res, 404, `Unknown session: ${sessionId}`);
+      return;
+    }
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, 'Bad request: send an initialize request to open a session first.');
+      return;
+    }
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => sessions.set(id, session),
+      ...(dnsRebinding && { enableDnsRebindingProtection: true, ...dnsRebinding }),
+    });
+    session = { transport, lastActive: Date.now(), inFlight: 0 };
+    transport.onclose = () => {
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+    };
+    await createServer().connect(transport);
+  }
+  // Open requests (a render, an SSE stream) keep a session alive; the idle
+  // clock starts when the last one finishes.
+  session.inFlight++;
+  res.once('close', () => {
+    session.inFlight--;
+    session.lastActive = Date.now();
+  });
+  await session.transport.handleRequest(req, res, body);
+}
+
+/** Close sessions with no open request for longer than `idleMs`. */
+function evictIdleSessions(sessions, idleMs) {
+  const cutoff = Date.now() - idleMs;
+  for (const [id, session] of sessions) {
+    if (session.inFlight === 0 && session.lastActive < cutoff) {
+      sessions.delete(id);
+      session.transport.close().catch(() => {});
+    }
+  }
+}
+
+async function startHttpServer({ port, host, token, sessionIdleMs }) {
+  const sessions = new Map();
+  const context = { token, sessions, dnsRebinding: null };
+  const httpServer = createHttpServer((req, res) => {
+    handleHttpRequest(req, res, context).catch((err) => {
+      console.error(`sogni-gen-mcp: ${err.message}`);
+      if (!res.headersSent) sendJsonRpcError(res, 500, 'Internal server error.');
+      else res.end();
+    });
+  });
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  pathRoots = [OUTPUT.dir, ...OUTPUT.roots].map(realPathOf);
+  const address = httpServer.address();
+  if (isLoopbackHost(host)) context.dnsRebinding = loopbackAllowlist(address.port);
+  const shownHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+  console.error(`sogni-gen-mcp listening on http://${shownHost}:${address.port}${HTTP_ENDPOINT}`);
+  const sweep = setInterval(() => evictIdleSessions(sessions, sessionIdleMs), Math.min(sessionIdleMs, 60_000));
+  sweep.unref();
+
+  let stopping = false;
+  const stop = async () => {
+    if (stopping) return;
+    stopping = true;
+    clearInterval(sweep);
+    httpServer.close();
+    await Promise.allSettled([...sessions.values()].map(({ transport }) => transport.close()));
+    httpServer.closeAllConnections();
+    await shutdown(pendingCalls);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
 
 // ---------------------------------------------------------------------------
 // Start
 // ---------------------------------------------------------------------------
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
+const options = parseServerArgs(process.argv.slice(2));
+
+if (options.http) {
+  await startHttpServer(options);
+} else {
+  await createServer().connect(new StdioServerTransport());
+
+  // The stdio transport ignores stdin closing; without this the shared client's
+  // socket would keep the process alive after the MCP client exits.
+  process.stdin.on('end', () => setImmediate(() => shutdown(pendingCalls)));
+}
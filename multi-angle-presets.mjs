@@ -0,0 +1,30 @@
+/**
+ * Camera presets for the Multiple Angles LoRA (--multi-angle / --angles-360).
+ *
+ * Kept free of dependencies so the MCP server can build its tool schemas
+ * without loading the Sogni SDK.
+ */
+
+export const MULTI_ANGLE_AZIMUTHS = [
+  { key: 'front', prompt: 'front view' },
+  { key: 'front-right', prompt: 'front-right quarter view' },
+  { key: 'right', prompt: 'right side view' },
+  { key: 'back-right', prompt: 'back-right quarter view' },
+  { key: 'back', prompt: 'back view' },
+  { key: 'back-left', prompt: 'back-left quarter view' },
+  { key: 'left', prompt: 'left side view' },
+  { key: 'front-left', prompt: 'front-left quarter view' }
+];
+
+export const MULTI_ANGLE_ELEVATIONS = [
+  { key: 'low-angle', prompt: 'low-angle shot' },
+  { key: 'eye-level', prompt: 'eye-level shot' },
+  { key: 'elevated', prompt: 'elevated shot' },
+  { key: 'high-angle', prompt: 'high-angle shot' }
+];
+
+export const MULTI_ANGLE_DISTANCES = [
+  { key: 'close-up', prompt: 'close-up' },
+  { key: 'medium', prompt: 'medium shot' },
+  { key: 'wide', prompt: 'wide shot' }
+];
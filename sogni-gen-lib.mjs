@@ -0,0 +1,5587 @@
+/**
+ * sogni-gen library - Generate images and videos using Sogni AI
+ *
+ *   import { generateImage } from 'sogni-gen';
+ *   const result = await generateImage({ prompt: 'a cat wearing a hat', output: 'cat.png' });
+ *
+ * The CLI (sogni-gen.mjs) is a thin wrapper around runCli().
+ */
+
+import { SogniClientWrapper, ClientEvent, getMaxContextImages } from '@sogni-ai/sogni-client-wrapper';
+import { SogniClient } from '@sogni-ai/sogni-client';
+import JSON5 from 'json5';
+import YAML from 'yaml';
+import { createHash, randomBytes } from 'crypto';
+import { spawnSync } from 'child_process';
+import { readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync, mkdtempSync, renameSync, statSync, unlinkSync, openSync, readSync, fstatSync, closeSync } from 'fs';
+import { crc32 } from 'zlib';
+import { join, dirname, extname, resolve as resolvePath } from 'path';
+import { homedir, tmpdir } from 'os';
+import sharp from 'sharp';
+import { MULTI_ANGLE_AZIMUTHS, MULTI_ANGLE_ELEVATIONS, MULTI_ANGLE_DISTANCES } from './multi-angle-presets.mjs';
+
+// ---------------------------------------------------------------------------
+// Path sanitization — defense-in-depth for any value that becomes a file path
+// or process argument.  spawnSync already uses the array form (no shell), so
+// classic shell injection is not possible.  These checks guard against:
+//   • null-byte injection (can truncate paths at the C level)
+//   • control-character injection
+//   • FFMPEG_PATH pointing to a non-ffmpeg binary
+// ---------------------------------------------------------------------------
+
+/**
+ * Reject null bytes and control characters in a path string.
+ * Returns the path unchanged when valid; throws otherwise.
+ */
+function sanitizePath(p, label) {
+  if (typeof p !== 'string') {
+    const err = new Error(`${label || 'Path'} must be a string.`);
+    err.code = 'INVALID_PATH';
+    throw err;
+  }
+  if (p.includes('\0')) {
+    const err = new Error(`${label || 'Path'} contains a null byte.`);
+    err.code = 'INVALID_PATH';
+    throw err;
+  }
+  // Reject ASCII control characters except tab (\x09), newline (\x0a), carriage return (\x0d)
+  if (/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(p)) {
+    const err = new Error(`${label || 'Path'} contains invalid control characters.`);
+    err.code = 'INVALID_PATH';
+    throw err;
+  }
+  return p;
+}
+
+const LAST_RENDER_PATH = join(homedir(), '.config', 'sogni', 'last-render.json');
+const BATCH_LEDGER_PATH = join(homedir(), '.config', 'sogni', 'batch-ledger.jsonl');
+const HISTORY_PATH = join(homedir(), '.config', 'sogni', 'history.jsonl');
+const OPENCLAW_CONFIG_PATH = process.env.OPENCLAW_CONFIG_PATH || join(homedir(), '.openclaw', 'openclaw.json');
+const IS_OPENCLAW_INVOCATION = Boolean(process.env.OPENCLAW_PLUGIN_CONFIG);
+const PACKAGE_VERSION = (() => {
+  try {
+    const pkg = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+    return pkg.version || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+})();
+const VIDEO_WORKFLOW_DEFAULT_MODELS = {
+  't2v': 'wan_v2.2-14b-fp8_t2v_lightx2v',
+  'i2v': 'wan_v2.2-14b-fp8_i2v_lightx2v',
+  's2v': 'wan_v2.2-14b-fp8_s2v_lightx2v',
+  'animate-move': 'wan_v2.2-14b-fp8_animate-move_lightx2v',
+  'animate-replace': 'wan_v2.2-14b-fp8_animate-replace_lightx2v',
+  'v2v': 'ltx2-19b-fp8_v2v_distilled'
+};
+
+function isLtx2Model(modelId) { return modelId?.startsWith('ltx2-') || false; }
+function isWanModel(modelId) { return modelId?.startsWith('wan_') || false; }
+// Qwen edit models take context images instead of a starting image.
+function supportsInitImage(modelId) {
+  return !modelId?.startsWith('qwen_image_edit') && !isWanModel(modelId) && !isLtx2Model(modelId);
+}
+const DEFAULT_DENOISE = 0.6;
+// Still-image ControlNets: SD 1.5 checkpoints take the full set, SDXL only InstantID,
+// and the Flux, Z-Image, Qwen and video families none.
+const SD15_CONTROLNETS = [
+  'canny', 'depth', 'inpaint', 'instrp2p', 'lineart', 'lineartanime', 'mlsd',
+  'normalbae', 'openpose', 'scribble', 'segmentation', 'shuffle', 'softedge', 'tile'
+];
+function imageControlNetsForModel(modelId) {
+  const id = (modelId || '').toLowerCase();
+  if (/^(flux|z_image|qwen|chroma)/.test(id) || isWanModel(id) || isLtx2Model(id)) return [];
+  if (id.includes('xl')) return ['instantid'];
+  return SD15_CONTROLNETS;
+}
+// Edit project param carrying an inpaint mask, per model. The client has no
+// mask param for the Qwen edit models (gptImageMask is for GPT Image models
+// only), so none is listed and a mask is refused instead of silently dropped.
+const INPAINT_MASK_PARAMS = {};
+function inpaintMaskParam(modelId) {
+  return INPAINT_MASK_PARAMS[modelId] || null;
+}
+
+function buildCliErrorPayload({ message, code, details, hint, prompt }) {
+  const payload = {
+    success: false,
+    error: message || 'Unknown error',
+    prompt: prompt ?? null
+  };
+  if (code) payload.errorCode = code;
+  if (details) payload.errorDetails = details;
+  if (hint) payload.hint = hint;
+  payload.timestamp = new Date().toISOString();
+  payload.node = process.versions.node;
+  payload.cwd = process.cwd();
+  if (IS_OPENCLAW_INVOCATION) payload.openclaw = true;
+  return payload;
+}
+
+/**
+ * Throw a validation error carrying the fields used by the JSON error payload.
+ * The CLI entry point reports it and exits; batch mode records it against the
+ * failing entry and moves on to the next one.
+ */
+function fatalCliError(message, opts = {}) {
+  const err = new Error(message);
+  err.code = opts.code;
+  if (opts.details) err.details = opts.details;
+  if (opts.hint) err.hint = opts.hint;
+  err.isCliValidation = true;
+  throw err;
+}
+
+function reportFatalCliError(error, prompt, wantsJson) {
+  const payload = buildCliErrorPayload({
+    message: error.message,
+    code: error.code,
+    details: error.details,
+    hint: error.hint,
+    prompt
+  });
+
+  if (wantsJson || IS_OPENCLAW_INVOCATION) {
+    console.log(JSON.stringify(payload));
+    if (!wantsJson) {
+      // OpenClaw expects JSON, but humans still benefit from stderr.
+      console.error(`Error: ${payload.error}`);
+      if (payload.hint) console.error(`Hint: ${payload.hint}`);
+    }
+  } else {
+    console.error(`Error: ${payload.error}`);
+    if (payload.hint) console.error(`Hint: ${payload.hint}`);
+  }
+}
+
+function printHelp() {
+  console.log(`
+  sogni-gen - Generate images and videos using Sogni AI
+
+  Usage: sogni-gen [options] "prompt"
+
+  Image Options:
+    -o, --output <path>   Save to file (otherwise prints URL); a dir or template saves all results
+                          Tokens: {prompt_slug} {seed} {model} {date} {index} {workflow} {azimuth}
+    --var <name=a,b>      Prompt variable: each value replaces {name} (repeatable, builds a matrix)
+    --no-matrix           Send {a|b} in the prompt as-is instead of rendering every combination
+    -m, --model <id>      Model (default: z_image_turbo_bf16)
+    -w, --width <px>      Width (default: 512)
+    -h, --height <px>     Height (default: 512)
+    -n, --count <num>     Number of images (default: 1)
+    -s, --seed <num>      Use specific seed
+    --last-seed           Reuse seed from previous render
+    --seed-strategy <s>   Seed strategy: random|prompt-hash
+    --multi-angle         Multiple angles LoRA mode (Qwen Image Edit)
+    --angles-360          Generate 8 azimuths (front -> front-left)
+    --angles-360-video [path]  Assemble a looping 360 mp4 using i2v between angles (requires ffmpeg)
+    --video-model <id>    Override i2v model for 360 video (e.g. wan_v2.2-14b-fp8_i2v for higher quality)
+    --azimuth <key>       front|front-right|right|back-right|back|back-left|left|front-left
+    --elevation <key>     low-angle|eye-level|elevated|high-angle
+    --distance <key>      close-up|medium|wide
+    --angle-strength <n>  LoRA strength for multiple_angles (default: 0.9)
+    --angle-description <text>  Optional subject description
+    --grid <path>         Compose all outputs (count, angles, matrix) into a captioned contact sheet
+    --output-format <f>   Image output format: png|jpg
+    --sampler <name>      Sampler (model-dependent)
+    --scheduler <name>    Scheduler (model-dependent)
+    --lora <id>           LoRA id (repeatable; see --list-loras)
+    --loras <ids>         Comma-separated LoRA ids
+    --lora-strength <n>   LoRA strength (repeatable)
+    --lora-strengths <n>  Comma-separated LoRA strengths
+    -c, --context <path>  Context image for editing (can use multiple)
+    --last-image          Use last generated image as context
+    --mask <path>         Inpaint: only regenerate the white area of the first context image
+                          (models with mask support only; the Qwen edit models have none)
+    --mask-feather <px>   Blur the mask edge by this many pixels (default: 0)
+    --extend <sides>      Outpaint: grow the context image, e.g. left=256,right=256 (px)
+    --aspect <w:h> --outpaint  Outpaint the context image out to this aspect ratio (e.g. 16:9)
+                          (outpainting needs mask support too)
+    --init-image <path|url>  Image-to-image: start from this image instead of noise
+    --denoise <0-1>       How much of the init image to repaint (default: ${DEFAULT_DENOISE})
+    --controlnet <name>   Guide composition with a ControlNet (SD 1.5 models: canny, depth, openpose, scribble, ...)
+    --control-image <path|url>  Control image for --controlnet (sketch, pose, depth map, photo)
+    --controlnet-strength <n>  ControlNet strength (0.0-1.0)
+    --cn-guidance-start <n>    Step fraction where ControlNet starts (0.0-1.0)
+    --cn-guidance-end <n>      Step fraction where ControlNet stops (0.0-1.0)
+
+  Photobooth (Face Transfer):
+    --photobooth            Face transfer mode (InstantID + SDXL Turbo)
+    --ref <path|url>        Face image (required with --photobooth)
+    --cn-strength <n>       ControlNet strength (default: 0.8)
+    --cn-guidance-start <n> ControlNet guidance start point (default: 0)
+    --cn-guidance-end <n>   ControlNet guidance end point (default: 0.3)
+
+  Video Options:
+    --video, -v           Generate video instead of image
+    --workflow <type>     Video workflow: t2v|i2v|s2v|v2v|animate-move|animate-replace
+    --fps <num>           Frames per second (default: 16)
+    --duration <sec>      Duration in seconds (default: 5)
+    --frames <num>        Override total frames (optional)
+    --auto-resize-assets  Auto-resize video reference assets (default)
+    --no-auto-resize-assets  Disable auto-resize for video assets
+    --estimate-video-cost Estimate video cost and exit (requires --steps)
+    --ref <path|url>      Reference image for video (start frame)
+    --ref-end <path|url>  End frame for interpolation/morphing
+    --ref-audio <path>    Reference audio for s2v
+    --ref-video <path>    Reference video for animate/v2v workflows
+    --controlnet-name <n> ControlNet type for v2v: canny|pose|depth|detailer
+    --controlnet-strength <n>  ControlNet strength for v2v (0.0-1.0, default: 0.8)
+    --sam2-coordinates <coords>  SAM2 click coords for animate-replace (x,y or x1,y1;x2,y2)
+    --trim-end-frame      Trim last frame for seamless video stitching
+    --first-frame-strength <n>  Keyframe strength for start frame (0.0-1.0)
+    --last-frame-strength <n>   Keyframe strength for end frame (0.0-1.0)
+    --looping, --loop     Create seamless loop (i2v only): A→B→A
+    --last-image          Use last generated image as reference
+
+  General:
+    -t, --timeout <sec>   Timeout in seconds (default: 30, video: 300)
+    --steps <num>         Override steps (model-dependent)
+    --guidance <num>      Override guidance (model-dependent)
+    --negative <text>     Negative prompt: what to avoid (all project types)
+    --style <text>        Style prompt (all project types)
+    --token-type <type>   Token type: spark|sogni (default: spark)
+    --balance, --balances Show SPARK/SOGNI balances and exit
+    --list-loras          List LoRA ids and default strengths (for -m if given) and exit
+    --version, -V         Show sogni-gen version and exit
+    --last                Show last render info (JSON)
+    --history             List past renders, newest first
+    --limit <n>           Number of history entries to list (default: 20)
+    --filter <key=value>  Only list history entries matching a field (repeatable)
+    --from-history <id>   Reuse a past render's image (default) or seed with --last-seed
+    --replay <file|id>    Re-run a past render (history id or render info JSON) with its exact settings
+    --inspect <file>      Print the generation metadata embedded in a saved PNG/JPG/MP4
+    --no-metadata         Do not embed prompt/seed/model metadata in saved files
+    --batch <file>        Run every render spec in a .jsonl/.json/.yaml manifest over one connection
+    --batch-report <file> Write the batch JSONL report to a file (default: stdout)
+    --no-resume           Re-render batch entries already completed in the batch ledger
+    --json                Output JSON with all details
+    --strict-size         Do not auto-adjust video size to satisfy i2v reference resizing constraints
+    -q, --quiet           Suppress progress output
+
+  Image Models:
+    z_image_turbo_bf16              Fast, general purpose (default)
+    flux1-schnell-fp8               Very fast
+    flux2_dev_fp8                   High quality (slow)
+    qwen_image_edit_2511_fp8        Image editing with context (up to 3 images)
+    qwen_image_edit_2511_fp8_lightning  Fast image editing
+
+  WAN 2.2 Video Models:
+    wan_v2.2-14b-fp8_t2v_lightx2v   Text-to-video (fast)
+    wan_v2.2-14b-fp8_i2v_lightx2v   Fast (default)
+    wan_v2.2-14b-fp8_i2v            Higher quality
+    wan_v2.2-14b-fp8_s2v_lightx2v   Sound-to-video (fast)
+    wan_v2.2-14b-fp8_s2v            Sound-to-video (quality)
+    wan_v2.2-14b-fp8_animate-move_lightx2v     Animate-move (fast)
+    wan_v2.2-14b-fp8_animate-replace_lightx2v  Animate-replace (fast)
+
+  LTX-2 Video Models:
+    ltx2-19b-fp8_t2v_distilled      Text-to-video, fast 8-step
+    ltx2-19b-fp8_t2v                Text-to-video, quality 20-step
+    ltx2-19b-fp8_v2v_distilled      Video-to-video with ControlNet (fast)
+    ltx2-19b-fp8_v2v                Video-to-video with ControlNet (quality)
+
+  Examples:
+    sogni-gen "a cat wearing a hat"
+    sogni-gen -o cat.jpg "a cat" 
+    sogni-gen -o out/pet.png "a {cat|dog|fox} in {watercolor|pixel art}"
+    sogni-gen -o out/pet.png --var animal=cat,dog --var style=ink,oil "a {animal}, {style} painting"
+    sogni-gen --multi-angle -c subject.jpg --azimuth front-right --elevation eye-level --distance medium "studio portrait"
+    sogni-gen --angles-360 -c subject.jpg "studio portrait"
+    sogni-gen --video --ref cat.jpg -o cat.mp4 "cat walks around"
+    sogni-gen --video "ocean waves at sunset"
+    sogni-gen --video --ref cat.jpg --ref-audio speech.m4a -m wan_v2.2-14b-fp8_s2v_lightx2v "lip sync"
+    sogni-gen --video --ref subject.jpg --ref-video motion.mp4 --workflow animate-move "transfer motion"
+    sogni-gen --video --last-image "gentle camera pan"
+    sogni-gen -c photo.jpg "make the background a beach" -m qwen_image_edit_2511_fp8
+    sogni-gen -c subject.jpg -c style.jpg "apply the style to the subject"
+    sogni-gen --photobooth --ref face.jpg "80s fashion portrait"
+    sogni-gen --photobooth --ref face.jpg -n 4 "LinkedIn professional headshot"
+  `);
+}
+
+function printLastRender() {
+  if (existsSync(LAST_RENDER_PATH)) {
+    console.log(readFileSync(LAST_RENDER_PATH, 'utf8'));
+  } else {
+    console.error('No previous render found.');
+  }
+}
+
+function normalizeVideoWorkflow(value) {
+  if (!value) return null;
+  const normalized = value.toLowerCase();
+  if (normalized === 't2v' || normalized === 'text-to-video') return 't2v';
+  if (normalized === 'i2v' || normalized === 'image-to-video') return 'i2v';
+  if (normalized === 's2v' || normalized === 'sound-to-video') return 's2v';
+  if (normalized === 'animate-move' || normalized === 'animate_move') return 'animate-move';
+  if (normalized === 'animate-replace' || normalized === 'animate_replace') return 'animate-replace';
+  if (normalized === 'v2v' || normalized === 'video-to-video') return 'v2v';
+  return null;
+}
+
+function inferVideoWorkflowFromModel(modelId) {
+  if (!modelId) return null;
+  const id = modelId.toLowerCase();
+  if (id.includes('animate-move')) return 'animate-move';
+  if (id.includes('animate-replace')) return 'animate-replace';
+  if (id.includes('_v2v')) return 'v2v';
+  if (id.includes('_t2v') || id.includes('-t2v')) return 't2v';
+  if (id.includes('_i2v') || id.includes('-i2v')) return 'i2v';
+  if (id.includes('_s2v') || id.includes('-s2v')) return 's2v';
+  return null;
+}
+
+function inferVideoWorkflowFromAssets(opts) {
+  if (opts.refVideo && opts.videoControlNetName) return 'v2v';
+  if (opts.refVideo) return 'animate-move';
+  if (opts.refAudio) return 's2v';
+  if (opts.refImage || opts.refImageEnd) return 'i2v';
+  return null;
+}
+
+function workflowRequiresImage(workflow) {
+  return workflow === 'i2v' || workflow === 's2v' || workflow === 'animate-move' || workflow === 'animate-replace';
+}
+
+function normalizeSeedStrategy(value) {
+  if (!value) return null;
+  const normalized = value.toLowerCase();
+  if (normalized === 'random') return 'random';
+  if (normalized === 'prompt-hash' || normalized === 'prompt_hash') return 'prompt-hash';
+  return null;
+}
+
+function generateRandomSeed() {
+  return randomBytes(4).readUInt32BE(0);
+}
+
+function computePromptHashSeed(opts) {
+  const payload = {
+    prompt: opts.prompt || '',
+    model: opts.model || '',
+    workflow: opts.video ? opts.videoWorkflow : 'image',
+    width: opts.width,
+    height: opts.height,
+    azimuth: opts.azimuth || '',
+    elevation: opts.elevation || '',
+    distance: opts.distance || '',
+    angleDescription: opts.angleDescription || '',
+    outputFormat: opts.outputFormat || '',
+    sampler: opts.sampler || '',
+    scheduler: opts.scheduler || '',
+    loras: opts.loras || [],
+    loraStrengths: opts.loraStrengths || [],
+    refImage: opts.refImage || '',
+    refImageEnd: opts.refImageEnd || '',
+    refAudio: opts.refAudio || '',
+    refVideo: opts.refVideo || '',
+    contextImages: opts.contextImages || [],
+    autoResizeVideoAssets: opts.autoResizeVideoAssets,
+    tokenType: opts.tokenType || '',
+    steps: opts.steps ?? null,
+    guidance: opts.guidance ?? null
+  };
+  // Only hashed when set, so seeds for prompts without them are unchanged.
+  if (opts.negativePrompt) payload.negativePrompt = opts.negativePrompt;
+  if (opts.stylePrompt) payload.stylePrompt = opts.stylePrompt;
+  if (opts.mask) {
+    payload.mask = opts.mask;
+    payload.maskFeather = opts.maskFeather || 0;
+  }
+  if (opts.outpaint) {
+    payload.outpaint = opts.extend || opts.aspect;
+    payload.maskFeather = opts.maskFeather || 0;
+  }
+  if (opts.initImage) {
+    payload.initImage = opts.initImage;
+    payload.denoise = opts.denoise;
+  }
+  if (opts.controlNet) {
+    payload.controlNet = [opts.controlNet, opts.controlImage, opts.controlNetStrength, opts.cnGuidanceStart, opts.cnGuidanceEnd];
+  }
+  const hash = createHash('sha256').update(JSON.stringify(payload)).digest();
+  return hash.readUInt32BE(0);
+}
+
+function parseCsv(value) {
+  if (!value) return [];
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+function parseNumberValue(raw, flagName) {
+  const num = Number(raw);
+  if (!Number.isFinite(num)) {
+    fatalCliError(`${flagName} must be a number.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: flagName, value: raw }
+    });
+  }
+  return num;
+}
+
+// --extend left=256,right=256: pixels of new canvas per side of the source.
+function parseExtendSpec(raw, flagName) {
+  const extend = { left: 0, right: 0, top: 0, bottom: 0 };
+  for (const entry of parseCsv(raw)) {
+    const [side, value, ...rest] = entry.split('=');
+    const px = Number(value);
+    if (rest.length > 0 || !Object.hasOwn(extend, side) || !Number.isInteger(px) || px < 0) {
+      fatalCliError(`${flagName} expects side=pixels pairs (left, right, top, bottom), got "${entry}".`, {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: flagName, value: raw },
+        hint: `Example: ${flagName} left=256,right=256`
+      });
+    }
+    extend[side] = px;
+  }
+  if (Object.values(extend).every((px) => px === 0)) {
+    fatalCliError(`${flagName} must add pixels to at least one side.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: flagName, value: raw }
+    });
+  }
+  return extend;
+}
+
+function parseAspectValue(raw, flagName) {
+  const match = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/.exec(raw.trim());
+  if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) {
+    fatalCliError(`${flagName} must be a ratio like 16:9.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: flagName, value: raw }
+    });
+  }
+  return `${match[1]}:${match[2]}`;
+}
+
+function parseNumberList(raw, flagName) {
+  const entries = parseCsv(raw);
+  return entries.map((entry) => parseNumberValue(entry, flagName));
+}
+
+function requireFlagValue(argv, index, flagName) {
+  const value = argv[index + 1];
+  if (value === undefined) {
+    fatalCliError(`${flagName} requires a value.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: flagName }
+    });
+  }
+  return value;
+}
+
+function parseIntegerValue(raw, flagName) {
+  const num = Number(raw);
+  if (!Number.isInteger(num)) {
+    fatalCliError(`${flagName} must be an integer.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: flagName, value: raw }
+    });
+  }
+  return num;
+}
+
+function parsePositiveIntegerValue(raw, flagName, min = 1) {
+  const num = parseIntegerValue(raw, flagName);
+  if (num < min) {
+    fatalCliError(`${flagName} must be >= ${min}.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: flagName, value: raw, min }
+    });
+  }
+  return num;
+}
+
+function parseSeedValue(raw, flagName) {
+  const num = parseIntegerValue(raw, flagName);
+  if (num < 0 || num > 0xFFFFFFFF) {
+    fatalCliError(`${flagName} must be between 0 and 4294967295.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: flagName, value: raw }
+    });
+  }
+  return num;
+}
+
+function getModelDefaults(modelId, config) {
+  if (!modelId || !config?.modelDefaults) return null;
+  const entry = config.modelDefaults[modelId];
+  if (!entry || typeof entry !== 'object') return null;
+  return entry;
+}
+
+function formatTokenValue(value) {
+  if (!Number.isFinite(value)) return 'unknown';
+  return value.toFixed(2);
+}
+
+function inferDefaultVideoSteps(modelId) {
+  const id = (modelId || '').toLowerCase();
+  if (id.includes('distilled') || id.includes('lightx2v')) return 4;
+  if (id.includes('lightning') || id.includes('turbo') || id.includes('lcm')) return 4;
+  if (id.startsWith('ltx2-')) return 20;
+  return 20;
+}
+
+function resolveVideoSteps(modelId, modelDefaults, explicitSteps) {
+  if (Number.isFinite(explicitSteps)) return explicitSteps;
+  if (Number.isFinite(modelDefaults?.steps)) return modelDefaults.steps;
+  return inferDefaultVideoSteps(modelId);
+}
+
+function parseCostEstimate(estimate, tokenType) {
+  if (!estimate) return null;
+  const raw = tokenType === 'sogni'
+    ? estimate.sogni ?? estimate.token
+    : estimate.spark ?? estimate.token;
+  const value = Number.parseFloat(raw);
+  return Number.isFinite(value) ? value : null;
+}
+
+function buildBalanceError(message, details) {
+  const err = new Error(message);
+  err.code = 'INSUFFICIENT_BALANCE';
+  err.details = details || null;
+  return err;
+}
+
+function gcdInt(a, b) {
+  let x = Math.abs(Math.trunc(a));
+  let y = Math.abs(Math.trunc(b));
+  while (y !== 0) {
+    const t = y;
+    y = x % y;
+    x = t;
+  }
+  return x || 1;
+}
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && (value.startsWith('http://') || value.startsWith('https://'));
+}
+
+function getPngDimensions(buffer) {
+  if (!buffer || buffer.length < 24) return null;
+  // PNG signature: 89 50 4E 47 0D 0A 1A 0A
+  if (
+    buffer[0] !== 0x89 || buffer[1] !== 0x50 || buffer[2] !== 0x4E || buffer[3] !== 0x47 ||
+    buffer[4] !== 0x0D || buffer[5] !== 0x0A || buffer[6] !== 0x1A || buffer[7] !== 0x0A
+  ) {
+    return null;
+  }
+  try {
+    const width = buffer.readUInt32BE(16);
+    const height = buffer.readUInt32BE(20);
+    if (!width || !height) return null;
+    return { width, height, type: 'png' };
+  } catch {
+    return null;
+  }
+}
+
+function getJpegDimensions(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+  // JPEG SOI: FF D8
+  if (buffer[0] !== 0xFF || buffer[1] !== 0xD8) return null;
+
+  // Walk segments until we find a Start Of Frame marker that contains dimensions.
+  // Common SOF markers: C0 (baseline), C1, C2 (progressive), C3, C5-C7, C9-CB, CD-CF
+  let i = 2;
+  while (i + 9 < buffer.length) {
+    // Find marker prefix 0xFF
+    if (buffer[i] !== 0xFF) {
+      i++;
+      continue;
+    }
+    // Skip fill bytes 0xFF
+    while (i < buffer.length && buffer[i] === 0xFF) i++;
+    if (i >= buffer.length) break;
+    const marker = buffer[i];
+    i++;
+
+    // Markers without a length field
+    if (marker === 0xD9 || marker === 0xDA) break; // EOI or SOS
+    if (marker >= 0xD0 && marker <= 0xD7) continue; // RSTn
+
+    if (i + 1 >= buffer.length) break;
+    const segmentLength = buffer.readUInt16BE(i);
+    if (segmentLength < 2) break;
+    const segmentStart = i + 2;
+
+    const isSof =
+      (marker >= 0xC0 && marker <= 0xC3) ||
+      (marker >= 0xC5 && marker <= 0xC7) ||
+      (marker >= 0xC9 && marker <= 0xCB) ||
+      (marker >= 0xCD && marker <= 0xCF);
+
+    if (isSof) {
+      if (segmentStart + 7 >= buffer.length) break;
+      try {
+        const height = buffer.readUInt16BE(segmentStart + 1);
+        const width = buffer.readUInt16BE(segmentStart + 3);
+        if (!width || !height) return null;
+        return { width, height, type: 'jpg' };
+      } catch {
+        return null;
+      }
+    }
+
+    i = segmentStart + (segmentLength - 2);
+  }
+
+  return null;
+}
+
+function getImageDimensionsFromBuffer(buffer) {
+  return getPngDimensions(buffer) || getJpegDimensions(buffer);
+}
+
+/**
+ * Resizes an image buffer to the nearest div-16 dimensions that maintain aspect ratio.
+ * Uses sharp's fit:inside to preserve aspect, then rounds to div-16.
+ */
+async function resizeImageBufferToDiv16(buffer, originalWidth, originalHeight) {
+  // Calculate target div-16 dimensions that maintain aspect ratio
+  const roundToDiv16 = (n) => Math.round(n / 16) * 16;
+  const targetWidth = Math.max(MIN_VIDEO_DIMENSION, Math.min(MAX_VIDEO_DIMENSION, roundToDiv16(originalWidth)));
+  const targetHeight = Math.max(MIN_VIDEO_DIMENSION, Math.min(MAX_VIDEO_DIMENSION, roundToDiv16(originalHeight)));
+
+  // Resize using sharp with fit:inside (maintains aspect ratio)
+  const resizedBuffer = await sharp(buffer)
+    .resize(targetWidth, targetHeight, { fit: 'inside', withoutEnlargement: false })
+    .toBuffer();
+
+  // Get actual dimensions after resize
+  const metadata = await sharp(resizedBuffer).metadata();
+  const actualWidth = roundToDiv16(metadata.width);
+  const actualHeight = roundToDiv16(metadata.height);
+
+  // If dimensions aren't exactly div-16, do a final resize/crop
+  if (metadata.width !== actualWidth || metadata.height !== actualHeight) {
+    return await sharp(resizedBuffer)
+      .resize(actualWidth, actualHeight, { fit: 'cover' })
+      .toBuffer();
+  }
+
+  return resizedBuffer;
+}
+
+// Masks drawn at another resolution are fine; a different shape is not.
+const MASK_ASPECT_TOLERANCE = 0.01;
+
+/**
+ * Fit an inpaint mask to its source image: the aspect ratios must match, then
+ * the mask is resized to the exact source size and flattened to greyscale
+ * (transparent counts as black, i.e. keep). `feather` blurs its edge by that
+ * many pixels so the regenerated area blends in.
+ */
+async function prepareInpaintMask(maskBuffer, sourceBuffer, feather = 0) {
+  const [mask, source] = await Promise.all([sharp(maskBuffer).metadata(), sharp(sourceBuffer).metadata()]);
+  const sourceAspect = source.width / source.height;
+  if (Math.abs(mask.width / mask.height - sourceAspect) / sourceAspect > MASK_ASPECT_TOLERANCE) {
+    fatalCliError(`Mask is ${mask.width}x${mask.height} but the source image is ${source.width}x${source.height}.`, {
+      code: 'INVALID_ARGUMENT',
+      details: {
+        mask: { width: mask.width, height: mask.height },
+        source: { width: source.width, height: source.height }
+      },
+      hint: 'Export the mask at the source size (or the same aspect ratio); it is resized to fit.'
+    });
+  }
+  let pipeline = sharp(maskBuffer)
+    .flatten({ background: '#000000' })
+    .resize(source.width, source.height, { fit: 'fill' });
+  if (feather > 0) pipeline = pipeline.blur(Math.max(0.3, feather));
+  return pipeline.toColourspace('b-w').png().toBuffer();
+}
+
+// Longest output edge for an outpaint when neither -w nor -h is given.
+const OUTPAINT_LONG_EDGE = 1024;
+
+/**
+ * Pad the source onto the outpaint canvas (`extend` px per side, or evenly
+ * out to `aspect`), repeating its edge pixels into the new area, and build the
+ * matching mask: white over the new area, black over the source.
+ */
+async function buildOutpaintCanvas(sourceBuffer, { extend, aspect, maskFeather = 0 }) {
+  const { width, height } = await sharp(sourceBuffer).metadata();
+  let pad = extend;
+  if (!pad) {
+    const [w, h] = aspect.split(':').map(Number);
+    const ratio = w / h;
+    pad = { left: 0, right: 0, top: 0, bottom: 0 };
+    if (width / height < ratio) {
+      const extra = Math.round(height * ratio) - width;
+      pad.left = Math.floor(extra / 2);
+      pad.right = extra - pad.left;
+    } else {
+      const extra = Math.round(width / ratio) - height;
+      pad.top = Math.floor(extra / 2);
+      pad.bottom = extra - pad.top;
+    }
+    if (Object.values(pad).every((px) => px === 0)) {
+      fatalCliError(`The source image (${width}x${height}) is already ${aspect}; there is nothing to outpaint.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { aspect, source: { width, height } }
+      });
+    }
+  }
+  const canvasWidth = width + pad.left + pad.right;
+  const canvasHeight = height + pad.top + pad.bottom;
+  const canvas = await sharp(sourceBuffer)
+    .extend({ ...pad, extendWith: 'copy' })
+    .png()
+    .toBuffer();
+  let mask = sharp(await sharp({ create: { width: canvasWidth, height: canvasHeight, channels: 3, background: '#ffffff' } })
+    .composite([{ input: { create: { width, height, channels: 3, background: '#000000' } }, left: pad.left, top: pad.top }])
+    .png()
+    .toBuffer());
+  if (maskFeather > 0) mask = mask.blur(Math.max(0.3, maskFeather));
+  return {
+    canvas,
+    mask: await mask.toColourspace('b-w').png().toBuffer(),
+    pad,
+    width: canvasWidth,
+    height: canvasHeight
+  };
+}
+
+/**
+ * Size the output to a source image's aspect: whichever of -w/-h was not
+ * given follows from the other, or with neither the long edge is `longEdge`.
+ * Both given are left alone. Always multiples of 16.
+ */
+function fitSizeToAspect(options, cliSet, sourceWidth, sourceHeight, longEdge) {
+  const round16 = (n) => Math.max(16, Math.round(n / 16) * 16);
+  const aspect = sourceWidth / sourceHeight;
+  if (cliSet.width && cliSet.height) return;
+  if (cliSet.width) {
+    options.height = round16(options.width / aspect);
+  } else if (cliSet.height) {
+    options.width = round16(options.height * aspect);
+  } else {
+    const scale = longEdge / Math.max(sourceWidth, sourceHeight);
+    options.width = round16(sourceWidth * scale);
+    options.height = round16(sourceHeight * scale);
+  }
+}
+
+/** Output size for an outpaint: the canvas aspect, OUTPAINT_LONG_EDGE by default. */
+function resolveOutpaintSize(options, cliSet, canvasWidth, canvasHeight) {
+  const aspect = canvasWidth / canvasHeight;
+  if (cliSet.width && cliSet.height && Math.abs(options.width / options.height - aspect) / aspect > 0.02) {
+    fatalCliError(`-w/-h ${options.width}x${options.height} do not match the ${canvasWidth}x${canvasHeight} outpaint canvas.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { width: options.width, height: options.height, canvas: { width: canvasWidth, height: canvasHeight } },
+      hint: 'Set only one of -w/-h; the other follows the canvas.'
+    });
+  }
+  fitSizeToAspect(options, cliSet, canvasWidth, canvasHeight, OUTPAINT_LONG_EDGE);
+}
+
+const MIN_VIDEO_DIMENSION = 480;
+const MAX_VIDEO_DIMENSION = 1536;
+const VIDEO_DIMENSION_MULTIPLE = 16;
+
+function normalizeVideoDimensionsLikeWrapper(width, height) {
+  let targetWidth = Number(width);
+  let targetHeight = Number(height);
+  let adjusted = false;
+
+  const effectiveMin = MIN_VIDEO_DIMENSION;
+
+  if (!Number.isFinite(targetWidth) || !Number.isFinite(targetHeight)) {
+    return { width: targetWidth, height: targetHeight, adjusted: false };
+  }
+
+  if (targetWidth > MAX_VIDEO_DIMENSION || targetHeight > MAX_VIDEO_DIMENSION) {
+    const scaleFactor = Math.min(MAX_VIDEO_DIMENSION / targetWidth, MAX_VIDEO_DIMENSION / targetHeight);
+    targetWidth = Math.floor(targetWidth * scaleFactor);
+    targetHeight = Math.floor(targetHeight * scaleFactor);
+    adjusted = true;
+  }
+
+  if (targetWidth < effectiveMin || targetHeight < effectiveMin) {
+    const scaleFactor = Math.max(effectiveMin / targetWidth, effectiveMin / targetHeight);
+    targetWidth = Math.floor(targetWidth * scaleFactor);
+    targetHeight = Math.floor(targetHeight * scaleFactor);
+    adjusted = true;
+    if (targetWidth > MAX_VIDEO_DIMENSION || targetHeight > MAX_VIDEO_DIMENSION) {
+      const downscaleFactor = Math.min(MAX_VIDEO_DIMENSION / targetWidth, MAX_VIDEO_DIMENSION / targetHeight);
+      targetWidth = Math.floor(targetWidth * downscaleFactor);
+      targetHeight = Math.floor(targetHeight * downscaleFactor);
+    }
+  }
+
+  const roundedWidth = Math.floor(targetWidth / VIDEO_DIMENSION_MULTIPLE) * VIDEO_DIMENSION_MULTIPLE;
+  const roundedHeight = Math.floor(targetHeight / VIDEO_DIMENSION_MULTIPLE) * VIDEO_DIMENSION_MULTIPLE;
+  if (roundedWidth !== targetWidth || roundedHeight !== targetHeight) {
+    adjusted = true;
+  }
+  targetWidth = roundedWidth;
+  targetHeight = roundedHeight;
+
+  if (targetWidth < effectiveMin) {
+    targetWidth = Math.ceil(effectiveMin / VIDEO_DIMENSION_MULTIPLE) * VIDEO_DIMENSION_MULTIPLE;
+    adjusted = true;
+  }
+  if (targetHeight < effectiveMin) {
+    targetHeight = Math.ceil(effectiveMin / VIDEO_DIMENSION_MULTIPLE) * VIDEO_DIMENSION_MULTIPLE;
+    adjusted = true;
+  }
+
+  return { width: targetWidth, height: targetHeight, adjusted };
+}
+
+function predictSharpInsideResizeDims(refWidth, refHeight, targetWidth, targetHeight) {
+  const rw = Number(refWidth);
+  const rh = Number(refHeight);
+  const tw = Number(targetWidth);
+  const th = Number(targetHeight);
+  if (!Number.isFinite(rw) || !Number.isFinite(rh) || !Number.isFinite(tw) || !Number.isFinite(th) || rw <= 0 || rh <= 0 || tw <= 0 || th <= 0) {
+    return null;
+  }
+
+  // Matches sharp(vips) behavior in SogniClientWrapper.resizeImageBuffer(..., fit: 'inside'):
+  // Choose limiting dimension; keep it exact; compute the other dimension with Math.round().
+  const scaleW = tw / rw;
+  const scaleH = th / rh;
+  const widthLimited = scaleW <= scaleH;
+  if (widthLimited) {
+    return { width: tw, height: Math.round(rh * tw / rw) };
+  }
+  return { width: Math.round(rw * th / rh), height: th };
+}
+
+function pickCompatibleI2vBoundingBox(refWidth, refHeight, desiredWidth, desiredHeight, { allowImperfect = false } = {}) {
+  const desiredW = Number.isFinite(Number(desiredWidth)) ? Number(desiredWidth) : 512;
+  const desiredH = Number.isFinite(Number(desiredHeight)) ? Number(desiredHeight) : 512;
+  const desiredMax = Math.max(MIN_VIDEO_DIMENSION, Math.min(MAX_VIDEO_DIMENSION, Math.max(desiredW, desiredH)));
+  let best = null;
+  let bestImperfect = null;
+
+  for (let w = MIN_VIDEO_DIMENSION; w <= MAX_VIDEO_DIMENSION; w += VIDEO_DIMENSION_MULTIPLE) {
+    for (let h = MIN_VIDEO_DIMENSION; h <= MAX_VIDEO_DIMENSION; h += VIDEO_DIMENSION_MULTIPLE) {
+      const normalized = normalizeVideoDimensionsLikeWrapper(w, h);
+      if (!Number.isFinite(normalized.width) || !Number.isFinite(normalized.height)) continue;
+      const out = predictSharpInsideResizeDims(refWidth, refHeight, normalized.width, normalized.height);
+      if (!out) continue;
+      // Require both output dimensions >= MIN_VIDEO_DIMENSION for API compatibility
+      if (out.width < MIN_VIDEO_DIMENSION || out.height < MIN_VIDEO_DIMENSION) continue;
+
+      const isPerfect = out.width % VIDEO_DIMENSION_MULTIPLE === 0 && out.height % VIDEO_DIMENSION_MULTIPLE === 0;
+
+      const outMax = Math.max(out.width, out.height);
+      const distance = Math.abs(normalized.width - desiredW) + Math.abs(normalized.height - desiredH);
+      // Prefer a bounding box close to what the user asked for, then output close to requested max, then maximize output area.
+      const score = -distance * 1e9 - Math.abs(outMax - desiredMax) * 1e8 + out.width * out.height * 1e3 - (normalized.width * normalized.height);
+
+      if (isPerfect) {
+        if (!best || score > best.score) {
+          best = { width: normalized.width, height: normalized.height, output: out, score, perfect: true };
+        }
+      } else if (allowImperfect) {
+        // Track imperfect candidates: prefer those closest to div-16
+        const widthRemainder = out.width % VIDEO_DIMENSION_MULTIPLE;
+        const heightRemainder = out.height % VIDEO_DIMENSION_MULTIPLE;
+        const div16Distance = Math.min(widthRemainder, VIDEO_DIMENSION_MULTIPLE - widthRemainder) +
+                            Math.min(heightRemainder, VIDEO_DIMENSION_MULTIPLE - heightRemainder);
+        const imperfectScore = -div16Distance * 1e10 + score;
+        if (!bestImperfect || imperfectScore > bestImperfect.score) {
+          // Calculate adjusted output dimensions (rounded to div-16)
+          const adjustedWidth = Math.round(out.width / VIDEO_DIMENSION_MULTIPLE) * VIDEO_DIMENSION_MULTIPLE;
+          const adjustedHeight = Math.round(out.height / VIDEO_DIMENSION_MULTIPLE) * VIDEO_DIMENSION_MULTIPLE;
+          bestImperfect = {
+            width: normalized.width,
+            height: normalized.height,
+            output: out,
+            adjustedOutput: { width: adjustedWidth, height: adjustedHeight },
+            score: imperfectScore,
+            perfect: false
+          };
+        }
+      }
+    }
+  }
+
+  return best || (allowImperfect ? bestImperfect : null);
+}
+
+const MULTI_ANGLE_AZIMUTH_ALIASES = new Map([
+  ['front-right quarter', 'front-right'],
+  ['front right quarter', 'front-right'],
+  ['back-right quarter', 'back-right'],
+  ['back right quarter', 'back-right'],
+  ['back-left quarter', 'back-left'],
+  ['back left quarter', 'back-left'],
+  ['front-left quarter', 'front-left'],
+  ['front left quarter', 'front-left']
+]);
+
+const MULTI_ANGLE_ELEVATION_ALIASES = new Map([
+  ['low angle', 'low-angle'],
+  ['eye level', 'eye-level'],
+  ['high angle', 'high-angle']
+]);
+
+const MULTI_ANGLE_DISTANCE_ALIASES = new Map([
+  ['close up', 'close-up'],
+  ['medium shot', 'medium'],
+  ['wide shot', 'wide']
+]);
+
+function normalizeMultiAngleValue(value, aliases, allowedKeys, label) {
+  if (!value) return null;
+  const normalized = value.toLowerCase().replace(/_/g, '-').replace(/\s+/g, ' ').trim();
+  const aliased = aliases.get(normalized) || normalized;
+  if (!allowedKeys.includes(aliased)) {
+    fatalCliError(`Invalid ${label} "${value}".`, {
+      code: 'INVALID_ARGUMENT',
+      details: { field: label, value, allowed: allowedKeys }
+    });
+  }
+  return aliased;
+}
+
+function buildMultiAnglePrompt({ azimuth, elevation, distance, description }) {
+  const azimuthPrompt = MULTI_ANGLE_AZIMUTHS.find((a) => a.key === azimuth)?.prompt;
+  const elevationPrompt = MULTI_ANGLE_ELEVATIONS.find((e) => e.key === elevation)?.prompt;
+  const distancePrompt = MULTI_ANGLE_DISTANCES.find((d) => d.key === distance)?.prompt;
+  const parts = ['<sks>', azimuthPrompt, elevationPrompt, distancePrompt].filter(Boolean);
+  if (description) parts.push(description);
+  return parts.join(' ');
+}
+
+function loadOpenClawPluginConfig() {
+  if (process.env.OPENCLAW_PLUGIN_CONFIG) {
+    try {
+      return JSON5.parse(process.env.OPENCLAW_PLUGIN_CONFIG);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!existsSync(OPENCLAW_CONFIG_PATH)) return null;
+  try {
+    const raw = readFileSync(OPENCLAW_CONFIG_PATH, 'utf8');
+    const parsed = JSON5.parse(raw);
+    return parsed?.plugins?.entries?.['sogni-gen']?.config || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+let cachedOpenClawConfig;
+
+// Loaded on first use so importing the library has no side effects.
+function getOpenClawConfig() {
+  if (cachedOpenClawConfig === undefined) {
+    cachedOpenClawConfig = loadOpenClawPluginConfig();
+  }
+  return cachedOpenClawConfig;
+}
+
+function createDefaultOptions() {
+  return {
+    prompt: null,
+    output: null,
+    model: null, // Will be set based on type
+    width: 512,
+    height: 512,
+    count: 1,
+    json: false,
+    quiet: false,
+    timeout: 30000,
+    strictSize: false,
+    tokenType: null,
+    promptVars: [], // [{ name, values }] from --var, expanded into a prompt matrix
+    noMatrix: false, // Render {a|b} literally instead of expanding a prompt matrix
+    negativePrompt: '', // What to avoid (sent as negativePrompt)
+    stylePrompt: '', // Style hint (sent as stylePrompt)
+    steps: null,
+    guidance: null,
+    outputFormat: null,
+    sampler: null,
+    scheduler: null,
+    loras: [],
+    loraStrengths: [],
+    multiAngle: false,
+    angles360: false,
+    azimuth: 'front',
+    elevation: 'eye-level',
+    distance: 'medium',
+    angleStrength: null,
+    angleDescription: '',
+    seed: null,
+    lastSeed: false,
+    lastImage: false,
+    fromHistory: null, // History id to reuse for --last-image/--last-seed
+    showHistory: false,
+    historyLimit: 20,
+    historyFilters: [], // [{ key, value }] exact-match filters for --history
+    inspect: null, // File to read embedded metadata from
+    embedMetadata: true,
+    seedStrategy: null,
+    video: false,
+    videoWorkflow: null,
+    fps: 16,
+    duration: 5,
+    frames: null,
+    autoResizeVideoAssets: null,
+    estimateVideoCost: false,
+    showBalance: false,
+    showVersion: false,
+    showHelp: false, // Print usage and exit
+    showLast: false, // Print the last render info and exit
+    listLoras: false, // Print the LoRA catalog (narrowed by -m) and exit
+    angles360Video: null,
+    refImage: null, // Reference image for video (start frame)
+    refImageEnd: null, // End frame for video interpolation
+    refAudio: null, // Reference audio for s2v
+    refVideo: null, // Reference video for animate workflows
+    contextImages: [], // Context images for image editing
+    mask: null, // Inpaint mask for the first context image (white = regenerate)
+    maskFeather: 0, // Mask edge blur in px
+    outpaint: false, // Pad the first context image onto a larger canvas and fill the new area
+    initImage: null, // Starting image for img2img
+    denoise: null, // img2img: how much of the starting image to repaint (0.0-1.0)
+    extend: null, // Outpaint padding per side in px: { left, right, top, bottom }
+    aspect: null, // Outpaint target aspect ratio ("16:9")
+    looping: false, // Create looping video (i2v only): generate A→B then B→A and concatenate
+    photobooth: false, // Photobooth mode (InstantID face transfer)
+    cnStrength: null, // ControlNet strength override
+    cnGuidanceStart: null, // ControlNet guidance start override
+    cnGuidanceEnd: null, // ControlNet guidance end override
+    controlNet: null, // ControlNet name for still images (see imageControlNetsForModel)
+    controlImage: null, // Control image for --controlnet
+    videoControlNetName: null, // ControlNet name for v2v: canny|pose|depth|detailer
+    controlNetStrength: null, // ControlNet strength for v2v or --controlnet (0.0-1.0)
+    sam2Coordinates: null, // SAM2 coordinates for animate-replace [{x,y}]
+    trimEndFrame: false, // Trim last frame for seamless stitching
+    firstFrameStrength: null, // Keyframe interpolation (0.0-1.0)
+    lastFrameStrength: null, // Keyframe interpolation (0.0-1.0)
+    grid: null, // Contact sheet path for all image outputs (.png/.jpg/.webp)
+    batch: null, // Batch manifest path (.jsonl/.json/.yaml)
+    batchReport: null, // JSONL report path for batch results (default: stdout)
+    batchResume: true // Skip batch entries already recorded in the batch ledger
+  };
+}
+
+function createCliSet() {
+  return {
+    output: false,
+    model: false,
+    width: false,
+    height: false,
+    count: false,
+    timeout: false,
+    strictSize: false,
+    tokenType: false,
+    negativePrompt: false,
+    stylePrompt: false,
+    steps: false,
+    guidance: false,
+    outputFormat: false,
+    sampler: false,
+    scheduler: false,
+    loras: false,
+    loraStrengths: false,
+    multiAngle: false,
+    azimuth: false,
+    elevation: false,
+    distance: false,
+    angleStrength: false,
+    angleDescription: false,
+    seed: false,
+    seedStrategy: false,
+    video: false,
+    workflow: false,
+    fps: false,
+    duration: false,
+    frames: false,
+    autoResizeVideoAssets: false,
+    angles360Video: false,
+    videoModel: false,
+    refImage: false,
+    refImageEnd: false,
+    refAudio: false,
+    refVideo: false,
+    context: false,
+    mask: false,
+    maskFeather: false,
+    outpaint: false,
+    initImage: false,
+    denoise: false,
+    extend: false,
+    aspect: false,
+    looping: false,
+    photobooth: false,
+    cnStrength: false,
+    cnGuidanceStart: false,
+    cnGuidanceEnd: false,
+    controlNet: false,
+    controlImage: false,
+    videoControlNetName: false,
+    controlNetStrength: false,
+    sam2Coordinates: false,
+    trimEndFrame: false,
+    firstFrameStrength: false,
+    lastFrameStrength: false
+  };
+}
+
+/**
+ * Parse CLI arguments into `options`, recording explicitly set flags in `cliSet`.
+ * Batch entries are converted to argument lists and parsed through here too.
+ */
+function parseCliArgs(args, options, cliSet) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-o' || arg === '--output') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.output = raw;
+      cliSet.output = true;
+    } else if (arg === '-m' || arg === '--model') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.model = raw;
+      cliSet.model = true;
+    } else if (arg === '-w' || arg === '--width') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.width = parsePositiveIntegerValue(raw, arg);
+      cliSet.width = true;
+    } else if (arg === '-h' || arg === '--height') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.height = parsePositiveIntegerValue(raw, arg);
+      cliSet.height = true;
+    } else if (arg === '-n' || arg === '--count') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.count = parsePositiveIntegerValue(raw, arg);
+      cliSet.count = true;
+    } else if (arg === '-t' || arg === '--timeout') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.timeout = parsePositiveIntegerValue(raw, arg) * 1000;
+      cliSet.timeout = true;
+    } else if (arg === '--token-type' || arg === '--token') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.tokenType = raw;
+      cliSet.tokenType = true;
+    } else if (arg === '--var') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      const match = /^([A-Za-z_][\w-]*)=(.*)$/.exec(raw);
+      const values = match ? match[2].split(',').map((value) => value.trim()).filter(Boolean) : [];
+      if (!match || values.length === 0) {
+        fatalCliError('--var must be in name=value1,value2 form (e.g. animal=cat,dog).', {
+          code: 'INVALID_ARGUMENT',
+          details: { flag: '--var', value: raw }
+        });
+      }
+      options.promptVars.push({ name: match[1], values });
+    } else if (arg === '--no-matrix') {
+      options.noMatrix = true;
+    } else if (arg === '--negative' || arg === '--negative-prompt') {
+      options.negativePrompt = requireFlagValue(args, i, arg);
+      i++;
+      cliSet.negativePrompt = true;
+    } else if (arg === '--style' || arg === '--style-prompt') {
+      options.stylePrompt = requireFlagValue(args, i, arg);
+      i++;
+      cliSet.stylePrompt = true;
+    } else if (arg === '--steps') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.steps = parsePositiveIntegerValue(raw, arg);
+      cliSet.steps = true;
+    } else if (arg === '--guidance') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.guidance = parseNumberValue(raw, arg);
+      cliSet.guidance = true;
+    } else if (arg === '--output-format' || arg === '--format') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.outputFormat = raw;
+      cliSet.outputFormat = true;
+    } else if (arg === '--sampler') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.sampler = raw;
+      cliSet.sampler = true;
+    } else if (arg === '--scheduler') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.scheduler = raw;
+      cliSet.scheduler = true;
+    } else if (arg === '--multi-angle' || arg === '--multiple-angles') {
+      options.multiAngle = true;
+      cliSet.multiAngle = true;
+    } else if (arg === '--angles-360') {
+      options.angles360 = true;
+      options.multiAngle = true;
+      cliSet.multiAngle = true;
+    } else if (arg === '--angles-360-video') {
+      options.angles360Video = true;
+      cliSet.angles360Video = true;
+      if (args[i + 1] && !args[i + 1].startsWith('-')) {
+        options.angles360Video = args[++i];
+      }
+    } else if (arg === '--video-model' || arg === '--i2v-model') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.videoModel = raw;
+      cliSet.videoModel = true;
+    } else if (arg === '--azimuth') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.azimuth = raw;
+      cliSet.azimuth = true;
+    } else if (arg === '--elevation') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.elevation = raw;
+      cliSet.elevation = true;
+    } else if (arg === '--distance') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.distance = raw;
+      cliSet.distance = true;
+    } else if (arg === '--angle-strength' || arg === '--strength') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.angleStrength = parseNumberValue(raw, arg);
+      cliSet.angleStrength = true;
+    } else if (arg === '--angle-description' || arg === '--angle-anchor' || arg === '--description' || arg === '--anchor') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.angleDescription = raw;
+      cliSet.angleDescription = true;
+    } else if (arg === '--lora' || arg === '--lora-model') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.loras.push(raw);
+      cliSet.loras = true;
+    } else if (arg === '--loras') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.loras.push(...parseCsv(raw));
+      cliSet.loras = true;
+    } else if (arg === '--lora-strength') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.loraStrengths.push(parseNumberValue(raw, arg));
+      cliSet.loraStrengths = true;
+    } else if (arg === '--lora-strengths') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.loraStrengths.push(...parseNumberList(raw, arg));
+      cliSet.loraStrengths = true;
+    } else if (arg === '-s' || arg === '--seed') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.seed = parseSeedValue(raw, arg);
+      cliSet.seed = true;
+    } else if (arg === '--seed-strategy') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.seedStrategy = raw;
+      cliSet.seedStrategy = true;
+    } else if (arg === '--last-seed' || arg === '--reseed') {
+      options.lastSeed = true;
+    } else if (arg === '--video' || arg === '-v') {
+      options.video = true;
+      cliSet.video = true;
+    } else if (arg === '--workflow') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.videoWorkflow = raw;
+      cliSet.workflow = true;
+    } else if (arg === '--fps') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.fps = parsePositiveIntegerValue(raw, arg);
+      cliSet.fps = true;
+    } else if (arg === '--duration') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.duration = parsePositiveIntegerValue(raw, arg);
+      cliSet.duration = true;
+    } else if (arg === '--frames') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.frames = parsePositiveIntegerValue(raw, arg);
+      cliSet.frames = true;
+    } else if (arg === '--auto-resize-assets') {
+      options.autoResizeVideoAssets = true;
+      cliSet.autoResizeVideoAssets = true;
+    } else if (arg === '--no-auto-resize-assets') {
+      options.autoResizeVideoAssets = false;
+      cliSet.autoResizeVideoAssets = true;
+    } else if (arg === '--ref' || arg === '--reference') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.refImage = raw;
+      cliSet.refImage = true;
+    } else if (arg === '--ref-end' || arg === '--end') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.refImageEnd = raw;
+      cliSet.refImageEnd = true;
+    } else if (arg === '--ref-audio' || arg === '--audio') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.refAudio = raw;
+      cliSet.refAudio = true;
+    } else if (arg === '--ref-video') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.refVideo = raw;
+      cliSet.refVideo = true;
+    } else if (arg === '--looping' || arg === '--loop') {
+      options.looping = true;
+      cliSet.looping = true;
+    } else if (arg === '-c' || arg === '--context') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.contextImages.push(raw);
+      cliSet.context = true;
+    } else if (arg === '--mask') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.mask = raw;
+      cliSet.mask = true;
+    } else if (arg === '--mask-feather') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.maskFeather = parseNumberValue(raw, arg);
+      cliSet.maskFeather = true;
+    } else if (arg === '--outpaint') {
+      options.outpaint = true;
+      cliSet.outpaint = true;
+    } else if (arg === '--init-image') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.initImage = raw;
+      cliSet.initImage = true;
+    } else if (arg === '--denoise') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.denoise = parseNumberValue(raw, arg);
+      cliSet.denoise = true;
+    } else if (arg === '--extend') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.extend = parseExtendSpec(raw, arg);
+      cliSet.extend = true;
+    } else if (arg === '--aspect') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.aspect = parseAspectValue(raw, arg);
+      cliSet.aspect = true;
+    } else if (arg === '--photobooth') {
+      options.photobooth = true;
+      cliSet.photobooth = true;
+    } else if (arg === '--cn-strength') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.cnStrength = parseNumberValue(raw, arg);
+      cliSet.cnStrength = true;
+    } else if (arg === '--cn-guidance-start') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.cnGuidanceStart = parseNumberValue(raw, arg);
+      cliSet.cnGuidanceStart = true;
+    } else if (arg === '--cn-guidance-end') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.cnGuidanceEnd = parseNumberValue(raw, arg);
+      cliSet.cnGuidanceEnd = true;
+    } else if (arg === '--controlnet') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.controlNet = raw;
+      cliSet.controlNet = true;
+    } else if (arg === '--control-image') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.controlImage = raw;
+      cliSet.controlImage = true;
+    } else if (arg === '--controlnet-name') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.videoControlNetName = raw;
+      cliSet.videoControlNetName = true;
+    } else if (arg === '--controlnet-strength') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.controlNetStrength = parseNumberValue(raw, arg);
+      cliSet.controlNetStrength = true;
+    } else if (arg === '--sam2-coordinates') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      // Parse "x,y" or "x1,y1;x2,y2" format
+      options.sam2Coordinates = raw.split(';').map(pair => {
+        const [x, y] = pair.split(',').map(Number);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+          fatalCliError(`Invalid --sam2-coordinates format "${raw}". Use x,y or x1,y1;x2,y2.`, {
+            code: 'INVALID_ARGUMENT',
+            details: { flag: '--sam2-coordinates', value: raw }
+          });
+        }
+        return { x, y };
+      });
+      cliSet.sam2Coordinates = true;
+    } else if (arg === '--trim-end-frame') {
+      options.trimEndFrame = true;
+      cliSet.trimEndFrame = true;
+    } else if (arg === '--first-frame-strength') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.firstFrameStrength = parseNumberValue(raw, arg);
+      cliSet.firstFrameStrength = true;
+    } else if (arg === '--last-frame-strength') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.lastFrameStrength = parseNumberValue(raw, arg);
+      cliSet.lastFrameStrength = true;
+    } else if (arg === '--last-image') {
+      // Resolved later against the last render (or --from-history entry)
+      options.lastImage = true;
+    } else if (arg === '--from-history') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.fromHistory = parsePositiveIntegerValue(raw, arg);
+    } else if (arg === '--history') {
+      options.showHistory = true;
+    } else if (arg === '--inspect') {
+      options.inspect = requireFlagValue(args, i, arg);
+      i++;
+    } else if (arg === '--no-metadata') {
+      options.embedMetadata = false;
+    } else if (arg === '--limit') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      options.historyLimit = parsePositiveIntegerValue(raw, arg);
+      cliSet.historyLimit = true;
+    } else if (arg === '--filter') {
+      const raw = requireFlagValue(args, i, arg);
+      i++;
+      const eq = raw.indexOf('=');
+      if (eq <= 0) {
+        fatalCliError('--filter must be in key=value form (e.g. model=flux1-schnell-fp8).', {
+          code: 'INVALID_ARGUMENT',
+          details: { flag: '--filter', value: raw }
+        });
+      }
+      options.historyFilters.push({ key: raw.slice(0, eq).trim(), value: raw.slice(eq + 1).trim() });
+    } else if (arg === '--last') {
+      options.showLast = true;
+      return;
+    } else if (arg === '--grid') {
+      options.grid = requireFlagValue(args, i, arg);
+      i++;
+    } else if (arg === '--batch') {
+      options.batch = requireFlagValue(args, i, arg);
+      i++;
+    } else if (arg === '--batch-report') {
+      options.batchReport = requireFlagValue(args, i, arg);
+      i++;
+    } else if (arg === '--no-resume') {
+      options.batchResume = false;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--strict-size') {
+      options.strictSize = true;
+      cliSet.strictSize = true;
+    } else if (arg === '-q' || arg === '--quiet') {
+      options.quiet = true;
+    } else if (arg === '--estimate-video-cost') {
+      options.estimateVideoCost = true;
+    } else if (arg === '--balance' || arg === '--balances') {
+      options.showBalance = true;
+    } else if (arg === '--list-loras') {
+      options.listLoras = true;
+    } else if (arg === '--version' || arg === '-V') {
+      options.showVersion = true;
+    } else if (arg === '--help') {
+      // Help wins over anything after it on the command line.
+      options.showHelp = true;
+      return;
+    } else if (arg === '--') {
+      if (!options.prompt && args[i + 1] !== undefined) {
+        options.prompt = args[i + 1];
+      }
+      break;
+    } else if (arg.startsWith('-')) {
+      fatalCliError(`Unknown option: ${arg}`, {
+        code: 'INVALID_ARGUMENT',
+        hint: 'Use --help to see supported options.'
+      });
+    } else if (!options.prompt) {
+      options.prompt = arg;
+    }
+  }
+}
+
+/**
+ * Resolve --last-image / --last-seed against the last render, or against a
+ * history entry when --from-history is given. --from-history on its own
+ * implies --last-image.
+ */
+function resolveRenderSource(options) {
+  if (options.fromHistory === null && !options.lastImage && !options.lastSeed) return;
+
+  let source;
+  let sourceLabel;
+  if (options.fromHistory !== null) {
+    source = readRenderHistory().find((entry) => entry.id === options.fromHistory) || null;
+    if (!source) {
+      fatalCliError(`No render with id ${options.fromHistory} in history.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: '--from-history', value: options.fromHistory },
+        hint: 'Use --history to list past renders and their ids.'
+      });
+    }
+    sourceLabel = `render #${source.id}`;
+    if (!options.lastImage && !options.lastSeed) options.lastImage = true;
+  } else {
+    source = readLastRender();
+    sourceLabel = 'last render';
+  }
+
+  if (options.lastImage && source) {
+    let imagePath = null;
+    if (source.localPath && existsSync(source.localPath)) {
+      imagePath = source.localPath;
+    } else if (source.urls?.[0]) {
+      imagePath = source.urls[0];
+    }
+    if (imagePath) {
+      // Will be resolved later: video uses refImage, image editing uses contextImages
+      options._lastImagePath = imagePath;
+    }
+  }
+
+  if (options.lastSeed) {
+    if (!source) {
+      console.error('Warning: No previous render found, generating seed');
+    } else if (source.seed) {
+      options.seed = source.seed;
+      if (!options.quiet) console.error(`Using seed from ${sourceLabel}: ${options.seed}`);
+    }
+  }
+}
+
+/**
+ * Apply OpenClaw config defaults, validate flag combinations and resolve
+ * models, video dimensions and seeds. Throws via fatalCliError on invalid input.
+ */
+function resolveOptions(options, cliSet) {
+  const openclawConfig = getOpenClawConfig();
+  resolveRenderSource(options);
+
+  let timeoutFromConfig = false;
+  if (openclawConfig) {
+    const isNumber = (value) => Number.isFinite(value);
+    if (!cliSet.width && isNumber(openclawConfig.defaultWidth)) {
+      options.width = openclawConfig.defaultWidth;
+    }
+    if (!cliSet.height && isNumber(openclawConfig.defaultHeight)) {
+      options.height = openclawConfig.defaultHeight;
+    }
+    if (!cliSet.count && isNumber(openclawConfig.defaultCount)) {
+      options.count = openclawConfig.defaultCount;
+    }
+    if (!cliSet.tokenType && openclawConfig.defaultTokenType) {
+      options.tokenType = openclawConfig.defaultTokenType;
+    }
+    if (!cliSet.seedStrategy && openclawConfig.seedStrategy) {
+      options.seedStrategy = openclawConfig.seedStrategy;
+    }
+    if (!cliSet.negativePrompt && typeof openclawConfig.defaultNegativePrompt === 'string') {
+      options.negativePrompt = openclawConfig.defaultNegativePrompt;
+    }
+    if (!cliSet.stylePrompt && typeof openclawConfig.defaultStylePrompt === 'string') {
+      options.stylePrompt = openclawConfig.defaultStylePrompt;
+    }
+    if (options.video) {
+      if (!cliSet.workflow && openclawConfig.defaultVideoWorkflow) {
+        options.videoWorkflow = openclawConfig.defaultVideoWorkflow;
+      }
+      if (!cliSet.fps && isNumber(openclawConfig.defaultFps)) {
+        options.fps = openclawConfig.defaultFps;
+      }
+      if (!cliSet.frames && !cliSet.duration && isNumber(openclawConfig.defaultDurationSec)) {
+        options.duration = openclawConfig.defaultDurationSec;
+      }
+      if (!cliSet.timeout && isNumber(openclawConfig.defaultVideoTimeoutSec)) {
+        options.timeout = openclawConfig.defaultVideoTimeoutSec * 1000;
+        timeoutFromConfig = true;
+      }
+    } else if (!cliSet.timeout && isNumber(openclawConfig.defaultImageTimeoutSec)) {
+      options.timeout = openclawConfig.defaultImageTimeoutSec * 1000;
+      timeoutFromConfig = true;
+    }
+  }
+
+  if (options.tokenType) {
+    const token = options.tokenType.toLowerCase();
+    if (token !== 'spark' && token !== 'sogni') {
+      fatalCliError('--token-type must be "spark" or "sogni".', {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: '--token-type', value: options.tokenType }
+      });
+    }
+    options.tokenType = token;
+  }
+
+  if (options.seedStrategy) {
+    const normalizedStrategy = normalizeSeedStrategy(options.seedStrategy);
+    if (!normalizedStrategy) {
+      fatalCliError('--seed-strategy must be "random" or "prompt-hash".', {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: '--seed-strategy', value: options.seedStrategy }
+      });
+    }
+    options.seedStrategy = normalizedStrategy;
+  }
+
+  if (cliSet.steps && !Number.isFinite(options.steps)) {
+    fatalCliError('--steps must be a number.', {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: '--steps', value: options.steps }
+    });
+  }
+
+  if (cliSet.guidance && !Number.isFinite(options.guidance)) {
+    fatalCliError('--guidance must be a number.', {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: '--guidance', value: options.guidance }
+    });
+  }
+
+  if (options.multiAngle) {
+    if (options.video) {
+      fatalCliError('--multi-angle is only for image editing.', { code: 'INVALID_ARGUMENT' });
+    }
+    if (options.angles360Video && !options.angles360) {
+      fatalCliError('--angles-360-video requires --angles-360.', { code: 'INVALID_ARGUMENT' });
+    }
+    if (options.angles360Video && options.count !== 1) {
+      fatalCliError('--angles-360-video requires --count 1.', {
+        code: 'INVALID_ARGUMENT',
+        details: { count: options.count }
+      });
+    }
+    if (options._lastImagePath && options.contextImages.length === 0) {
+      options.contextImages.push(options._lastImagePath);
+      delete options._lastImagePath;
+    }
+    if (options.contextImages.length === 0) {
+      fatalCliError('--multi-angle requires a reference image (--context or --last-image).', {
+        code: 'INVALID_ARGUMENT'
+      });
+    }
+    const azimuthKeys = MULTI_ANGLE_AZIMUTHS.map((a) => a.key);
+    const elevationKeys = MULTI_ANGLE_ELEVATIONS.map((e) => e.key);
+    const distanceKeys = MULTI_ANGLE_DISTANCES.map((d) => d.key);
+
+    if (!options.angles360) {
+      options.azimuth = normalizeMultiAngleValue(options.azimuth, MULTI_ANGLE_AZIMUTH_ALIASES, azimuthKeys, 'azimuth');
+    } else if (!options.quiet && cliSet.azimuth) {
+      console.error('Warning: --azimuth ignored for --angles-360.');
+    }
+    options.elevation = normalizeMultiAngleValue(options.elevation, MULTI_ANGLE_ELEVATION_ALIASES, elevationKeys, 'elevation');
+    options.distance = normalizeMultiAngleValue(options.distance, MULTI_ANGLE_DISTANCE_ALIASES, distanceKeys, 'distance');
+
+    if (options.model && !options.model.includes('qwen_image_edit_2511')) {
+      fatalCliError('--multi-angle requires a Qwen Image Edit 2511 model.', {
+        code: 'INVALID_ARGUMENT',
+        details: { model: options.model }
+      });
+    }
+    if (!options.model) {
+      options.model = 'qwen_image_edit_2511_fp8_lightning';
+    }
+    if (!options.outputFormat) {
+      options.outputFormat = 'jpg';
+    }
+    if (!options.sampler) {
+      options.sampler = 'euler';
+    }
+    if (!options.scheduler) {
+      options.scheduler = 'simple';
+    }
+    if (!options.angleDescription && options.prompt) {
+      options.angleDescription = options.prompt;
+    }
+    if (options.loras.length === 0 && options.loraStrengths.length > 0) {
+      if (options.loraStrengths.length > 1) {
+        fatalCliError('--lora-strengths requires explicit --loras when using --multi-angle.', {
+          code: 'INVALID_ARGUMENT'
+        });
+      }
+      if (options.angleStrength === null || options.angleStrength === undefined) {
+        options.angleStrength = options.loraStrengths[0];
+      }
+      options.loraStrengths = [];
+    }
+    if (!cliSet.guidance && (options.guidance === null || options.guidance === undefined)) {
+      options.guidance = options.model.includes('lightning') ? 1.0 : 4.0;
+    }
+    if (options.angleStrength === null || options.angleStrength === undefined) {
+      options.angleStrength = 0.9;
+    }
+
+    const multiAngleStrength = options.angleStrength;
+    let multiAngleIndex = options.loras.indexOf('multiple_angles');
+    if (multiAngleIndex === -1) {
+      options.loras.push('multiple_angles');
+      multiAngleIndex = options.loras.length - 1;
+      if (options.loraStrengths.length > 0) {
+        options.loraStrengths.push(multiAngleStrength);
+      }
+    }
+
+    if (options.loraStrengths.length === 0 && options.loras.length > 0) {
+      options.loraStrengths = options.loras.map((id) => (id === 'multiple_angles' ? multiAngleStrength : 1.0));
+    } else if (options.loraStrengths.length === options.loras.length) {
+      if (options.loraStrengths[multiAngleIndex] === undefined || options.loraStrengths[multiAngleIndex] === null) {
+        options.loraStrengths[multiAngleIndex] = multiAngleStrength;
+      }
+    }
+  }
+
+  if (options.outputFormat) {
+    const normalized = options.outputFormat.toLowerCase();
+    options.outputFormat = normalized === 'jpeg' ? 'jpg' : normalized;
+    if (options.video) {
+      if (options.outputFormat !== 'mp4') {
+        fatalCliError('Video output format must be "mp4".', {
+          code: 'INVALID_ARGUMENT',
+          details: { outputFormat: options.outputFormat }
+        });
+      }
+    } else if (!['png', 'jpg'].includes(options.outputFormat)) {
+      fatalCliError('Image output format must be "png" or "jpg".', {
+        code: 'INVALID_ARGUMENT',
+        details: { outputFormat: options.outputFormat }
+      });
+    }
+  }
+
+  if (options.loraStrengths.length > 0 && options.loras.length === 0) {
+    fatalCliError('--lora-strength requires at least one --lora.', { code: 'INVALID_ARGUMENT' });
+  }
+
+  if (options.loraStrengths.length > 0 && options.loras.length > 0 &&
+      options.loraStrengths.length !== options.loras.length) {
+    fatalCliError('--lora-strengths count must match --loras count.', {
+      code: 'INVALID_ARGUMENT',
+      details: { loras: options.loras.length, loraStrengths: options.loraStrengths.length }
+    });
+  }
+
+  if (options.video && options.loras.length > 0) {
+    fatalCliError('--lora options are image-only.', { code: 'INVALID_ARGUMENT' });
+  }
+
+  if (options.video && (options.sampler || options.scheduler)) {
+    fatalCliError('--sampler/--scheduler are image-only options.', { code: 'INVALID_ARGUMENT' });
+  }
+
+  if (!options.video && options.autoResizeVideoAssets !== null) {
+    fatalCliError('--auto-resize-assets is only valid with --video.', { code: 'INVALID_ARGUMENT' });
+  }
+
+  if (options.estimateVideoCost && !options.video) {
+    fatalCliError('--estimate-video-cost requires --video.', { code: 'INVALID_ARGUMENT' });
+  }
+
+  if (options.angles360Video && !options.angles360) {
+    fatalCliError('--angles-360-video requires --angles-360.', { code: 'INVALID_ARGUMENT' });
+  }
+
+  validateOutputTemplate(options.output, '--output');
+  validateOutputTemplate(options.angles360Video, '--angles-360-video');
+
+  if (options.grid) {
+    if (options.video || options.estimateVideoCost) {
+      fatalCliError('--grid composes image outputs and cannot be used with --video.', { code: 'INVALID_ARGUMENT' });
+    }
+    if (!GRID_FORMATS.has(extname(options.grid).toLowerCase())) {
+      fatalCliError('--grid path must end in .png, .jpg, .jpeg or .webp.', {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: '--grid', value: options.grid }
+      });
+    }
+  }
+
+  // Normalize/validate video workflow before applying defaults
+  if (options.video) {
+    if (options.videoWorkflow) {
+      const normalized = normalizeVideoWorkflow(options.videoWorkflow);
+      if (!normalized) {
+        fatalCliError(`Unknown workflow "${options.videoWorkflow}". Use t2v|i2v|s2v|v2v|animate-move|animate-replace.`, {
+          code: 'INVALID_ARGUMENT',
+          details: { workflow: options.videoWorkflow }
+        });
+      }
+      options.videoWorkflow = normalized;
+    }
+
+    const workflowFromModel = inferVideoWorkflowFromModel(options.model);
+    if (options.videoWorkflow && workflowFromModel && options.videoWorkflow !== workflowFromModel) {
+      fatalCliError(`Workflow "${options.videoWorkflow}" does not match model "${options.model}".`, {
+        code: 'INVALID_ARGUMENT',
+        details: { workflow: options.videoWorkflow, model: options.model }
+      });
+    }
+    if (!options.videoWorkflow) {
+      options.videoWorkflow = workflowFromModel || inferVideoWorkflowFromAssets(options) || openclawConfig?.defaultVideoWorkflow || 't2v';
+    }
+  }
+
+  // Resolve --last-image after workflow is known
+  if (options._lastImagePath) {
+    if (options.video) {
+      if (workflowRequiresImage(options.videoWorkflow)) {
+        if (!options.refImage) options.refImage = options._lastImagePath;
+      } else if (!options.quiet) {
+        console.error('Warning: --last-image ignored for text-to-video workflow.');
+      }
+    } else if (options.photobooth) {
+      if (!options.refImage) options.refImage = options._lastImagePath;
+    } else {
+      options.contextImages.push(options._lastImagePath);
+    }
+    delete options._lastImagePath;
+  }
+
+  // Set defaults based on type and context
+  if (options.video) {
+    const cfgVideoModels = openclawConfig?.videoModels || {};
+    const cfgModel = options.videoWorkflow ? cfgVideoModels[options.videoWorkflow] : null;
+    options.model = options.model || cfgModel || VIDEO_WORKFLOW_DEFAULT_MODELS[options.videoWorkflow] || 'wan_v2.2-14b-fp8_i2v_lightx2v';
+    if (!cliSet.timeout && !timeoutFromConfig && options.timeout === 30000) {
+      options.timeout = 300000; // 5 min for video
+    }
+  } else if (options.photobooth) {
+    // Photobooth uses SDXL Turbo + InstantID ControlNet
+    options.model = options.model || openclawConfig?.defaultPhotoboothModel || 'coreml-sogniXLturbo_alpha1_ad';
+    if (!cliSet.width) options.width = 1024;
+    if (!cliSet.height) options.height = 1024;
+    if (!cliSet.timeout && !timeoutFromConfig && options.timeout === 30000) {
+      options.timeout = 60000;
+    }
+  } else if (options.contextImages.length > 0) {
+    // Use qwen edit model when context images provided (unless model explicitly set)
+    options.model = options.model || openclawConfig?.defaultEditModel || 'qwen_image_edit_2511_fp8_lightning';
+    if (!cliSet.timeout && !timeoutFromConfig && options.timeout === 30000) {
+      options.timeout = 60000; // 1 min for editing
+    }
+  } else {
+    options.model = options.model || openclawConfig?.defaultImageModel || 'z_image_turbo_bf16';
+  }
+
+  if (!options.prompt && !options.estimateVideoCost && !options.multiAngle && !options.showBalance && !options.listLoras && !options.showVersion) {
+    fatalCliError('No prompt provided. Use --help for usage.', { code: 'INVALID_ARGUMENT' });
+  }
+
+  if (!options.video && (options.refAudio || options.refVideo || options.videoWorkflow || options.frames)) {
+    fatalCliError('Video-only options (--workflow/--frames/--ref-audio/--ref-video) require --video.', {
+      code: 'INVALID_ARGUMENT'
+    });
+  }
+
+  if (options.photobooth) {
+    if (!options.refImage) {
+      fatalCliError('--photobooth requires --ref <face-image>.', { code: 'INVALID_ARGUMENT' });
+    }
+    if (options.video) {
+      fatalCliError('--photobooth cannot be combined with --video.', { code: 'INVALID_ARGUMENT' });
+    }
+    if (options.contextImages.length > 0) {
+      fatalCliError('--photobooth cannot be combined with -c/--context.', { code: 'INVALID_ARGUMENT' });
+    }
+  }
+
+  if (options.extend) options.outpaint = true;
+  if (options.aspect && !options.outpaint) {
+    fatalCliError('--aspect requires --outpaint.', { code: 'INVALID_ARGUMENT' });
+  }
+  if (options.outpaint) {
+    if (!options.extend && !options.aspect) {
+      fatalCliError('--outpaint requires --aspect <w:h> or --extend <sides>.', { code: 'INVALID_ARGUMENT' });
+    }
+    if (options.extend && options.aspect) {
+      fatalCliError('Use either --extend or --aspect to outpaint, not both.', { code: 'INVALID_ARGUMENT' });
+    }
+    if (options.video || options.photobooth || options.multiAngle) {
+      fatalCliError('Outpainting only applies to image editing, not --video, --photobooth or --multi-angle.', {
+        code: 'INVALID_ARGUMENT'
+      });
+    }
+    if (options.contextImages.length === 0) {
+      fatalCliError('Outpainting requires a source image (-c/--context or --last-image).', { code: 'INVALID_ARGUMENT' });
+    }
+    if (options.mask) {
+      fatalCliError('--mask cannot be combined with outpainting; the new canvas area is the mask.', {
+        code: 'INVALID_ARGUMENT'
+      });
+    }
+    if (!inpaintMaskParam(options.model)) {
+      fatalCliError(`Model ${options.model} does not support outpainting.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { model: options.model },
+        hint: 'Outpainting sends the new canvas area as an inpaint mask, which this model cannot take.'
+      });
+    }
+  }
+
+  if (cliSet.denoise && !options.initImage) {
+    fatalCliError('--denoise requires --init-image.', { code: 'INVALID_ARGUMENT' });
+  }
+  if (options.initImage) {
+    if (options.video || options.photobooth || options.multiAngle || options.contextImages.length > 0) {
+      fatalCliError('--init-image cannot be combined with --video, --photobooth, --multi-angle or -c/--context.', {
+        code: 'INVALID_ARGUMENT',
+        hint: 'To edit an image with a Qwen edit model, pass it with -c/--context instead.'
+      });
+    }
+    if (!supportsInitImage(options.model)) {
+      fatalCliError(`Model ${options.model} does not support --init-image.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { model: options.model },
+        hint: 'Use a text-to-image model such as flux1-schnell-fp8, or -c/--context with a Qwen edit model.'
+      });
+    }
+    options.denoise = options.denoise ?? DEFAULT_DENOISE;
+    if (!(options.denoise >= 0 && options.denoise <= 1)) {
+      fatalCliError('--denoise must be between 0.0 and 1.0.', {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: '--denoise', value: options.denoise }
+      });
+    }
+  }
+
+  if (options.controlImage && !options.controlNet) {
+    fatalCliError('--control-image requires --controlnet.', { code: 'INVALID_ARGUMENT' });
+  }
+  if (options.controlNet) {
+    if (options.video || options.photobooth || options.multiAngle || options.contextImages.length > 0) {
+      fatalCliError('--controlnet cannot be combined with --video, --photobooth, --multi-angle or -c/--context.', {
+        code: 'INVALID_ARGUMENT',
+        hint: 'For video-to-video use --workflow v2v with --controlnet-name.'
+      });
+    }
+    if (!options.controlImage) {
+      fatalCliError('--controlnet requires --control-image.', { code: 'INVALID_ARGUMENT' });
+    }
+    const allowed = imageControlNetsForModel(options.model);
+    if (allowed.length === 0) {
+      fatalCliError(`Model ${options.model} does not support ControlNet.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { model: options.model },
+        hint: 'Pick an SD 1.5 checkpoint with -m.'
+      });
+    }
+    if (!allowed.includes(options.controlNet)) {
+      fatalCliError(`Model ${options.model} does not support ControlNet "${options.controlNet}". Use: ${allowed.join('|')}`, {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: '--controlnet', value: options.controlNet, model: options.model, allowed }
+      });
+    }
+  }
+  if (!options.video) {
+    if (cliSet.controlNetStrength && !options.controlNet) {
+      fatalCliError('--controlnet-strength requires --controlnet (or --video with --controlnet-name).', {
+        code: 'INVALID_ARGUMENT',
+        hint: options.photobooth ? 'Photobooth uses --cn-strength.' : undefined
+      });
+    }
+    if (cliSet.cnGuidanceStart && !options.controlNet && !options.photobooth) {
+      fatalCliError('--cn-guidance-start requires --controlnet or --photobooth.', { code: 'INVALID_ARGUMENT' });
+    }
+    for (const [flag, value] of [
+      ['--controlnet-strength', options.controlNetStrength],
+      ['--cn-guidance-start', options.cnGuidanceStart],
+      ['--cn-guidance-end', options.cnGuidanceEnd]
+    ]) {
+      if (value != null && !(value >= 0 && value <= 1)) {
+        fatalCliError(`${flag} must be between 0.0 and 1.0.`, {
+          code: 'INVALID_ARGUMENT',
+          details: { flag, value }
+        });
+      }
+    }
+    if (options.cnGuidanceStart != null && options.cnGuidanceEnd != null && options.cnGuidanceStart >= options.cnGuidanceEnd) {
+      fatalCliError('--cn-guidance-start must be lower than --cn-guidance-end.', {
+        code: 'INVALID_ARGUMENT',
+        details: { guidanceStart: options.cnGuidanceStart, guidanceEnd: options.cnGuidanceEnd }
+      });
+    }
+  }
+
+  if (cliSet.maskFeather && !options.mask && !options.outpaint) {
+    fatalCliError('--mask-feather requires --mask or outpainting.', { code: 'INVALID_ARGUMENT' });
+  }
+  if (options.outpaint && (!Number.isFinite(options.maskFeather) || options.maskFeather < 0)) {
+    fatalCliError('--mask-feather must be a number of pixels, 0 or more.', {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: '--mask-feather', value: options.maskFeather }
+    });
+  }
+  if (options.mask) {
+    if (options.video || options.photobooth || options.multiAngle) {
+      fatalCliError('--mask only applies to image editing, not --video, --photobooth or --multi-angle.', {
+        code: 'INVALID_ARGUMENT'
+      });
+    }
+    if (options.contextImages.length === 0) {
+      fatalCliError('--mask requires a source image (-c/--context or --last-image).', { code: 'INVALID_ARGUMENT' });
+    }
+    if (!Number.isFinite(options.maskFeather) || options.maskFeather < 0) {
+      fatalCliError('--mask-feather must be a number of pixels, 0 or more.', {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: '--mask-feather', value: options.maskFeather }
+      });
+    }
+    if (!inpaintMaskParam(options.model)) {
+      fatalCliError(`Model ${options.model} does not support --mask.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { model: options.model },
+        hint: 'Drop --mask and describe the change in the prompt; edit models keep the rest of the image.'
+      });
+    }
+  }
+
+  if (options.video) {
+    if (options.videoWorkflow === 't2v') {
+      if (options.refImage || options.refImageEnd || options.refAudio || options.refVideo) {
+        fatalCliError('t2v does not accept reference image/audio/video.', {
+          code: 'INVALID_ARGUMENT'
+        });
+      }
+    } else if (options.videoWorkflow === 'i2v') {
+      if (!options.refImage && !options.refImageEnd) {
+        fatalCliError('i2v requires --ref and/or --ref-end.', { code: 'INVALID_ARGUMENT' });
+      }
+      if (options.refAudio || options.refVideo) {
+        fatalCliError('i2v does not accept reference audio/video.', { code: 'INVALID_ARGUMENT' });
+      }
+    } else if (options.videoWorkflow === 's2v') {
+      if (!options.refImage || !options.refAudio) {
+        fatalCliError('s2v requires both --ref and --ref-audio.', { code: 'INVALID_ARGUMENT' });
+      }
+      if (options.refVideo) {
+        fatalCliError('s2v does not accept reference video.', { code: 'INVALID_ARGUMENT' });
+      }
+    } else if (options.videoWorkflow === 'v2v') {
+      if (!options.refVideo) {
+        fatalCliError('v2v requires --ref-video.', { code: 'INVALID_ARGUMENT' });
+      }
+      if (!options.videoControlNetName) {
+        fatalCliError('v2v requires --controlnet-name (canny|pose|depth|detailer).', { code: 'INVALID_ARGUMENT' });
+      }
+      if (options.refAudio) {
+        fatalCliError('v2v does not accept reference audio.', { code: 'INVALID_ARGUMENT' });
+      }
+    } else if (options.videoWorkflow === 'animate-move' || options.videoWorkflow === 'animate-replace') {
+      if (!options.refImage || !options.refVideo) {
+        fatalCliError('animate workflows require both --ref and --ref-video.', { code: 'INVALID_ARGUMENT' });
+      }
+      if (options.refAudio) {
+        fatalCliError('animate workflows do not accept reference audio.', { code: 'INVALID_ARGUMENT' });
+      }
+    }
+
+    // Validate controlnet-name values
+    if (options.videoControlNetName) {
+      const validControlNets = ['canny', 'pose', 'depth', 'detailer'];
+      if (!validControlNets.includes(options.videoControlNetName)) {
+        fatalCliError(`Unknown --controlnet-name "${options.videoControlNetName}". Use: ${validControlNets.join('|')}`, {
+          code: 'INVALID_ARGUMENT',
+          details: { flag: '--controlnet-name', value: options.videoControlNetName, allowed: validControlNets }
+        });
+      }
+    }
+
+    // Validate SAM2 coordinates (only for animate-replace)
+    if (options.sam2Coordinates && options.videoWorkflow !== 'animate-replace') {
+      fatalCliError('--sam2-coordinates is only supported with animate-replace workflow.', { code: 'INVALID_ARGUMENT' });
+    }
+
+    // Validate looping flag
+    if (options.looping) {
+      if (!options.video) {
+        fatalCliError('--looping requires --video.', { code: 'INVALID_ARGUMENT' });
+      }
+      if (options.videoWorkflow !== 'i2v') {
+        fatalCliError('--looping is only supported with i2v workflow.', { code: 'INVALID_ARGUMENT' });
+      }
+      if (!options.refImage) {
+        fatalCliError('--looping requires --ref (reference image).', { code: 'INVALID_ARGUMENT' });
+      }
+      if (options.refImageEnd) {
+        fatalCliError('--looping cannot be used with --ref-end (end frame is auto-generated).', { code: 'INVALID_ARGUMENT' });
+      }
+    }
+  }
+
+  // Video dimensions:
+  // - Sogni video pipelines require dims within [480..1536] and divisible by 16.
+  // - When using i2v (or any ref-based workflow), the Sogni client wrapper will *resize the reference image*
+  //   with sharp `fit: inside` and then override the project width/height with the resized reference dims.
+  //   That means a "valid" requested size can still fail if the resized ref lands on a non-16-multiple (e.g. 1024x1535).
+  if (options.video) {
+    if (!Number.isFinite(options.width) || options.width <= 0 || !Number.isFinite(options.height) || options.height <= 0) {
+      fatalCliError('Video width/height must be positive numbers.', {
+        code: 'INVALID_ARGUMENT',
+        details: { width: options.width, height: options.height }
+      });
+    }
+
+    const originalVideoWidth = options.width;
+    const originalVideoHeight = options.height;
+    const normalizedVideoDims = normalizeVideoDimensionsLikeWrapper(options.width, options.height);
+    options.width = normalizedVideoDims.width;
+    options.height = normalizedVideoDims.height;
+    if (normalizedVideoDims.adjusted && !options.quiet) {
+      console.error(
+        `Auto-adjusted video dimensions from ${originalVideoWidth}x${originalVideoHeight} ` +
+        `to ${options.width}x${options.height} to meet video requirements.`
+      );
+    }
+
+    if (options.videoWorkflow === 'i2v' && (options.refImage || options.refImageEnd)) {
+      const references = [
+        {
+          key: 'refImage',
+          path: options.refImage,
+          label: 'Reference image',
+          resizeFlag: '_needsRefResize'
+        },
+        {
+          key: 'refImageEnd',
+          path: options.refImageEnd,
+          label: 'End reference image',
+          resizeFlag: '_needsRefEndResize'
+        }
+      ];
+      const localRefDims = new Map();
+
+      const isIncompatible = (predicted) => Boolean(predicted) && (
+        predicted.width % VIDEO_DIMENSION_MULTIPLE !== 0 ||
+        predicted.height % VIDEO_DIMENSION_MULTIPLE !== 0 ||
+        predicted.width < MIN_VIDEO_DIMENSION ||
+        predicted.height < MIN_VIDEO_DIMENSION
+      );
+
+      for (const ref of references) {
+        if (!ref.path || isHttpUrl(ref.path) || !existsSync(ref.path)) continue;
+        const buffer = readFileSync(ref.path);
+        const dims = getImageDimensionsFromBuffer(buffer);
+        if (!dims?.width || !dims?.height) continue;
+        localRefDims.set(ref.key, dims);
+
+        const predicted = predictSharpInsideResizeDims(dims.width, dims.height, options.width, options.height);
+        if (!isIncompatible(predicted)) continue;
+
+        const candidate = pickCompatibleI2vBoundingBox(dims.width, dims.height, options.width, options.height, { allowImperfect: true });
+        if (!candidate) {
+          options[ref.resizeFlag] = true;
+          if (!options.quiet) {
+            console.error(
+              `${ref.label} ${dims.width}x${dims.height} will be pre-resized to div-16 dimensions ` +
+              'because no compatible bounding box exists for i2v workflow.'
+            );
+          }
+          continue;
+        }
+
+        if ((cliSet.width || cliSet.height) && options.strictSize) {
+          fatalCliError(
+            `${ref.label} ${dims.width}x${dims.height} would resize to ${predicted.width}x${predicted.height}, ` +
+            'but both dimensions must be divisible by 16.',
+            {
+              code: 'INVALID_VIDEO_SIZE',
+              details: {
+                referenceType: ref.key,
+                referencePath: ref.path,
+                reference: { width: dims.width, height: dims.height },
+                requested: { width: options.width, height: options.height },
+                resized: predicted
+              },
+              hint: `Try: --width ${candidate.width} --height ${candidate.height} (or omit --strict-size)`
+            }
+          );
+        }
+
+        const beforeW = options.width;
+        const beforeH = options.height;
+        options.width = candidate.width;
+        options.height = candidate.height;
+
+        const predictedAfter = predictSharpInsideResizeDims(dims.width, dims.height, options.width, options.height);
+        options._adjustedVideoDims = {
+          reason: 'i2v-ref-div16',
+          referenceType: ref.key,
+          requested: { width: beforeW, height: beforeH },
+          adjusted: { width: options.width, height: options.height },
+          resizedFrom: predicted,
+          resizedTo: predictedAfter || null
+        };
+        if (!options.quiet) {
+          const mode = cliSet.width || cliSet.height ? 'Warning: Adjusted' : 'Auto-adjusted';
+          console.error(
+            `${mode} i2v video size from ${beforeW}x${beforeH} to ${options.width}x${options.height} ` +
+            `because resized reference would be ${predicted.width}x${predicted.height}.`
+          );
+        }
+      }
+
+      for (const ref of references) {
+        const dims = localRefDims.get(ref.key);
+        if (!dims) continue;
+        const predicted = predictSharpInsideResizeDims(dims.width, dims.height, options.width, options.height);
+        if (isIncompatible(predicted)) {
+          options[ref.resizeFlag] = true;
+        }
+      }
+
+      const effectiveDimsSource = localRefDims.get('refImage') || localRefDims.get('refImageEnd') || null;
+      if (effectiveDimsSource) {
+        const predicted = predictSharpInsideResizeDims(
+          effectiveDimsSource.width,
+          effectiveDimsSource.height,
+          options.width,
+          options.height
+        );
+        if (predicted) {
+          options._effectiveVideoDims = {
+            width: predicted.width,
+            height: predicted.height,
+            refWidth: effectiveDimsSource.width,
+            refHeight: effectiveDimsSource.height,
+            requestedWidth: options.width,
+            requestedHeight: options.height
+          };
+        }
+      }
+
+      if ((options._needsRefResize || options._needsRefEndResize) && !options.quiet) {
+        console.error('One or more i2v references require pre-resize to ensure div-16 compatibility.');
+      }
+    }
+  }
+
+  // Validate context images against model limits
+  if (options.contextImages.length > 0 && !options.video) {
+    const maxImages = getMaxContextImages(options.model);
+    if (maxImages === 0) {
+      fatalCliError(`Model ${options.model} does not support context images.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { model: options.model },
+        hint: 'Try: qwen_image_edit_2511_fp8 or qwen_image_edit_2511_fp8_lightning'
+      });
+    }
+    if (options.contextImages.length > maxImages) {
+      fatalCliError(`Model ${options.model} supports max ${maxImages} context images, got ${options.contextImages.length}.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { model: options.model, maxImages, provided: options.contextImages.length }
+      });
+    }
+  }
+
+  // An --init-image, --control-image or outpaint canvas sets the output size
+  // in runRender, so the seed (hashed from that size) is picked there.
+  const sizeFollowsImage = (options.initImage || options.controlNet || options.outpaint) && !(cliSet.width && cliSet.height);
+  if (!options.estimateVideoCost && !options.showVersion && !sizeFollowsImage) {
+    assignDefaultSeed(options);
+  }
+}
+
+/** Pick a seed with the seed strategy unless one was given. */
+function assignDefaultSeed(options) {
+  if (options.seed !== null && options.seed !== undefined) return;
+  const strategy = options.seedStrategy || getOpenClawConfig()?.seedStrategy || 'prompt-hash';
+  const normalized = normalizeSeedStrategy(strategy) || 'prompt-hash';
+  options.seedStrategy = normalized;
+  options.seed = normalized === 'random'
+    ? generateRandomSeed()
+    : computePromptHashSeed(options);
+  if (!options.quiet) console.error(`Using ${normalized} seed: ${options.seed}`);
+}
+
+// Load credentials
+function loadCredentials() {
+  const credPath = join(homedir(), '.config', 'sogni', 'credentials');
+  
+  if (existsSync(credPath)) {
+    const content = readFileSync(credPath, 'utf8');
+    const creds = {};
+    for (const line of content.split('\n')) {
+      const [key, val] = line.split('=');
+      if (key && val) creds[key.trim()] = val.trim();
+    }
+    if (creds.SOGNI_USERNAME && creds.SOGNI_PASSWORD) {
+      return creds;
+    }
+  }
+  
+  if (process.env.SOGNI_USERNAME && process.env.SOGNI_PASSWORD) {
+    return {
+      SOGNI_USERNAME: process.env.SOGNI_USERNAME,
+      SOGNI_PASSWORD: process.env.SOGNI_PASSWORD
+    };
+  }
+
+  const err = new Error('No Sogni credentials found.');
+  err.code = 'MISSING_CREDENTIALS';
+  err.hint = 'Set SOGNI_USERNAME/SOGNI_PASSWORD or create ~/.config/sogni/credentials.';
+  err.details = {
+    triedEnv: ['SOGNI_USERNAME', 'SOGNI_PASSWORD'],
+    triedFile: credPath
+  };
+  throw err;
+}
+
+function readLastRender() {
+  if (!existsSync(LAST_RENDER_PATH)) return null;
+  try {
+    return JSON.parse(readFileSync(LAST_RENDER_PATH, 'utf8'));
+  } catch (e) {
+    console.error('Warning: Could not load last render info');
+    return null;
+  }
+}
+
+// Render history is append-only JSONL, one render info object per line with
+// a sequential numeric id. last-render.json mirrors the newest entry.
+function readRenderHistory() {
+  seedRenderHistory();
+  if (!existsSync(HISTORY_PATH)) return [];
+  const entries = [];
+  try {
+    readFileSync(HISTORY_PATH, 'utf8').split('\n').forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        // Skip lines truncated by an interrupted write.
+      }
+    });
+  } catch (e) {
+    // Unreadable history: behave as if empty.
+  }
+  return entries;
+}
+
+function filterRenderHistory(entries, filters) {
+  return entries.filter((entry) => filters.every(({ key, value }) => {
+    const actual = entry[key];
+    if (Array.isArray(actual)) return actual.some((item) => String(item) === value);
+    return actual !== undefined && actual !== null && String(actual) === value;
+  }));
+}
+
+function printRenderHistory(options) {
+  const matches = filterRenderHistory(readRenderHistory(), options.historyFilters);
+  const entries = matches.slice(-options.historyLimit).reverse();
+  if (options.json) {
+    console.log(JSON.stringify({
+      success: true,
+      type: 'history',
+      total: matches.length,
+      entries
+    }));
+    return;
+  }
+  if (entries.length === 0) {
+    console.error('No renders found in history.');
+    return;
+  }
+  entries.forEach((entry) => {
+    const prompt = entry.prompt ? ` "${entry.prompt}"` : '';
+    const seed = entry.seed !== undefined && entry.seed !== null ? ` seed=${entry.seed}` : '';
+    console.log(`#${entry.id} ${entry.timestamp} ${entry.type} ${entry.model}${seed}${prompt}`);
+  });
+}
+
+// A last-render.json written before the history existed becomes entry #1, so
+// --history, --from-history and --replay still reach that render.
+function seedRenderHistory() {
+  if (existsSync(HISTORY_PATH) || !existsSync(LAST_RENDER_PATH)) return;
+  try {
+    const { id, ...legacy } = JSON.parse(readFileSync(LAST_RENDER_PATH, 'utf8'));
+    if (!legacy || typeof legacy !== 'object' || !legacy.model) return;
+    appendFileSync(HISTORY_PATH, JSON.stringify({ id: 1, ...legacy }) + '\n');
+  } catch (e) {
+    // Unreadable last render: start the history empty.
+  }
+}
+
+// The newest history id, read backwards from the end of history.jsonl so a
+// save does not parse the whole history.
+function readLastHistoryId() {
+  if (!existsSync(HISTORY_PATH)) return 0;
+  const fd = openSync(HISTORY_PATH, 'r');
+  try {
+    const size = fstatSync(fd).size;
+    for (let window = 16 * 1024; ; window *= 4) {
+      const length = Math.min(window, size);
+      const buffer = Buffer.alloc(length);
+      readSync(fd, buffer, 0, length, size - length);
+      const lines = buffer.toString('utf8').split('\n');
+      // The first line may be cut off unless the window reached the start.
+      if (length < size) lines.shift();
+      for (let i = lines.length - 1; i >= 0; i--) {
+        try {
+          const entry = JSON.parse(lines[i]);
+          if (Number.isInteger(entry?.id)) return entry.id;
+        } catch (e) {
+          // Blank or truncated line.
+        }
+      }
+      if (length === size) return 0;
+    }
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// Save last render info and append it to the render history. Assigns
+// info.id so callers can report which history entry was written.
+function saveLastRender(info) {
+  try {
+    const dir = dirname(LAST_RENDER_PATH);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    seedRenderHistory();
+    const entry = { id: readLastHistoryId() + 1, ...info };
+    appendFileSync(HISTORY_PATH, JSON.stringify(entry) + '\n');
+    writeFileSync(LAST_RENDER_PATH, JSON.stringify(entry, null, 2));
+    info.id = entry.id;
+  } catch (e) {
+    // Ignore save errors
+  }
+}
+
+// Fetch image as buffer
+async function fetchMediaBuffer(pathOrUrl) {
+  if (pathOrUrl.startsWith('http://') || pathOrUrl.startsWith('https://')) {
+    const response = await fetch(pathOrUrl);
+    if (!response.ok) {
+      const err = new Error(`Failed to fetch media (${response.status} ${response.statusText})`);
+      err.code = 'FETCH_FAILED';
+      err.details = { url: pathOrUrl, status: response.status, statusText: response.statusText };
+      throw err;
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+  try {
+    return readFileSync(pathOrUrl);
+  } catch (e) {
+    const err = new Error(`Failed to read media file: ${pathOrUrl}`);
+    err.code = 'MISSING_FILE';
+    err.hint = 'Check the path or use a URL.';
+    err.details = { path: pathOrUrl, cause: e?.message || String(e) };
+    throw err;
+  }
+}
+
+const OUTPUT_TEMPLATE_TOKENS = ['prompt_slug', 'seed', 'model', 'date', 'index', 'workflow', 'azimuth'];
+const OUTPUT_TOKEN_RE = /\{(\w+)\}/g;
+
+function slugifyOutputValue(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+function resolveOutputWorkflow(options) {
+  if (options.video) return options.videoWorkflow || 'video';
+  if (options.angles360 || options.multiAngle) return 'multi-angle';
+  if (options.photobooth) return 'photobooth';
+  if (options.contextImages.length > 0) return 'edit';
+  return 'image';
+}
+
+/**
+ * Tokens shared by every output of a render; per-result tokens ({index},
+ * {seed}, {azimuth}) are added by the caller.
+ */
+function buildOutputTokens(options) {
+  return {
+    prompt_slug: slugifyOutputValue(options.prompt || options.angleDescription || '') || 'untitled',
+    model: slugifyOutputValue(options.model) || 'model',
+    date: new Date().toISOString().slice(0, 10),
+    workflow: resolveOutputWorkflow(options)
+  };
+}
+
+function hasOutputTokens(outputPath) {
+  return /\{\w+\}/.test(outputPath);
+}
+
+function validateOutputTemplate(outputPath, flag) {
+  if (typeof outputPath !== 'string') return;
+  const unknown = [...outputPath.matchAll(OUTPUT_TOKEN_RE)]
+    .map((match) => match[1])
+    .filter((name) => !OUTPUT_TEMPLATE_TOKENS.includes(name));
+  if (unknown.length > 0) {
+    fatalCliError(`${flag} uses unknown token {${unknown[0]}}.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { flag, value: outputPath, unknown },
+      hint: `Available tokens: ${OUTPUT_TEMPLATE_TOKENS.map((name) => `{${name}}`).join(', ')}`
+    });
+  }
+}
+
+/**
+ * Fill `{token}` placeholders in an output path. Tokens without a value are left as-is.
+ */
+function renderOutputTemplate(template, tokens) {
+  return template.replace(OUTPUT_TOKEN_RE, (match, name) => (
+    tokens[name] === undefined || tokens[name] === null ? match : String(tokens[name])
+  ));
+}
+
+function isOutputDirectory(outputPath) {
+  if (/[\\/]$/.test(outputPath)) return true;
+  try {
+    return existsSync(outputPath) && statSync(outputPath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Turn `-o` into a filename template. A directory gets `name.ext` inside it, a
+ * tokenized path without an extension gets `.ext`, and with `appendToPlain` a
+ * plain path gets `-name` added to its stem so per-result tokens stay distinct.
+ */
+function resolveOutputTemplate(outputPath, { ext, name = '{index}-{seed}', appendToPlain = false }) {
+  if (!outputPath) return null;
+  if (isOutputDirectory(outputPath)) return join(outputPath, `${name}.${ext}`);
+  const currentExt = extname(outputPath);
+  if (hasOutputTokens(outputPath)) return currentExt ? outputPath : `${outputPath}.${ext}`;
+  if (!appendToPlain) return outputPath;
+  const stem = currentExt ? outputPath.slice(0, -currentExt.length) : outputPath;
+  return `${stem}-${name}${currentExt || `.${ext}`}`;
+}
+
+/**
+ * Plan one local path per result from an output template. Results whose paths
+ * collide (a plain path, or a pattern without {index}) get `-2`, `-3`, ...
+ * suffixes; pass `used` to keep paths distinct across several calls.
+ */
+function planOutputPaths(template, entries, used = new Set()) {
+  if (!template) return [];
+  return entries.map((tokens, i) => {
+    const rendered = renderOutputTemplate(template, { ...tokens, seed: tokens.seed ?? 'random' });
+    const fileExt = extname(rendered);
+    const stem = fileExt ? rendered.slice(0, -fileExt.length) : rendered;
+    let candidate = rendered;
+    for (let n = i + 1; used.has(candidate); n++) {
+      candidate = `${stem}-${n}${fileExt}`;
+    }
+    used.add(candidate);
+    return candidate;
+  });
+}
+
+async function downloadUrlToFile(url, filePath) {
+  writeFileSync(filePath, await fetchMediaBuffer(url));
+}
+
+function removeClientListener(client, event, handler) {
+  if (typeof client.off === 'function') {
+    client.off(event, handler);
+  } else {
+    client.removeListener(event, handler);
+  }
+}
+
+/**
+ * Client listeners for one project. A shared client also carries events for
+ * other projects (one that timed out or was cancelled keeps running on the
+ * network), so those are dropped. Events that arrive before the create call
+ * returns the project id are held until `track(id)`; without an id, the first
+ * project seen is followed.
+ */
+function createProjectListeners(client) {
+  const listeners = [];
+  let held = [];
+  let tracking = false;
+  let projectId = null;
+  const isOurs = (data) => {
+    const eventProjectId = data?.projectId;
+    if (!eventProjectId) return true;
+    if (!projectId) projectId = eventProjectId;
+    return eventProjectId === projectId;
+  };
+  return {
+    on(event, handler) {
+      const listener = (data) => {
+        if (!tracking) held.push([handler, data]);
+        else if (isOurs(data)) handler(data);
+      };
+      client.on(event, listener);
+      listeners.push([event, listener]);
+    },
+    track(id) {
+      tracking = true;
+      projectId = id || null;
+      const pending = held;
+      held = [];
+      for (const [handler, data] of pending) {
+        if (isOurs(data)) handler(data);
+      }
+    },
+    removeAll() {
+      listeners.forEach(([event, listener]) => removeClientListener(client, event, listener));
+      listeners.length = 0;
+      held = [];
+    }
+  };
+}
+
+function ensureFfmpegAvailable() {
+  const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+  sanitizePath(ffmpegPath, 'FFMPEG_PATH');
+  const result = spawnSync(ffmpegPath, ['-version'], { stdio: 'pipe' });
+  if (result.error || result.status !== 0) {
+    const err = new Error('ffmpeg is required to assemble the 360 video.');
+    err.code = 'MISSING_FFMPEG';
+    err.hint = 'Install ffmpeg or set FFMPEG_PATH to a working ffmpeg binary.';
+    err.details = { ffmpegPath };
+    throw err;
+  }
+  // Verify the binary actually is ffmpeg (not an arbitrary executable)
+  const stdout = result.stdout?.toString() || '';
+  if (!stdout.toLowerCase().includes('ffmpeg')) {
+    const err = new Error('FFMPEG_PATH does not point to an ffmpeg binary.');
+    err.code = 'INVALID_FFMPEG';
+    err.hint = 'Ensure FFMPEG_PATH points to a real ffmpeg installation.';
+    err.details = { ffmpegPath };
+    throw err;
+  }
+  return ffmpegPath;
+}
+
+function writeConcatList(filePath, frames, frameDuration) {
+  const lines = [];
+  frames.forEach((frame) => {
+    lines.push(`file '${frame.replace(/'/g, "'\\''")}'`);
+    lines.push(`duration ${frameDuration}`);
+  });
+  if (frames.length > 0) {
+    const last = frames[frames.length - 1];
+    lines.push(`file '${last.replace(/'/g, "'\\''")}'`);
+  }
+  writeFileSync(filePath, lines.join('\n'));
+}
+
+function isNonEmptyFile(filePath) {
+  try {
+    if (!existsSync(filePath)) return false;
+    const stat = statSync(filePath);
+    return stat.isFile() && stat.size > 0;
+  } catch {
+    return false;
+  }
+}
+
+function buildAngles360Video(outputPath, frames, fps) {
+  sanitizePath(outputPath, '--angles-360-video output path');
+  frames.forEach((f, i) => sanitizePath(f, `frame[${i}]`));
+  const ffmpegPath = ensureFfmpegAvailable();
+  const tempListPath = outputPath.replace(/\.mp4$/i, '') + '.concat.txt';
+  const frameDuration = 1 / fps;
+  writeConcatList(tempListPath, frames, frameDuration);
+
+  const args = [
+    '-y',
+    '-f', 'concat',
+    '-safe', '0',
+    '-i', tempListPath,
+    '-r', String(fps),
+    '-pix_fmt', 'yuv420p',
+    outputPath
+  ];
+  const result = spawnSync(ffmpegPath, args, { stdio: 'inherit' });
+  if (result.error || result.status !== 0) {
+    // ffmpeg sometimes exits non-zero even when the output file is usable.
+    // Treat it as success if the output exists and is non-empty.
+    if (isNonEmptyFile(outputPath)) {
+      console.warn('Warning: ffmpeg exited non-zero, but output video exists and is non-empty. Continuing.');
+      return;
+    }
+    const err = new Error('ffmpeg failed to build 360 video.');
+    err.code = 'FFMPEG_FAILED';
+    err.details = { outputPath };
+    throw err;
+  }
+}
+
+function extractLastFrameFromVideo(videoPath, outputImagePath) {
+  sanitizePath(videoPath, 'video path');
+  sanitizePath(outputImagePath, 'output image path');
+  const ffmpegPath = ensureFfmpegAvailable();
+
+  // Extract the last frame by reading through the video with update mode
+  // This processes all frames but only keeps the last one
+  const args = [
+    '-i', videoPath,
+    '-vf', 'select=gte(n\\,0)',  // Select all frames (just pass-through)
+    '-vsync', '0',
+    '-update', '1',  // Update same output file (keeps only last frame)
+    '-q:v', '1',  // Best quality
+    '-y',
+    outputImagePath
+  ];
+
+  const result = spawnSync(ffmpegPath, args, { stdio: 'pipe' });
+
+  if (result.error || result.status !== 0 || !isNonEmptyFile(outputImagePath)) {
+    const stderr = result.stderr?.toString() || '';
+    const stdout = result.stdout?.toString() || '';
+    console.error('FFmpeg extraction failed:');
+    console.error('  Video path:', videoPath);
+    console.error('  Output path:', outputImagePath);
+    console.error('  Exit code:', result.status);
+    console.error('  Error:', result.error?.message || 'none');
+    if (stderr) console.error('  Stderr:', stderr);
+    if (stdout) console.error('  Stdout:', stdout);
+    console.error('  Output file exists:', existsSync(outputImagePath));
+    if (existsSync(outputImagePath)) {
+      console.error('  Output file size:', statSync(outputImagePath).size);
+    }
+
+    const err = new Error('Failed to extract last frame from video.');
+    err.code = 'FFMPEG_EXTRACT_FAILED';
+    err.details = { videoPath, outputImagePath, stderr, stdout, status: result.status };
+    throw err;
+  }
+}
+
+function buildConcatVideoFromClips(outputPath, clips) {
+  sanitizePath(outputPath, '--output path');
+  clips.forEach((c, i) => sanitizePath(c, `clip[${i}]`));
+  const ffmpegPath = ensureFfmpegAvailable();
+  const tempListPath = outputPath.replace(/\.mp4$/i, '') + '.concat.txt';
+  const lines = clips.map((clip) => `file '${clip.replace(/'/g, "'\\''")}'`);
+  writeFileSync(tempListPath, lines.join('\n'));
+
+  const args = [
+    '-y',
+    '-f', 'concat',
+    '-safe', '0',
+    '-i', tempListPath,
+    '-c:v', 'libx264',
+    '-pix_fmt', 'yuv420p',
+    outputPath
+  ];
+  const result = spawnSync(ffmpegPath, args, { stdio: 'inherit' });
+  if (result.error || result.status !== 0) {
+    if (isNonEmptyFile(outputPath)) {
+      console.warn('Warning: ffmpeg exited non-zero, but output video exists and is non-empty. Continuing.');
+      return;
+    }
+    const err = new Error('ffmpeg failed to concatenate 360 video clips.');
+    err.code = 'FFMPEG_FAILED';
+    err.details = { outputPath, clips: clips?.length ?? null };
+    throw err;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Contact sheet (--grid) — every image output becomes a tile with a caption
+// (matrix values / azimuth, variant number, seed, model), laid out in a
+// near-square grid.
+// ---------------------------------------------------------------------------
+
+const GRID_FORMATS = new Set(['.png', '.jpg', '.jpeg', '.webp']);
+const GRID_TILE_SIZE = 384;
+const GRID_CAPTION_HEIGHT = 48;
+const GRID_CAPTION_MAX_CHARS = 46;
+const GRID_BACKGROUND = '#111111';
+
+function escapeXmlText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function collectGridTiles(result) {
+  const tiles = [];
+  const addTiles = (render, labelParts) => {
+    const urls = render.urls || [];
+    urls.forEach((url, index) => {
+      const seed = render.seeds?.[index];
+      const label = [...labelParts, urls.length > 1 ? `#${index + 1}` : null].filter(Boolean).join(' · ');
+      const detail = [
+        seed !== undefined && seed !== null ? `seed ${seed}` : null,
+        result.model || render.model
+      ].filter(Boolean).join(' · ');
+      const localPath = render.localPaths?.[index];
+      const source = localPath && existsSync(localPath) ? localPath : url;
+      tiles.push({ source, captions: [label, detail].filter(Boolean) });
+    });
+  };
+  if (result.type === 'matrix') {
+    result.renders
+      .filter((render) => render.success)
+      .forEach((render) => addTiles(render, [Object.values(render.matrixVars).join(', ')]));
+  } else if (Array.isArray(result.angles)) {
+    result.angles.forEach((angle) => addTiles(angle, [angle.azimuth]));
+  } else {
+    addTiles(result, []);
+  }
+  return tiles;
+}
+
+function buildGridCaptionSvg(captions) {
+  const lines = captions.slice(0, 2).map((caption, index) => {
+    const text = caption.length > GRID_CAPTION_MAX_CHARS
+      ? `${caption.slice(0, GRID_CAPTION_MAX_CHARS - 1)}…`
+      : caption;
+    const fill = index === 0 ? '#eeeeee' : '#9a9a9a';
+    return `<text x="8" y="${19 + index * 20}" font-family="sans-serif" font-size="14" fill="${fill}">${escapeXmlText(text)}</text>`;
+  });
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${GRID_TILE_SIZE}" height="${GRID_CAPTION_HEIGHT}">` +
+    `<rect width="100%" height="100%" fill="${GRID_BACKGROUND}"/>${lines.join('')}</svg>`
+  );
+}
+
+/**
+ * Compose tiles into one contact sheet at gridPath (format from extension).
+ * Returns the written path.
+ */
+async function writeContactSheet(tiles, gridPath) {
+  sanitizePath(gridPath, '--grid');
+  if (tiles.length === 0) {
+    const err = new Error('No image outputs to compose into a grid.');
+    err.code = 'NO_GRID_TILES';
+    throw err;
+  }
+  const columns = Math.ceil(Math.sqrt(tiles.length));
+  const rows = Math.ceil(tiles.length / columns);
+  const cellHeight = GRID_TILE_SIZE + GRID_CAPTION_HEIGHT;
+  const composites = [];
+  for (let index = 0; index < tiles.length; index++) {
+    const left = (index % columns) * GRID_TILE_SIZE;
+    const top = Math.floor(index / columns) * cellHeight;
+    const image = await sharp(await fetchMediaBuffer(tiles[index].source))
+      .resize(GRID_TILE_SIZE, GRID_TILE_SIZE, { fit: 'contain', background: GRID_BACKGROUND })
+      .png()
+      .toBuffer();
+    composites.push({ input: image, left, top });
+    composites.push({ input: buildGridCaptionSvg(tiles[index].captions), left, top: top + GRID_TILE_SIZE });
+  }
+
+  const dir = dirname(gridPath);
+  if (dir && dir !== '.' && !existsSync(dir)) mkdirSync(dir, { recursive: true });
+  const sheet = sharp({
+    create: {
+      width: columns * GRID_TILE_SIZE,
+      height: rows * cellHeight,
+      channels: 3,
+      background: GRID_BACKGROUND
+    }
+  }).composite(composites);
+  const ext = extname(gridPath).toLowerCase();
+  if (ext === '.jpg' || ext === '.jpeg') {
+    await sheet.jpeg({ quality: 90 }).toFile(gridPath);
+  } else if (ext === '.webp') {
+    await sheet.webp({ quality: 90 }).toFile(gridPath);
+  } else {
+    await sheet.png().toFile(gridPath);
+  }
+  return gridPath;
+}
+
+// ---------------------------------------------------------------------------
+// Embedded metadata — saved files carry their recipe (prompt, seed, model,
+// steps, guidance, loras, sogni-gen version) as a JSON document: a PNG tEXt
+// chunk, a JPEG XMP APP1 segment, or the MP4 comment tag written via ffmpeg.
+// Images are never re-encoded: the metadata is spliced into the original bytes. `--inspect <file>` reads it back.
+// ---------------------------------------------------------------------------
+
+const METADATA_KEY = 'sogni-gen';
+const METADATA_XMP_NAMESPACE = 'https://sogni.ai/ns/sogni-gen/1.0/';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Build the metadata document for one saved file from its render info.
+ * `overrides` carries per-file values (seed, per-angle prompt).
+ */
+function buildEmbeddedMetadata(info, overrides = {}) {
+  const metadata = {
+    generator: `sogni-gen ${PACKAGE_VERSION}`,
+    type: info.type,
+    workflow: info.workflow,
+    prompt: info.prompt,
+    negativePrompt: info.negativePrompt,
+    stylePrompt: info.stylePrompt,
+    seed: info.seed,
+    model: info.model,
+    width: info.width,
+    height: info.height,
+    steps: info.steps,
+    guidance: info.guidance,
+    sampler: info.sampler,
+    scheduler: info.scheduler,
+    loras: info.loras,
+    loraStrengths: info.loraStrengths,
+    fps: info.fps,
+    duration: info.duration,
+    historyId: info.id,
+    ...overrides
+  };
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => (
+    value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+  )));
+}
+
+// tEXt chunks are Latin-1; escaping everything outside ASCII keeps the JSON lossless.
+function toAsciiJson(value) {
+  return JSON.stringify(value).replace(/[\u007f-\uffff]/g, (ch) => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+function detectMediaFormat(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') return 'mp4';
+  return null;
+}
+
+function readPngChunks(buffer) {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) break;
+    chunks.push({ type, start: offset, end, data: buffer.subarray(offset + 8, offset + 8 + length) });
+    offset = end;
+  }
+  return chunks;
+}
+
+function buildPngTextChunk(keyword, text) {
+  const body = Buffer.concat([
+    Buffer.from('tEXt', 'latin1'),
+    Buffer.from(keyword, 'latin1'),
+    Buffer.from([0]),
+    Buffer.from(text, 'latin1')
+  ]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length - 4);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function embedPngMetadata(buffer, metadata) {
+  const iend = readPngChunks(buffer).find((chunk) => chunk.type === 'IEND');
+  if (!iend) throw new Error('PNG has no IEND chunk.');
+  return Buffer.concat([
+    buffer.subarray(0, iend.start),
+    buildPngTextChunk('Software', metadata.generator),
+    buildPngTextChunk(METADATA_KEY, toAsciiJson(metadata)),
+    buffer.subarray(iend.start)
+  ]);
+}
+
+function readPngMetadata(buffer) {
+  for (const chunk of readPngChunks(buffer)) {
+    if (chunk.type !== 'tEXt') continue;
+    const separator = chunk.data.indexOf(0);
+    if (separator > 0 && chunk.data.toString('latin1', 0, separator) === METADATA_KEY) {
+      return JSON.parse(chunk.data.toString('latin1', separator + 1));
+    }
+  }
+  return null;
+}
+
+const JPEG_XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+// A segment's 2-byte length counts itself.
+const JPEG_MAX_SEGMENT_DATA = 0xffff - 2;
+
+/** JPEG marker segments before the entropy-coded data: [{ marker, start, end, data }]. */
+function readJpegSegments(buffer) {
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    // Start of scan: compressed data follows; nothing to index beyond it.
+    if (marker === 0xda) break;
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) break;
+    segments.push({ marker, start: offset, end, data: buffer.subarray(offset + 4, end) });
+    offset = end;
+  }
+  return segments;
+}
+
+function isXmpSegment(segment) {
+  return segment.marker === 0xe1 && segment.data.subarray(0, JPEG_XMP_HEADER.length).equals(JPEG_XMP_HEADER);
+}
+
+function embedJpegMetadata(buffer, metadata) {
+  const xmp = '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    `<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:sogni="${METADATA_XMP_NAMESPACE}"` +
+    ` xmp:CreatorTool="${escapeXmlText(metadata.generator)}">` +
+    `<sogni:Parameters>${escapeXmlText(JSON.stringify(metadata))}</sogni:Parameters>` +
+    '</rdf:Description></rdf:RDF></x:xmpmeta>';
+  const data = Buffer.concat([JPEG_XMP_HEADER, Buffer.from(xmp, 'utf8')]);
+  if (data.length > JPEG_MAX_SEGMENT_DATA) throw new Error('Metadata is too large for a JPEG XMP segment.');
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  const segments = readJpegSegments(buffer);
+  const bodyStart = segments.length > 0 ? segments[segments.length - 1].end : 2;
+  // Drop an earlier XMP packet; the new one goes after JFIF/EXIF (APP0/APP1).
+  const kept = segments.filter((segment) => !isXmpSegment(segment));
+  let lead = 0;
+  while (lead < kept.length && (kept[lead].marker === 0xe0 || kept[lead].marker === 0xe1)) lead++;
+  const bytes = (segment) => buffer.subarray(segment.start, segment.end);
+  return Buffer.concat([
+    buffer.subarray(0, 2),
+    ...kept.slice(0, lead).map(bytes),
+    header,
+    data,
+    ...kept.slice(lead).map(bytes),
+    buffer.subarray(bodyStart)
+  ]);
+}
+
+async function readJpegMetadata(buffer) {
+  const { xmp } = await sharp(buffer).metadata();
+  const match = xmp?.toString('utf8').match(/<sogni:Parameters>([\s\S]*?)<\/sogni:Parameters>/);
+  if (!match) return null;
+  return JSON.parse(match[1]
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&'));
+}
+
+function embedMp4Metadata(filePath, metadata) {
+  sanitizePath(filePath, 'video path');
+  const ffmpegPath = ensureFfmpegAvailable();
+  const tempPath = `${filePath}.metadata.mp4`;
+  const args = [
+    '-y',
+    '-i', filePath,
+    '-map', '0',
+    '-c', 'copy',
+    '-metadata', `comment=${JSON.stringify(metadata)}`,
+    tempPath
+  ];
+  const result = spawnSync(ffmpegPath, args, { stdio: 'pipe' });
+  if (result.error || result.status !== 0 || !isNonEmptyFile(tempPath)) {
+    if (existsSync(tempPath)) unlinkSync(tempPath);
+    const err = new Error('ffmpeg failed to write video metadata.');
+    err.code = 'FFMPEG_FAILED';
+    err.details = { filePath, stderr: result.stderr?.toString() || '' };
+    throw err;
+  }
+  renameSync(tempPath, filePath);
+}
+
+function readMp4Metadata(filePath) {
+  const ffmpegPath = ensureFfmpegAvailable();
+  const result = spawnSync(ffmpegPath, ['-v', 'error', '-i', filePath, '-f', 'ffmetadata', '-'], { stdio: 'pipe' });
+  if (result.error || result.status !== 0) {
+    const err = new Error('ffmpeg failed to read video metadata.');
+    err.code = 'FFMPEG_FAILED';
+    err.details = { filePath, stderr: result.stderr?.toString() || '' };
+    throw err;
+  }
+  const line = result.stdout.toString('utf8').split('\n').find((l) => l.startsWith('comment='));
+  if (!line) return null;
+  // ffmetadata backslash-escapes '=', ';', '#', '\' and newlines
+  const comment = line.slice('comment='.length).replace(/\\(.)/g, '$1');
+  try {
+    const metadata = JSON.parse(comment);
+    return String(metadata?.generator || '').startsWith('sogni-gen') ? metadata : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write `metadata` into a saved PNG, JPEG or MP4 in place. The format is
+ * detected from the file contents, not the extension.
+ */
+async function embedFileMetadata(filePath, metadata) {
+  const buffer = readFileSync(filePath);
+  const format = detectMediaFormat(buffer);
+  if (format === 'png') {
+    writeFileSync(filePath, embedPngMetadata(buffer, metadata));
+  } else if (format === 'jpeg') {
+    writeFileSync(filePath, embedJpegMetadata(buffer, metadata));
+  } else if (format === 'mp4') {
+    embedMp4Metadata(filePath, metadata);
+  }
+}
+
+/**
+ * Best-effort wrapper around embedFileMetadata: a file without metadata is
+ * still a usable render, so failures only warn.
+ */
+async function tryEmbedFileMetadata(filePath, metadata, options) {
+  if (!options.embedMetadata || !filePath || !existsSync(filePath)) return;
+  try {
+    await embedFileMetadata(filePath, metadata);
+  } catch (e) {
+    if (!options.quiet) {
+      console.error(`Warning: Could not embed metadata in ${filePath}: ${e?.message || e}`);
+    }
+  }
+}
+
+async function readFileMetadata(filePath) {
+  const buffer = readFileSync(filePath);
+  const format = detectMediaFormat(buffer);
+  if (format === 'png') return { format, metadata: readPngMetadata(buffer) };
+  if (format === 'jpeg') return { format, metadata: await readJpegMetadata(buffer) };
+  if (format === 'mp4') return { format, metadata: readMp4Metadata(filePath) };
+  return { format: null, metadata: null };
+}
+
+async function printFileMetadata(options) {
+  const filePath = options.inspect;
+  sanitizePath(filePath, '--inspect');
+  if (!existsSync(filePath)) {
+    fatalCliError(`File not found: ${filePath}`, {
+      code: 'MISSING_FILE',
+      details: { path: filePath }
+    });
+  }
+  const { format, metadata } = await readFileMetadata(filePath);
+  if (!metadata) {
+    fatalCliError(`No sogni-gen metadata found in ${filePath}.`, {
+      code: 'NO_METADATA',
+      details: { path: filePath, format },
+      hint: 'Only PNG, JPEG and MP4 files saved by sogni-gen carry metadata; editors may strip it.'
+    });
+  }
+  if (options.json) {
+    console.log(JSON.stringify({ success: true, type: 'inspect', file: filePath, format, metadata }));
+    return;
+  }
+  console.log(`file: ${filePath} (${format})`);
+  Object.entries(metadata).forEach(([key, value]) => {
+    console.log(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  });
+}
+
+// Share of one render step (0-100) each phase covers. A step is one project:
+// a single render, one 360 angle or clip, or the return clip of a loop.
+const PROGRESS_PHASE_SPANS = {
+  uploading: [0, 5],
+  queued: [5, 5],
+  rendering: [5, 90],
+  downloading: [90, 100],
+  concatenating: [95, 100]
+};
+
+/**
+ * Build `report(phase, percentage)` for a render of `steps` projects. It maps
+ * the phase-local percentage onto the whole run and passes
+ * `{ phase, percentage, step, steps }` to `onProgress`, dropping events that
+ * would move the overall percentage backwards. `report.nextStep()` advances the step.
+ */
+function createProgressReporter(onProgress, steps = 1) {
+  let step = 0;
+  let last = 0;
+  const report = (phase, percentage = 0) => {
+    if (!onProgress) return;
+    const [from, to] = PROGRESS_PHASE_SPANS[phase];
+    const within = from + ((to - from) * Math.min(100, Math.max(0, percentage))) / 100;
+    const overall = Math.min(100, ((step + within / 100) / steps) * 100);
+    // Events can arrive out of order (progress before the project is queued).
+    if (overall < last) return;
+    last = overall;
+    onProgress({ phase, percentage: Math.round(last * 10) / 10, step: step + 1, steps });
+  };
+  report.nextStep = () => {
+    step = Math.min(step + 1, steps - 1);
+  };
+  return report;
+}
+
+async function runImageEditProjectWithEvents(client, editConfig, expectedCount, log, timeoutMs, label, report = null) {
+  const results = [];
+  let completed = 0;
+  const projectEvents = createProjectListeners(client);
+
+  let resolvePromise;
+  let rejectPromise;
+  const completionPromise = new Promise((resolve, reject) => {
+    resolvePromise = resolve;
+    rejectPromise = reject;
+  });
+
+  const onCompleted = (data) => {
+    const jobData = data.job?.data || {};
+    results.push({
+      imageUrl: data.imageUrl,
+      seed: jobData.seed,
+      jobIndex: data.jobIndex,
+      projectId: data.projectId
+    });
+    completed++;
+    log(`Image ${completed}/${expectedCount}${label ? ` (${label})` : ''} completed`);
+    report?.('rendering', (completed / expectedCount) * 100);
+    if (completed >= expectedCount) {
+      cleanup();
+      resolvePromise({ results, projectId: data.projectId });
+    }
+  };
+
+  const onFailed = (data) => {
+    cleanup();
+    rejectPromise(new Error(data.error || 'Job failed'));
+  };
+
+  const cleanup = () => {
+    clearTimeout(timeout);
+    projectEvents.removeAll();
+  };
+
+  const timeout = setTimeout(() => {
+    cleanup();
+    rejectPromise(renderTimeoutError(timeoutMs));
+  }, timeoutMs);
+
+  projectEvents.on(ClientEvent.JOB_COMPLETED, onCompleted);
+  projectEvents.on(ClientEvent.JOB_FAILED, onFailed);
+
+  try {
+    const projectResult = await client.createImageEditProject(editConfig);
+
+    // Check for errors in the response (e.g., insufficient tokens)
+    if (projectResult?.error || projectResult?.message) {
+      cleanup();
+      throw new Error(projectResult.error || projectResult.message);
+    }
+    const projectId = projectResult?.project?.id;
+    if (!projectId) {
+      cleanup();
+      throw new Error('Failed to create project: no project ID returned');
+    }
+    projectEvents.track(projectId);
+    if (completed === 0) report?.('queued');
+  } catch (error) {
+    cleanup();
+    throw error;
+  }
+
+  return completionPromise;
+}
+
+async function runMultiAngleFlow(client, options, cliSet, log, onProgress = null) {
+  const openclawConfig = getOpenClawConfig();
+  const azimuths = options.angles360
+    ? MULTI_ANGLE_AZIMUTHS.map((a) => a.key)
+    : [options.azimuth];
+  // One step per angle, plus one per 360 video clip.
+  const report = createProgressReporter(onProgress, options.angles360Video ? azimuths.length * 2 : azimuths.length);
+  report('uploading');
+  const contextBuffer = await fetchMediaBuffer(options.contextImages[0]);
+  const modelDefaults = getModelDefaults(options.model, openclawConfig);
+  const steps = options.steps ?? modelDefaults?.steps ?? (options.model.includes('lightning') ? 4 : 20);
+  const guidance = options.guidance ?? modelDefaults?.guidance ?? (options.model.includes('lightning') ? 1.0 : 4.0);
+
+  const frameExt = (options.outputFormat || 'jpg').replace('.', '');
+  const outputTokens = buildOutputTokens(options);
+  const frameName = options.count > 1 ? '{azimuth}-{index}' : '{azimuth}';
+  let frameTemplate = null;
+  let videoOutputPath = null;
+  if (options.output) {
+    // An .mp4 -o names the 360 video; frames go next to it. A plain path
+    // without an extension is treated as the frames directory.
+    let framesOutput = options.output;
+    const outputExt = extname(framesOutput);
+    if (outputExt.toLowerCase() === '.mp4') {
+      framesOutput = `${framesOutput.slice(0, -outputExt.length)}.${frameExt}`;
+    } else if (!outputExt && !hasOutputTokens(framesOutput)) {
+      framesOutput = join(framesOutput, '/');
+    }
+    frameTemplate = resolveOutputTemplate(framesOutput, { ext: frameExt, name: frameName, appendToPlain: true });
+    if (options.angles360Video) {
+      if (outputExt.toLowerCase() === '.mp4') {
+        videoOutputPath = options.output;
+      } else if (isOutputDirectory(framesOutput)) {
+        videoOutputPath = join(framesOutput, 'angles-360.mp4');
+      } else {
+        const ext = extname(framesOutput);
+        videoOutputPath = `${ext ? framesOutput.slice(0, -ext.length) : framesOutput}.mp4`;
+      }
+    }
+  } else if (options.angles360Video) {
+    const tempOutputDir = mkdtempSync(join(tmpdir(), 'sogni-angles-'));
+    frameTemplate = join(tempOutputDir, `angles-360-${frameName}.${frameExt}`);
+    videoOutputPath = join(tempOutputDir, 'angles-360.mp4');
+  }
+  if (typeof options.angles360Video === 'string') {
+    videoOutputPath = options.angles360Video;
+  }
+  if (videoOutputPath) {
+    videoOutputPath = renderOutputTemplate(videoOutputPath, outputTokens);
+    if (!videoOutputPath.toLowerCase().endsWith('.mp4')) {
+      videoOutputPath += '.mp4';
+    }
+  }
+  const usedFramePaths = new Set();
+
+  const angleResults = [];
+  const videoFrames = [];
+  for (const azimuth of azimuths) {
+    const prompt = buildMultiAnglePrompt({
+      azimuth,
+      elevation: options.elevation,
+      distance: options.distance,
+      description: options.angleDescription
+    });
+    const editConfig = {
+      modelId: options.model,
+      positivePrompt: prompt,
+      contextImages: [contextBuffer],
+      numberOfMedia: options.count,
+      width: options.width,
+      height: options.height,
+      steps,
+      guidance,
+      tokenType: options.tokenType || 'spark',
+      waitForCompletion: false,
+      disableNSFWFilter: true
+    };
+    if (options.outputFormat) {
+      editConfig.outputFormat = options.outputFormat;
+    }
+    if (options.negativePrompt) {
+      editConfig.negativePrompt = options.negativePrompt;
+    }
+    if (options.stylePrompt) {
+      editConfig.stylePrompt = options.stylePrompt;
+    }
+    if (options.sampler) {
+      editConfig.sampler = options.sampler;
+    }
+    if (options.scheduler) {
+      editConfig.scheduler = options.scheduler;
+    }
+    if (options.loras.length > 0) {
+      editConfig.loras = options.loras;
+    }
+    if (options.loraStrengths.length > 0) {
+      editConfig.loraStrengths = options.loraStrengths;
+    }
+    if (options.seed !== null && options.seed !== undefined) {
+      editConfig.seed = options.seed;
+    }
+
+    const { results } = await runImageEditProjectWithEvents(
+      client,
+      editConfig,
+      options.count,
+      log,
+      options.timeout,
+      azimuth,
+      report
+    );
+    const urls = results.map((r) => r.imageUrl).filter(Boolean);
+    const seeds = results.map((r) => r.seed ?? options.seed);
+
+    const safeAzimuth = azimuth.replace(/[^a-z0-9-]/gi, '-');
+    const localPaths = planOutputPaths(
+      frameTemplate,
+      urls.map((_, i) => ({ ...outputTokens, azimuth: safeAzimuth, index: i + 1, seed: seeds[i] })),
+      usedFramePaths
+    );
+    if (localPaths.length > 0) report('downloading');
+    for (let i = 0; i < localPaths.length; i++) {
+      const dir = dirname(localPaths[i]);
+      if (dir && dir !== '.' && !existsSync(dir)) mkdirSync(dir, { recursive: true });
+      await downloadUrlToFile(urls[i], localPaths[i]);
+      if (options.angles360Video && i === 0) {
+        videoFrames.push(localPaths[i]);
+      }
+    }
+
+    angleResults.push({
+      azimuth,
+      elevation: options.elevation,
+      distance: options.distance,
+      prompt,
+      urls,
+      seeds,
+      localPaths
+    });
+    report.nextStep();
+  }
+
+  const renderInfo = {
+    timestamp: new Date().toISOString(),
+    type: options.angles360 ? 'multi-angle-360' : 'multi-angle',
+    prompt: options.prompt || null,
+    model: options.model,
+    width: options.width,
+    height: options.height,
+    count: options.count,
+    tokenType: options.tokenType || 'spark',
+    seed: options.seed,
+    seedStrategy: options.seedStrategy || null,
+    steps,
+    guidance,
+    contextImages: options.contextImages.slice(0, 1),
+    elevation: options.elevation,
+    distance: options.distance,
+    angleStrength: options.angleStrength,
+    angleDescription: options.angleDescription || null,
+    outputFormat: options.outputFormat || null,
+    negativePrompt: options.negativePrompt || null,
+    stylePrompt: options.stylePrompt || null,
+    sampler: options.sampler || null,
+    scheduler: options.scheduler || null,
+    loras: options.loras.length > 0 ? options.loras : null,
+    loraStrengths: options.loraStrengths.length > 0 ? options.loraStrengths : null,
+    angles: angleResults,
+    localPath: options.output || null
+  };
+
+  for (const angle of angleResults) {
+    for (let i = 0; i < angle.localPaths.length; i++) {
+      await tryEmbedFileMetadata(
+        angle.localPaths[i],
+        buildEmbeddedMetadata(renderInfo, { prompt: angle.prompt, azimuth: angle.azimuth, seed: angle.seeds[i] }),
+        options
+      );
+    }
+  }
+
+  let videoModelId = null;
+  if (videoOutputPath) {
+    if (videoFrames.length === 0) {
+      const err = new Error('No local frames available to assemble 360 video.');
+      err.code = 'MISSING_FRAMES';
+      err.hint = 'Ensure the frames were downloaded locally (provide --output dir or check permissions).';
+      throw err;
+    }
+    const clipDir = mkdtempSync(join(tmpdir(), 'sogni-angles-clips-'));
+    videoModelId = options.videoModel || openclawConfig?.videoModels?.i2v || VIDEO_WORKFLOW_DEFAULT_MODELS.i2v;
+    const videoDefaults = getModelDefaults(videoModelId, openclawConfig);
+    const videoSteps = options.steps ?? videoDefaults?.steps;
+    const videoGuidance = options.guidance ?? videoDefaults?.guidance;
+    const segmentCount = videoFrames.length;
+    let segmentDuration = options.duration;
+    let segmentFrames = null;
+    if (options.frames) {
+      segmentFrames = Math.max(17, Math.round(options.frames / segmentCount));
+    } else {
+      segmentDuration = Math.max(1, Math.round(options.duration / segmentCount));
+    }
+    const videoPrompt = options.angleDescription || options.prompt || 'smooth camera rotation';
+    const clipPaths = [];
+
+    for (let i = 0; i < videoFrames.length; i++) {
+      const startPath = videoFrames[i];
+      const endPath = videoFrames[(i + 1) % videoFrames.length];
+
+      // Validate i2v reference resizing constraints for this clip
+      let startBuffer = readFileSync(startPath);
+      let endBuffer = readFileSync(endPath);
+      const startDims = getImageDimensionsFromBuffer(startBuffer);
+      let clipWidth = options.width;
+      let clipHeight = options.height;
+      let needsResize = false;
+
+      if (startDims?.width && startDims?.height) {
+        const predicted = predictSharpInsideResizeDims(startDims.width, startDims.height, clipWidth, clipHeight);
+        if (predicted && (predicted.width % VIDEO_DIMENSION_MULTIPLE !== 0 || predicted.height % VIDEO_DIMENSION_MULTIPLE !== 0)) {
+          // The resized reference won't be divisible by 16, need to adjust
+          const candidate = pickCompatibleI2vBoundingBox(startDims.width, startDims.height, clipWidth, clipHeight);
+          if (!candidate) {
+            // No perfect match - will pre-resize the reference frames
+            needsResize = true;
+            if (i === 0 && !options.quiet) {
+              console.error(
+                `360 video reference frames will be pre-resized to div-16 dimensions ` +
+                `because no compatible bounding box exists.`
+              );
+            }
+          } else {
+            // Auto-adjust to compatible size
+            if (!cliSet.width && !cliSet.height && !options.strictSize) {
+              clipWidth = candidate.width;
+              clipHeight = candidate.height;
+              if (i === 0 && !options.quiet) {
+                console.error(
+                  `Auto-adjusted 360 video clip size from ${options.width}x${options.height} ` +
+                  `to ${clipWidth}x${clipHeight} so resized reference is divisible by 16 ` +
+                  `(would have been ${predicted.width}x${predicted.height}).`
+                );
+              }
+            } else if (options.strictSize) {
+              fatalCliError(
+                `Reference frame ${startDims.width}x${startDims.height} would resize to ${predicted.width}x${predicted.height}, ` +
+                `but both dimensions must be divisible by 16.`,
+                {
+                  code: 'INVALID_VIDEO_SIZE',
+                  details: {
+                    clipIndex: i + 1,
+                    reference: { width: startDims.width, height: startDims.height },
+                    requested: { width: clipWidth, height: clipHeight },
+                    resized: predicted
+                  },
+                  hint: `Try: --width ${candidate.width} --height ${candidate.height} (or omit --strict-size)`
+                }
+              );
+            } else {
+              // User specified explicit dimensions but not --strict-size, auto-adjust anyway
+              clipWidth = candidate.width;
+              clipHeight = candidate.height;
+              if (i === 0 && !options.quiet) {
+                console.error(
+                  `Warning: Adjusted 360 video clip size from ${options.width}x${options.height} ` +
+                  `to ${clipWidth}x${clipHeight} because resized reference would be ${predicted.width}x${predicted.height} ` +
+                  `(not divisible by 16). Use --strict-size to fail instead.`
+                );
+              }
+            }
+          }
+        }
+      }
+
+      // Pre-resize reference frames if needed
+      if (needsResize && startDims?.width && startDims?.height) {
+        startBuffer = await resizeImageBufferToDiv16(startBuffer, startDims.width, startDims.height);
+        const endDims = getImageDimensionsFromBuffer(endBuffer);
+        if (endDims?.width && endDims?.height) {
+          endBuffer = await resizeImageBufferToDiv16(endBuffer, endDims.width, endDims.height);
+        }
+        const resizedDims = getImageDimensionsFromBuffer(startBuffer);
+        if (i === 0 && !options.quiet) {
+          console.error(
+            `Pre-resized 360 video frames from ${startDims.width}x${startDims.height} to ${resizedDims.width}x${resizedDims.height} ` +
+            `(divisible by 16) to ensure i2v compatibility.`
+          );
+        }
+      }
+
+      const clipConfig = {
+        modelId: videoModelId,
+        positivePrompt: videoPrompt,
+        negativePrompt: options.negativePrompt,
+        stylePrompt: options.stylePrompt,
+        numberOfMedia: 1,
+        referenceImage: startBuffer,
+        referenceImageEnd: endBuffer,
+        fps: options.fps,
+        width: clipWidth,
+        height: clipHeight,
+        tokenType: options.tokenType || 'spark',
+        waitForCompletion: true,
+        disableNSFWFilter: true
+      };
+      if (segmentFrames) {
+        clipConfig.frames = segmentFrames;
+      } else {
+        clipConfig.duration = segmentDuration;
+      }
+      if (videoSteps) {
+        clipConfig.steps = videoSteps;
+      }
+      if (videoGuidance !== null && videoGuidance !== undefined) {
+        clipConfig.guidance = videoGuidance;
+      }
+      if (options.autoResizeVideoAssets !== null) {
+        clipConfig.autoResizeVideoAssets = options.autoResizeVideoAssets;
+      }
+      // Clips wait for completion inside createVideoProject, so there is no
+      // per-clip percentage to forward.
+      report('rendering');
+      const clipResult = await client.createVideoProject(clipConfig);
+
+      // Check for errors in the response (e.g., insufficient tokens)
+      if (clipResult?.error || clipResult?.message) {
+        throw new Error(clipResult.error || clipResult.message);
+      }
+
+      const clipUrl = clipResult?.videoUrls?.[0];
+      if (!clipUrl) {
+        throw new Error('No video URL returned for 360 segment.');
+      }
+      const clipPath = join(clipDir, `segment-${i + 1}.mp4`);
+      report('downloading');
+      await downloadUrlToFile(clipUrl, clipPath);
+      clipPaths.push(clipPath);
+      if (i < videoFrames.length - 1) report.nextStep();
+    }
+
+    const videoDir = dirname(videoOutputPath);
+    if (videoDir && videoDir !== '.' && !existsSync(videoDir)) mkdirSync(videoDir, { recursive: true });
+    report('concatenating');
+    buildConcatVideoFromClips(videoOutputPath, clipPaths);
+    await tryEmbedFileMetadata(videoOutputPath, buildEmbeddedMetadata(renderInfo, { videoModel: videoModelId }), options);
+    if (!options.quiet) {
+      console.error(`Saved 360 video: ${videoOutputPath}`);
+    }
+  }
+  if (videoOutputPath) {
+    renderInfo.videoPath = videoOutputPath;
+    renderInfo.videoModel = videoModelId;
+  }
+  saveLastRender(renderInfo);
+
+  return {
+    success: true,
+    type: renderInfo.type,
+    model: renderInfo.model,
+    width: renderInfo.width,
+    height: renderInfo.height,
+    count: renderInfo.count,
+    tokenType: renderInfo.tokenType,
+    seed: renderInfo.seed,
+    seedStrategy: renderInfo.seedStrategy,
+    outputFormat: renderInfo.outputFormat,
+    negativePrompt: renderInfo.negativePrompt,
+    stylePrompt: renderInfo.stylePrompt,
+    sampler: renderInfo.sampler,
+    scheduler: renderInfo.scheduler,
+    loras: renderInfo.loras,
+    loraStrengths: renderInfo.loraStrengths,
+    videoPath: renderInfo.videoPath || null,
+    videoModel: renderInfo.videoModel || null,
+    historyId: renderInfo.id ?? null,
+    angles: angleResults
+  };
+}
+
+async function ensureSufficientVideoBalance(client, options, log) {
+  if (!options.video || options.estimateVideoCost) return;
+  const openclawConfig = getOpenClawConfig();
+  const tokenType = options.tokenType || 'spark';
+  const tokenLabel = tokenType.toUpperCase();
+  let balance;
+  try {
+    balance = await client.getBalance();
+  } catch (err) {
+    if (!options.quiet) {
+      log(`Warning: Could not fetch balance (${err?.message || 'error'})`);
+    }
+    return;
+  }
+  const available = tokenType === 'sogni' ? balance.sogni : balance.spark;
+  if (!Number.isFinite(available)) return;
+  if (available <= 0) {
+    throw buildBalanceError(
+      `Insufficient ${tokenLabel} balance (have ${formatTokenValue(available)}).`,
+      { tokenType, available }
+    );
+  }
+
+  const modelDefaults = getModelDefaults(options.model, openclawConfig);
+  const steps = resolveVideoSteps(options.model, modelDefaults, options.steps);
+  if (!Number.isFinite(steps) || steps <= 0) return;
+
+  let estimate;
+  try {
+    estimate = await client.estimateVideoCost({
+      modelId: options.model,
+      width: options.width,
+      height: options.height,
+      fps: options.fps,
+      steps,
+      numberOfMedia: options.count,
+      tokenType,
+      ...(options.frames ? { frames: options.frames } : { duration: options.duration })
+    });
+  } catch (err) {
+    if (!options.quiet) {
+      log(`Warning: Could not estimate video cost (${err?.message || 'error'})`);
+    }
+    return;
+  }
+  const required = parseCostEstimate(estimate, tokenType);
+  if (Number.isFinite(required) && available < required) {
+    throw buildBalanceError(
+      `Insufficient ${tokenLabel} balance for video render (need ~${formatTokenValue(required)}, ` +
+      `have ${formatTokenValue(available)}).`,
+      { tokenType, available, required }
+    );
+  }
+}
+
+/**
+ * Error a render rejects with when its abort `signal` fires.
+ */
+function renderCancelledError() {
+  const err = new Error('Render cancelled.');
+  err.code = 'CANCELLED';
+  return err;
+}
+
+/**
+ * Error a render rejects with when it outlives --timeout.
+ */
+function renderTimeoutError(timeoutMs) {
+  const err = new Error(`Timeout after ${timeoutMs / 1000}s`);
+  err.code = 'TIMEOUT';
+  return err;
+}
+
+/**
+ * Run one fully resolved render (video cost estimate, multi-angle flow or a
+ * standard image/edit/photobooth/video project) on a connected client and
+ * return the same payload the CLI prints with --json.
+ */
+async function runRender(client, options, cliSet, log, { onProgress = null, signal = null } = {}) {
+  const openclawConfig = getOpenClawConfig();
+  const loops = Boolean(options.looping && options.videoWorkflow === 'i2v' && options.refImage && options.output);
+  // A saved looping video renders a second (return) clip before concatenating.
+  const report = createProgressReporter(onProgress, loops ? 2 : 1);
+  const projectEvents = createProjectListeners(client);
+  const listen = projectEvents.on;
+  let completionTimeout = null;
+
+  try {
+    await ensureSufficientVideoBalance(client, options, log);
+
+    if (options.estimateVideoCost) {
+      const modelDefaults = getModelDefaults(options.model, openclawConfig);
+      const steps = resolveVideoSteps(options.model, modelDefaults, options.steps);
+      if (!Number.isFinite(steps) || steps <= 0) {
+        const err = new Error('--estimate-video-cost requires --steps (or modelDefaults for this model).');
+        err.code = 'MISSING_STEPS';
+        err.hint = 'Pass --steps explicitly (e.g. --steps 4 for lightx2v models).';
+        throw err;
+      }
+      const estimateParams = {
+        modelId: options.model,
+        width: options.width,
+        height: options.height,
+        fps: options.fps,
+        steps,
+        numberOfMedia: options.count,
+        tokenType: options.tokenType || 'spark'
+      };
+      if (options.frames) {
+        estimateParams.frames = options.frames;
+      } else {
+        estimateParams.duration = options.duration;
+      }
+      const estimate = await client.estimateVideoCost(estimateParams);
+      const duration = options.frames ? Math.max(1, Math.round((options.frames - 1) / options.fps)) : options.duration;
+      return {
+        success: true,
+        type: 'video-cost',
+        model: options.model,
+        width: options.width,
+        height: options.height,
+        fps: options.fps,
+        frames: options.frames ?? null,
+        duration,
+        steps,
+        tokenType: options.tokenType || 'spark',
+        count: options.count,
+        estimate
+      };
+    }
+
+    if (options.multiAngle) {
+      if (options.contextImages.length > 1 && !options.quiet) {
+        console.error('Warning: --multi-angle uses the first context image only.');
+      }
+      return await runMultiAngleFlow(client, options, cliSet, log, onProgress);
+    }
+    
+    const results = [];
+    let completedJobs = 0;
+    
+    const completionPromise = new Promise((resolve, reject) => {
+      completionTimeout = setTimeout(() => {
+        reject(renderTimeoutError(options.timeout));
+      }, options.timeout);
+      
+      listen(ClientEvent.JOB_COMPLETED, (data) => {
+        const jobData = data.job?.data || {};
+        results.push({
+          imageUrl: data.imageUrl,
+          videoUrl: data.videoUrl,
+          seed: jobData.seed,
+          jobIndex: data.jobIndex,
+          projectId: data.projectId
+        });
+        completedJobs++;
+        log(`${options.video ? 'Video' : 'Image'} ${completedJobs}/${options.count} completed`);
+        report('rendering', (completedJobs / options.count) * 100);
+        
+        if (completedJobs >= options.count) {
+          clearTimeout(completionTimeout);
+          resolve();
+        }
+      });
+      
+      listen(ClientEvent.JOB_FAILED, (data) => {
+        clearTimeout(completionTimeout);
+        reject(new Error(data.error || 'Job failed'));
+      });
+
+      listen(ClientEvent.PROJECT_FAILED, (data) => {
+        clearTimeout(completionTimeout);
+        const message = data?.message || data?.error || 'Project failed';
+        reject(new Error(message));
+      });
+
+      listen(ClientEvent.PROJECT_EVENT, (event) => {
+        if (event?.type !== 'error') return;
+        clearTimeout(completionTimeout);
+        const message = event?.error?.message || event?.error?.error || 'Project failed';
+        reject(new Error(message));
+      });
+
+      listen(ClientEvent.JOB_EVENT, (event) => {
+        if (event?.type !== 'error') return;
+        clearTimeout(completionTimeout);
+        const message = event?.error?.message || event?.error?.error || 'Job failed';
+        reject(new Error(message));
+      });
+      
+      listen(ClientEvent.PROJECT_PROGRESS, (data) => {
+        if (!(data.percentage > 0)) return;
+        report('rendering', data.percentage);
+        if (options.video) log(`Progress: ${Math.round(data.percentage)}%`);
+      });
+
+      if (signal) {
+        const abort = () => {
+          clearTimeout(completionTimeout);
+          reject(renderCancelledError());
+        };
+        if (signal.aborted) abort();
+        else signal.addEventListener('abort', abort, { once: true });
+      }
+    });
+    // Failures can arrive while the project is still being created; the
+    // awaited copy below reports them, this guard only silences the duplicate.
+    completionPromise.catch(() => {});
+    
+    // Effective steps/guidance, recorded in the render info for --replay
+    let projectSteps = null;
+    let projectGuidance = null;
+
+    if (options.refImage || options.refImageEnd || options.refAudio || options.refVideo || options.contextImages.length > 0) {
+      report('uploading');
+    }
+
+    if (options.video) {
+      // Video generation
+      log(`Generating video (${options.videoWorkflow}) with ${options.model}...`);
+      if (options.refImage) log(`Reference image: ${options.refImage}`);
+      if (options.refImageEnd) log(`End frame: ${options.refImageEnd}`);
+      if (options.refAudio) log(`Reference audio: ${options.refAudio}`);
+      if (options.refVideo) log(`Reference video: ${options.refVideo}`);
+      
+      let imageBuffer = options.refImage ? await fetchMediaBuffer(options.refImage) : undefined;
+      let endImageBuffer = options.refImageEnd ? await fetchMediaBuffer(options.refImageEnd) : undefined;
+      const audioBuffer = options.refAudio ? await fetchMediaBuffer(options.refAudio) : undefined;
+      const videoBuffer = options.refVideo ? await fetchMediaBuffer(options.refVideo) : undefined;
+
+      // Pre-resize reference images to div-16 dimensions if needed for i2v workflow
+      if (options.videoWorkflow === 'i2v' && imageBuffer && options._needsRefResize) {
+        const dims = getImageDimensionsFromBuffer(imageBuffer);
+        if (dims?.width && dims?.height) {
+          const resizedBuffer = await resizeImageBufferToDiv16(imageBuffer, dims.width, dims.height);
+          const resizedDims = getImageDimensionsFromBuffer(resizedBuffer);
+          if (!options.quiet) {
+            console.error(
+              `Pre-resized reference image from ${dims.width}x${dims.height} to ${resizedDims.width}x${resizedDims.height} ` +
+              `(divisible by 16) to ensure i2v compatibility.`
+            );
+          }
+          imageBuffer = resizedBuffer;
+        }
+      }
+      if (options.videoWorkflow === 'i2v' && endImageBuffer && options._needsRefEndResize) {
+        const dims = getImageDimensionsFromBuffer(endImageBuffer);
+        if (dims?.width && dims?.height) {
+          const resizedBuffer = await resizeImageBufferToDiv16(endImageBuffer, dims.width, dims.height);
+          const resizedDims = getImageDimensionsFromBuffer(resizedBuffer);
+          if (!options.quiet) {
+            console.error(
+              `Pre-resized end reference image from ${dims.width}x${dims.height} to ${resizedDims.width}x${resizedDims.height} ` +
+              `(divisible by 16) to ensure i2v compatibility.`
+            );
+          }
+          endImageBuffer = resizedBuffer;
+        }
+      }
+      const modelDefaults = getModelDefaults(options.model, openclawConfig);
+      const steps = resolveVideoSteps(options.model, modelDefaults, options.steps);
+      const guidance = options.guidance ?? modelDefaults?.guidance;
+      projectSteps = Number.isFinite(steps) ? steps : null;
+      projectGuidance = guidance ?? null;
+      
+      const projectConfig = {
+        modelId: options.model,
+        positivePrompt: options.prompt,
+        negativePrompt: options.negativePrompt,
+        stylePrompt: options.stylePrompt,
+        numberOfMedia: options.count,
+        referenceImage: imageBuffer,
+        fps: options.fps,
+        width: options.width,
+        height: options.height,
+        tokenType: options.tokenType || 'spark',
+        waitForCompletion: false,
+        disableNSFWFilter: true
+      };
+
+      if (options.outputFormat) {
+        projectConfig.outputFormat = options.outputFormat;
+      }
+      if (options.autoResizeVideoAssets !== null) {
+        projectConfig.autoResizeVideoAssets = options.autoResizeVideoAssets;
+      }
+
+      if (options.frames) {
+        projectConfig.frames = options.frames;
+      } else {
+        projectConfig.duration = options.duration;
+      }
+      
+      // Add end frame for interpolation if provided
+      if (endImageBuffer) {
+        projectConfig.referenceImageEnd = endImageBuffer;
+      }
+      if (audioBuffer) {
+        projectConfig.referenceAudio = audioBuffer;
+      }
+      if (videoBuffer) {
+        projectConfig.referenceVideo = videoBuffer;
+      }
+      if (options.seed !== null && options.seed !== undefined) {
+        projectConfig.seed = options.seed;
+      }
+      if (Number.isFinite(steps)) {
+        projectConfig.steps = steps;
+      }
+      if (guidance !== null && guidance !== undefined) {
+        projectConfig.guidance = guidance;
+      }
+      if (options.videoControlNetName) {
+        projectConfig.controlNet = {
+          name: options.videoControlNetName,
+          ...(options.controlNetStrength != null && { strength: options.controlNetStrength })
+        };
+      }
+      if (options.sam2Coordinates) {
+        projectConfig.sam2Coordinates = options.sam2Coordinates;
+      }
+      if (options.trimEndFrame) {
+        projectConfig.trimEndFrame = true;
+      }
+      if (options.firstFrameStrength != null) {
+        projectConfig.firstFrameStrength = options.firstFrameStrength;
+      }
+      if (options.lastFrameStrength != null) {
+        projectConfig.lastFrameStrength = options.lastFrameStrength;
+      }
+
+      const videoResult = await client.createVideoProject(projectConfig);
+
+      // Check for errors in the response (e.g., insufficient tokens)
+      if (videoResult?.error || videoResult?.message) {
+        throw new Error(videoResult.error || videoResult.message);
+      }
+      projectEvents.track(videoResult?.project?.id);
+    } else if (options.contextImages.length > 0) {
+      // Image editing with context images
+      log(`Editing with ${options.model}...`);
+      log(`Context images: ${options.contextImages.length}`);
+      // Load all context images as buffers
+      const contextBuffers = await Promise.all(
+        options.contextImages.map(img => fetchMediaBuffer(img))
+      );
+      let maskBuffer = options.mask
+        ? await prepareInpaintMask(await fetchMediaBuffer(options.mask), contextBuffers[0], options.maskFeather)
+        : null;
+      if (maskBuffer) log(`Inpainting masked area of ${options.contextImages[0]}`);
+      if (options.outpaint) {
+        const outpaint = await buildOutpaintCanvas(contextBuffers[0], options);
+        contextBuffers[0] = outpaint.canvas;
+        maskBuffer = outpaint.mask;
+        options.extend = outpaint.pad;
+        resolveOutpaintSize(options, cliSet, outpaint.width, outpaint.height);
+        log(`Outpainting ${options.contextImages[0]} onto a ${outpaint.width}x${outpaint.height} canvas (output ${options.width}x${options.height})`);
+        assignDefaultSeed(options);
+      }
+      if (options.seed !== null && options.seed !== undefined) log(`Using seed: ${options.seed}`);
+      const modelDefaults = getModelDefaults(options.model, openclawConfig);
+      const steps = options.steps ?? modelDefaults?.steps ?? (options.model.includes('lightning') ? 4 : 20);
+      const guidance = options.guidance ?? modelDefaults?.guidance ?? (options.model.includes('lightning') ? 3.5 : 7.5);
+      projectSteps = steps;
+      projectGuidance = guidance;
+      
+      const editConfig = {
+        modelId: options.model,
+        positivePrompt: options.prompt,
+        contextImages: contextBuffers,
+        numberOfMedia: options.count,
+        width: options.width,
+        height: options.height,
+        steps,
+        guidance,
+        tokenType: options.tokenType || 'spark',
+        disableNSFWFilter: true
+      };
+
+      if (options.outputFormat) {
+        editConfig.outputFormat = options.outputFormat;
+      }
+      if (options.negativePrompt) {
+        editConfig.negativePrompt = options.negativePrompt;
+      }
+      if (options.stylePrompt) {
+        editConfig.stylePrompt = options.stylePrompt;
+      }
+      if (options.sampler) {
+        editConfig.sampler = options.sampler;
+      }
+      if (options.scheduler) {
+        editConfig.scheduler = options.scheduler;
+      }
+      if (options.loras.length > 0) {
+        editConfig.loras = options.loras;
+      }
+      if (options.loraStrengths.length > 0) {
+        editConfig.loraStrengths = options.loraStrengths;
+      }
+      if (maskBuffer) {
+        editConfig[inpaintMaskParam(options.model)] = maskBuffer;
+      }
+      
+      if (options.seed !== null && options.seed !== undefined) {
+        editConfig.seed = options.seed;
+      }
+      
+      const editResult = await client.createImageEditProject(editConfig);
+      projectEvents.track(editResult?.project?.id);
+    } else if (options.photobooth) {
+      // Photobooth: face transfer with InstantID ControlNet
+      log(`Photobooth with ${options.model}...`);
+      if (options.seed !== null && options.seed !== undefined) log(`Using seed: ${options.seed}`);
+
+      const faceBuffer = await fetchMediaBuffer(options.refImage);
+      const modelDefaults = getModelDefaults(options.model, openclawConfig);
+      const steps = options.steps ?? modelDefaults?.steps ?? 7;
+      const guidance = options.guidance ?? modelDefaults?.guidance ?? 2;
+      projectSteps = steps;
+      projectGuidance = guidance;
+
+      const projectConfig = {
+        modelId: options.model,
+        positivePrompt: options.prompt,
+        negativePrompt: options.negativePrompt,
+        stylePrompt: options.stylePrompt,
+        numberOfMedia: options.count,
+        tokenType: options.tokenType || 'spark',
+        waitForCompletion: false,
+        sizePreset: 'custom',
+        width: options.width,
+        height: options.height,
+        steps,
+        guidance,
+        disableNSFWFilter: true,
+        sampler: options.sampler || 'dpmpp_sde',
+        scheduler: options.scheduler || 'karras',
+        controlNet: {
+          name: 'instantid',
+          image: faceBuffer,
+          strength: options.cnStrength ?? 0.7,
+          mode: 'balanced',
+          guidanceStart: options.cnGuidanceStart ?? 0,
+          guidanceEnd: options.cnGuidanceEnd ?? 0.6,
+        }
+      };
+
+      if (options.outputFormat) projectConfig.outputFormat = options.outputFormat;
+      if (options.seed !== null && options.seed !== undefined) projectConfig.seed = options.seed;
+      if (options.loras.length > 0) projectConfig.loras = options.loras;
+      if (options.loraStrengths.length > 0) projectConfig.loraStrengths = options.loraStrengths;
+
+      const projectResult = await client.createImageProject(projectConfig);
+
+      // Check for errors in the response (e.g., insufficient tokens)
+      if (projectResult?.error || projectResult?.message) {
+        throw new Error(projectResult.error || projectResult.message);
+      }
+      projectEvents.track(projectResult?.project?.id);
+    } else {
+      // Standard image generation (img2img with --init-image)
+      log(`Generating with ${options.model}...`);
+      if (options.loras.length > 0) await assertModelLoras(options, log);
+      let initBuffer = null;
+      if (options.initImage) {
+        initBuffer = await fetchMediaBuffer(options.initImage);
+        const { width, height } = await sharp(initBuffer).metadata();
+        // Keep the init image's shape unless both -w and -h say otherwise.
+        fitSizeToAspect(options, cliSet, width, height, Math.max(options.width, options.height));
+        log(`Image-to-image from ${options.initImage} (denoise ${options.denoise})`);
+      }
+      let controlBuffer = null;
+      if (options.controlNet) {
+        controlBuffer = await fetchMediaBuffer(options.controlImage);
+        if (!initBuffer) {
+          const { width, height } = await sharp(controlBuffer).metadata();
+          fitSizeToAspect(options, cliSet, width, height, Math.max(options.width, options.height));
+        }
+        log(`ControlNet ${options.controlNet} from ${options.controlImage}`);
+      }
+      assignDefaultSeed(options);
+      log(`Using seed: ${options.seed}`);
+      const modelDefaults = getModelDefaults(options.model, openclawConfig);
+      const guidance = options.guidance ?? modelDefaults?.guidance ?? 1.0;
+      const steps = options.steps ?? modelDefaults?.steps;
+      projectSteps = steps || null;
+      projectGuidance = guidance;
+      
+      const projectConfig = {
+        modelId: options.model,
+        positivePrompt: options.prompt,
+        negativePrompt: options.negativePrompt,
+        stylePrompt: options.stylePrompt,
+        numberOfMedia: options.count,
+        tokenType: options.tokenType || 'spark',
+        waitForCompletion: false,
+        sizePreset: 'custom',
+        width: options.width,
+        height: options.height,
+        guidance,
+        disableNSFWFilter: true
+      };
+      if (options.outputFormat) {
+        projectConfig.outputFormat = options.outputFormat;
+      }
+      if (options.sampler) {
+        projectConfig.sampler = options.sampler;
+      }
+      if (options.scheduler) {
+        projectConfig.scheduler = options.scheduler;
+      }
+      if (steps) {
+        projectConfig.steps = steps;
+      }
+      if (initBuffer) {
+        // The API's strength is how much of the image to keep; --denoise is how much to repaint.
+        projectConfig.startingImage = initBuffer;
+        projectConfig.startingImageStrength = Math.round((1 - options.denoise) * 1000) / 1000;
+      }
+      if (options.loras.length > 0) projectConfig.loras = options.loras;
+      if (options.loraStrengths.length > 0) projectConfig.loraStrengths = options.loraStrengths;
+      if (controlBuffer) {
+        projectConfig.controlNet = {
+          name: options.controlNet,
+          image: controlBuffer,
+          ...(options.controlNetStrength != null && { strength: options.controlNetStrength }),
+          ...(options.cnGuidanceStart != null && { guidanceStart: options.cnGuidanceStart }),
+          ...(options.cnGuidanceEnd != null && { guidanceEnd: options.cnGuidanceEnd })
+        };
+      }
+      
+      if (options.seed !== null && options.seed !== undefined) {
+        projectConfig.seed = options.seed;
+      }
+      
+      const projectResult = await client.createImageProject(projectConfig);
+      projectEvents.track(projectResult?.project?.id);
+    }
+    
+    // Wait for completion via events
+    if (completedJobs === 0) report('queued');
+    await completionPromise;
+    
+    if (results.length > 0) {
+      const urls = results.map(r => options.video ? r.videoUrl : r.imageUrl).filter(Boolean);
+      const firstResult = results[0];
+      
+      // Save last render info
+      const seeds = results.map(r => r.seed ?? options.seed);
+      const outputTokens = buildOutputTokens(options);
+      const localPaths = planOutputPaths(
+        resolveOutputTemplate(options.output, { ext: options.video ? 'mp4' : (options.outputFormat || 'png') }),
+        urls.map((_, i) => ({ ...outputTokens, index: i + 1, seed: seeds[i] }))
+      );
+      const renderInfo = {
+        timestamp: new Date().toISOString(),
+        type: options.video ? 'video' : 'image',
+        prompt: options.prompt,
+        model: options.model,
+        width: options.width,
+        height: options.height,
+        seed: firstResult.seed ?? options.seed,
+        seedStrategy: options.seedStrategy || null,
+        seeds,
+        projectId: firstResult.projectId,
+        urls: urls,
+        localPath: localPaths[0] ?? null,
+        localPaths,
+        tokenType: options.tokenType || 'spark',
+        count: options.count,
+        steps: projectSteps,
+        guidance: projectGuidance
+      };
+      if (options.outputFormat) {
+        renderInfo.outputFormat = options.outputFormat;
+      }
+      if (options.negativePrompt) {
+        renderInfo.negativePrompt = options.negativePrompt;
+      }
+      if (options.stylePrompt) {
+        renderInfo.stylePrompt = options.stylePrompt;
+      }
+      if (options.sampler) {
+        renderInfo.sampler = options.sampler;
+      }
+      if (options.scheduler) {
+        renderInfo.scheduler = options.scheduler;
+      }
+      if (options.loras.length > 0) {
+        renderInfo.loras = options.loras;
+      }
+      if (options.loraStrengths.length > 0) {
+        renderInfo.loraStrengths = options.loraStrengths;
+      }
+      if (options.video) {
+        renderInfo.workflow = options.videoWorkflow;
+        renderInfo.fps = options.fps;
+        renderInfo.duration = options.frames ? options.frames / options.fps : options.duration;
+        if (options.frames) renderInfo.frames = options.frames;
+        if (options.autoResizeVideoAssets !== null) {
+          renderInfo.autoResizeVideoAssets = options.autoResizeVideoAssets;
+        }
+        renderInfo.refImage = options.refImage;
+        renderInfo.refImageEnd = options.refImageEnd;
+        if (options.refAudio) renderInfo.refAudio = options.refAudio;
+        if (options.refVideo) renderInfo.refVideo = options.refVideo;
+        if (options.videoControlNetName) {
+          renderInfo.controlNet = {
+            name: options.videoControlNetName,
+            strength: options.controlNetStrength
+          };
+        }
+        if (options.sam2Coordinates) renderInfo.sam2Coordinates = options.sam2Coordinates;
+        if (options.trimEndFrame) renderInfo.trimEndFrame = true;
+        if (options.firstFrameStrength != null) renderInfo.firstFrameStrength = options.firstFrameStrength;
+        if (options.lastFrameStrength != null) renderInfo.lastFrameStrength = options.lastFrameStrength;
+        if (options.looping) renderInfo.looping = true;
+      }
+      if (options.contextImages.length > 0) {
+        renderInfo.contextImages = options.contextImages;
+      }
+      if (options.mask) {
+        renderInfo.mask = options.mask;
+        if (options.maskFeather > 0) renderInfo.maskFeather = options.maskFeather;
+      }
+      if (options.initImage) {
+        renderInfo.initImage = options.initImage;
+        renderInfo.denoise = options.denoise;
+      }
+      if (options.controlNet) {
+        renderInfo.controlNet = {
+          name: options.controlNet,
+          image: options.controlImage,
+          strength: options.controlNetStrength,
+          guidanceStart: options.cnGuidanceStart,
+          guidanceEnd: options.cnGuidanceEnd
+        };
+      }
+      if (options.outpaint) {
+        renderInfo.outpaint = { extend: options.extend, ...(options.aspect ? { aspect: options.aspect } : {}) };
+        if (options.maskFeather > 0) renderInfo.maskFeather = options.maskFeather;
+      }
+      if (options.photobooth) {
+        renderInfo.photobooth = true;
+        renderInfo.refImage = options.refImage;
+        renderInfo.controlNet = {
+          name: 'instantid',
+          strength: options.cnStrength ?? 0.7,
+          guidanceStart: options.cnGuidanceStart ?? 0,
+          guidanceEnd: options.cnGuidanceEnd ?? 0.6
+        };
+      }
+      saveLastRender(renderInfo);
+      
+      // Save every result if requested
+      if (localPaths.length > 0) {
+        report('downloading');
+        const buffer = await fetchMediaBuffer(urls[0]);
+
+        const dir = dirname(localPaths[0]);
+        if (dir && dir !== '.' && !existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+        // Handle looping for i2v workflow
+        if (options.looping && options.videoWorkflow === 'i2v' && options.refImage) {
+          log('Creating looping video (A→B→A)...');
+
+          // Save first clip temporarily
+          const tempDir = mkdtempSync(join(tmpdir(), 'sogni-loop-'));
+          const clip1Path = join(tempDir, 'clip1.mp4');
+          const lastFramePath = join(tempDir, 'last-frame.png');
+          const clip2Path = join(tempDir, 'clip2.mp4');
+
+          writeFileSync(clip1Path, buffer);
+          log('Extracting last frame...');
+          extractLastFrameFromVideo(clip1Path, lastFramePath);
+
+          // Generate second clip (last frame → original image)
+          log('Generating return clip (B→A)...');
+
+          // Get model defaults for steps and guidance
+          const modelDefaults2 = getModelDefaults(options.model, openclawConfig);
+          const steps2 = resolveVideoSteps(options.model, modelDefaults2, options.steps);
+          const guidance2 = options.guidance ?? modelDefaults2?.guidance;
+
+          const projectConfig2 = {
+            modelId: options.model,
+            positivePrompt: options.prompt,
+            negativePrompt: options.negativePrompt,
+            stylePrompt: options.stylePrompt,
+            numberOfMedia: 1,
+            referenceImage: readFileSync(lastFramePath),
+            referenceImageEnd: imageBuffer,
+            fps: options.fps,
+            width: options.width,
+            height: options.height,
+            tokenType: options.tokenType || 'spark',
+            waitForCompletion: false,
+            disableNSFWFilter: true
+          };
+
+          if (options.frames) projectConfig2.frames = options.frames;
+          else if (options.duration) projectConfig2.duration = options.duration;
+          if (Number.isFinite(steps2)) projectConfig2.steps = steps2;
+          if (guidance2 !== null && guidance2 !== undefined) projectConfig2.guidance = guidance2;
+
+          // Create a new client for second clip to avoid event conflicts
+          report.nextStep();
+          const client2 = await createSogniClient();
+
+          // Create second clip and wait for completion via events
+          const clip2Promise = new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+              reject(new Error('Second clip generation timed out'));
+            }, options.timeout);
+
+            client2.on(ClientEvent.JOB_COMPLETED, async (data) => {
+              try {
+                clearTimeout(timeout);
+                const clip2Url = data.videoUrl;
+                if (!clip2Url) {
+                  reject(new Error('No video URL returned for second clip.'));
+                  return;
+                }
+
+                // Download second clip
+                const response2 = await fetch(clip2Url);
+                const buffer2 = Buffer.from(await response2.arrayBuffer());
+                writeFileSync(clip2Path, buffer2);
+
+                await client2.disconnect();
+                resolve();
+              } catch (err) {
+                clearTimeout(timeout);
+                reject(err);
+              }
+            });
+
+            client2.on(ClientEvent.JOB_FAILED, (data) => {
+              clearTimeout(timeout);
+              reject(new Error(data.error || 'Second clip generation failed'));
+            });
+
+            client2.on(ClientEvent.PROJECT_FAILED, (data) => {
+              clearTimeout(timeout);
+              reject(new Error(data?.message || 'Second clip project failed'));
+            });
+
+            // Show progress for second clip
+            client2.on(ClientEvent.PROJECT_PROGRESS, (data) => {
+              if (data.percentage && data.percentage > 0) {
+                report('rendering', data.percentage);
+                log(`Progress: ${Math.round(data.percentage)}%`);
+              }
+            });
+          });
+
+          const clip2Result = await client2.createVideoProject(projectConfig2);
+
+          // Check for errors in the response (e.g., insufficient tokens)
+          if (clip2Result?.error || clip2Result?.message) {
+            throw new Error(clip2Result.error || clip2Result.message);
+          }
+
+          report('queued');
+          await clip2Promise;
+
+          log('Concatenating clips...');
+          report('concatenating');
+          buildConcatVideoFromClips(localPaths[0], [clip1Path, clip2Path]);
+          log(`Saved looping video to ${localPaths[0]}`);
+        } else {
+          writeFileSync(localPaths[0], buffer);
+          log(`Saved to ${localPaths[0]}`);
+        }
+
+        for (let i = 1; i < localPaths.length; i++) {
+          const extraDir = dirname(localPaths[i]);
+          if (extraDir && extraDir !== '.' && !existsSync(extraDir)) mkdirSync(extraDir, { recursive: true });
+          await downloadUrlToFile(urls[i], localPaths[i]);
+          log(`Saved to ${localPaths[i]}`);
+        }
+
+        for (let i = 0; i < localPaths.length; i++) {
+          await tryEmbedFileMetadata(localPaths[i], buildEmbeddedMetadata(renderInfo, { seed: seeds[i] }), options);
+        }
+      }
+      
+      const output = {
+        success: true,
+        type: options.video ? 'video' : 'image',
+        prompt: options.prompt,
+        model: options.model,
+        width: options.width,
+        height: options.height,
+        seed: firstResult.seed ?? options.seed,
+        seedStrategy: options.seedStrategy || null,
+        seeds,
+        projectId: firstResult.projectId ?? null,
+        historyId: renderInfo.id ?? null,
+        urls: urls,
+        localPath: localPaths[0] ?? null,
+        localPaths,
+        tokenType: options.tokenType || 'spark'
+      };
+      if (options.outputFormat) {
+        output.outputFormat = options.outputFormat;
+      }
+      if (options.negativePrompt) {
+        output.negativePrompt = options.negativePrompt;
+      }
+      if (options.stylePrompt) {
+        output.stylePrompt = options.stylePrompt;
+      }
+      if (options.sampler) {
+        output.sampler = options.sampler;
+      }
+      if (options.scheduler) {
+        output.scheduler = options.scheduler;
+      }
+      if (options.loras.length > 0) {
+        output.loras = options.loras;
+      }
+      if (options.loraStrengths.length > 0) {
+        output.loraStrengths = options.loraStrengths;
+      }
+      if (options.video) {
+        output.workflow = options.videoWorkflow;
+        output.fps = options.fps;
+        output.duration = options.frames ? options.frames / options.fps : options.duration;
+        if (options.frames) output.frames = options.frames;
+        output.strictSize = options.strictSize || false;
+        if (options.autoResizeVideoAssets !== null) {
+          output.autoResizeVideoAssets = options.autoResizeVideoAssets;
+        }
+        if (options.refImage) output.refImage = options.refImage;
+        if (options.refImageEnd) output.refImageEnd = options.refImageEnd;
+        if (options.refAudio) output.refAudio = options.refAudio;
+        if (options.refVideo) output.refVideo = options.refVideo;
+        if (options.videoControlNetName) {
+          output.controlNet = {
+            name: options.videoControlNetName,
+            strength: options.controlNetStrength
+          };
+        }
+        if (options.sam2Coordinates) output.sam2Coordinates = options.sam2Coordinates;
+        if (options.trimEndFrame) output.trimEndFrame = true;
+        if (options.firstFrameStrength != null) output.firstFrameStrength = options.firstFrameStrength;
+        if (options.lastFrameStrength != null) output.lastFrameStrength = options.lastFrameStrength;
+        if (options._effectiveVideoDims?.width && options._effectiveVideoDims?.height) {
+          output.effectiveWidth = options._effectiveVideoDims.width;
+          output.effectiveHeight = options._effectiveVideoDims.height;
+          output.effectiveFromReference = {
+            width: options._effectiveVideoDims.refWidth,
+            height: options._effectiveVideoDims.refHeight
+          };
+        }
+        if (options._adjustedVideoDims) {
+          output.adjustedVideoDims = options._adjustedVideoDims;
+        }
+      }
+      if (options.contextImages.length > 0) {
+        output.contextImages = options.contextImages;
+      }
+      if (options.controlNet) {
+        output.controlNet = {
+          name: options.controlNet,
+          image: options.controlImage,
+          strength: options.controlNetStrength,
+          guidanceStart: options.cnGuidanceStart,
+          guidanceEnd: options.cnGuidanceEnd
+        };
+      }
+      if (options.photobooth) {
+        output.photobooth = true;
+        output.refImage = options.refImage;
+        output.controlNet = {
+          name: 'instantid',
+          strength: options.cnStrength ?? 0.7,
+          guidanceStart: options.cnGuidanceStart ?? 0,
+          guidanceEnd: options.cnGuidanceEnd ?? 0.6,
+        };
+      }
+      return output;
+    }
+    throw new Error('No output generated - may have been filtered');
+  } finally {
+    clearTimeout(completionTimeout);
+    projectEvents.removeAll();
+  }
+}
+
+function buildRenderErrorPayload(error, options) {
+  const payload = {
+    success: false,
+    error: error.message,
+    prompt: options.prompt ?? null
+  };
+  if (error.code) payload.errorCode = error.code;
+  if (error.details) payload.errorDetails = error.details;
+  if (error.hint) payload.hint = error.hint;
+  payload.timestamp = new Date().toISOString();
+  payload.node = process.versions.node;
+  payload.cwd = process.cwd();
+  payload.context = {
+    video: options.video || false,
+    workflow: options.video ? (options.videoWorkflow || null) : null,
+    model: options.model || null,
+    width: Number.isFinite(options.width) ? options.width : null,
+    height: Number.isFinite(options.height) ? options.height : null,
+    strictSize: options.video ? (options.strictSize || false) : null,
+    count: Number.isFinite(options.count) ? options.count : null,
+    tokenType: options.tokenType || 'spark',
+    fps: options.video ? options.fps : null,
+    duration: options.video ? (options.frames ? options.frames / options.fps : options.duration) : null,
+    frames: options.video ? (options.frames ?? null) : null,
+    autoResizeVideoAssets: options.video ? (options.autoResizeVideoAssets ?? null) : null,
+    refImage: options.video ? (options.refImage ?? null) : null,
+    refImageEnd: options.video ? (options.refImageEnd ?? null) : null,
+    refAudio: options.video ? (options.refAudio ?? null) : null,
+    refVideo: options.video ? (options.refVideo ?? null) : null,
+    effectiveWidth: options.video ? (options._effectiveVideoDims?.width ?? null) : null,
+    effectiveHeight: options.video ? (options._effectiveVideoDims?.height ?? null) : null,
+    adjustedVideoDims: options.video ? (options._adjustedVideoDims ?? null) : null
+  };
+  if (IS_OPENCLAW_INVOCATION) payload.openclaw = true;
+  return payload;
+}
+
+function printHumanResult(result) {
+  if (result.gridPath) {
+    console.log(`grid: ${result.gridPath}`);
+  }
+  if (result.gridError) {
+    console.error(`Error: contact sheet not saved: ${result.gridError}`);
+  }
+  if (result.type === 'matrix') {
+    result.renders.forEach((render) => {
+      if (!render.success) return;
+      const label = Object.values(render.matrixVars).join(', ');
+      (render.urls || []).forEach((url) => console.log(`[${label}] ${url}`));
+    });
+    return;
+  }
+  if (result.type === 'video-cost') {
+    console.log(`Estimated cost: ${JSON.stringify(result.estimate)}`);
+    return;
+  }
+  if (Array.isArray(result.angles)) {
+    if (result.videoPath) {
+      console.log(`video: ${result.videoPath}`);
+    }
+    result.angles.forEach((angle) => {
+      angle.urls.forEach((url, index) => {
+        const suffix = angle.urls.length > 1 ? `#${index + 1}` : '';
+        console.log(`${angle.azimuth}${suffix}: ${url}`);
+      });
+    });
+    return;
+  }
+  (result.urls || []).forEach(url => console.log(url));
+}
+
+async function createSogniClient() {
+  const openclawConfig = getOpenClawConfig();
+  const creds = loadCredentials();
+  const client = new SogniClientWrapper({
+    username: creds.SOGNI_USERNAME,
+    password: creds.SOGNI_PASSWORD,
+    network: openclawConfig?.defaultNetwork || 'fast',
+    autoConnect: false,
+    authType: 'token'
+  });
+  await client.connect();
+  return client;
+}
+
+// ---------------------------------------------------------------------------
+// Batch manifests — every entry is a render spec whose keys are CLI long
+// option names (kebab-case or camelCase), e.g.
+//   {"prompt": "a red fox", "model": "flux1-schnell-fp8", "width": 768, "output": "fox.png"}
+//   {"prompt": "fox runs", "video": true, "ref": "fox.png", "refEnd": "end.png"}
+// Entries are parsed and validated exactly like a CLI invocation.
+// ---------------------------------------------------------------------------
+
+const BATCH_ENTRY_BLOCKED_FLAGS = new Set([
+  '--batch',
+  '--batch-report',
+  '--no-resume',
+  '--history',
+  '--inspect',
+  '--var',
+  '--grid',
+  '--help',
+  '--last',
+  '--version',
+  '--balance',
+  '--balances',
+  '--list-loras'
+]);
+
+function invalidBatchError(message, details) {
+  const err = new Error(message);
+  err.code = 'INVALID_BATCH_FILE';
+  if (details) err.details = details;
+  return err;
+}
+
+function loadBatchSpecs(filePath) {
+  sanitizePath(filePath, '--batch');
+  let raw;
+  try {
+    raw = readFileSync(filePath, 'utf8');
+  } catch (e) {
+    const err = new Error(`Failed to read batch file: ${filePath}`);
+    err.code = 'MISSING_FILE';
+    err.details = { path: filePath, cause: e?.message || String(e) };
+    throw err;
+  }
+
+  const ext = extname(filePath).toLowerCase();
+  let specs;
+  if (ext === '.yaml' || ext === '.yml' || ext === '.json') {
+    let parsed;
+    try {
+      parsed = ext === '.json' ? JSON5.parse(raw) : YAML.parse(raw);
+    } catch (e) {
+      throw invalidBatchError(`Failed to parse batch file: ${e?.message || e}`, { path: filePath });
+    }
+    specs = Array.isArray(parsed) ? parsed : parsed?.jobs;
+    if (!Array.isArray(specs)) {
+      throw invalidBatchError('Batch file must contain a list of render specs (or a "jobs" list).', { path: filePath });
+    }
+  } else {
+    specs = [];
+    raw.split('\n').forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+      try {
+        specs.push(JSON.parse(trimmed));
+      } catch (e) {
+        throw invalidBatchError(`Invalid JSON on batch line ${index + 1}: ${e?.message || e}`, {
+          path: filePath,
+          line: index + 1
+        });
+      }
+    });
+  }
+  if (specs.length === 0) {
+    throw invalidBatchError('Batch file contains no render specs.', { path: filePath });
+  }
+  return specs;
+}
+
+// camelCase keys whose flag splits a number off a word (angles360 -> --angles-360)
+const SPEC_FLAG_ALIASES = {
+  angles360: 'angles-360',
+  angles360Video: 'angles-360-video'
+};
+
+function batchSpecToArgs(spec, where = 'a batch entry') {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    fatalCliError(`Expected ${where} to be an object of CLI options.`, { code: 'INVALID_ARGUMENT' });
+  }
+  const args = [];
+  for (const [key, value] of Object.entries(spec)) {
+    if (key === 'prompt' || key === 'id') continue;
+    if (value === null || value === undefined || value === false) continue;
+    const flag = `--${SPEC_FLAG_ALIASES[key] || key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+    if (BATCH_ENTRY_BLOCKED_FLAGS.has(flag)) {
+      fatalCliError(`${flag} is not allowed in ${where}.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { field: key }
+      });
+    }
+    if (value === true) {
+      args.push(flag);
+    } else if (Array.isArray(value)) {
+      value.forEach((entry) => args.push(flag, String(entry)));
+    } else {
+      args.push(flag, String(value));
+    }
+  }
+  if (spec.prompt !== undefined && spec.prompt !== null) {
+    args.push('--', String(spec.prompt));
+  }
+  return args;
+}
+
+function stripBatchArgs(argv) {
+  const stripped = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--batch' || argv[i] === '--batch-report') {
+      i++;
+      continue;
+    }
+    if (argv[i] === '--no-resume') continue;
+    stripped.push(argv[i]);
+  }
+  return stripped;
+}
+
+// ---------------------------------------------------------------------------
+// Batch ledger — append-only JSONL next to last-render.json. Each completed
+// entry is keyed by a hash of its effective argv (plus cwd, since output paths
+// are relative) and its id or position in the manifest, so rerunning an
+// interrupted batch skips finished entries while identical entries stay apart.
+// An entry counts as done once its render completed, whether or not the files
+// it downloaded are still where they were saved: rerendering would bill again.
+// ---------------------------------------------------------------------------
+
+// Flags that change how results are reported, not what gets rendered.
+const BATCH_HASH_IGNORED_FLAGS = new Set(['-q', '--quiet', '--json']);
+
+function computeBatchSpecHash(entryArgs, entryKey) {
+  const relevantArgs = entryArgs.filter((arg) => !BATCH_HASH_IGNORED_FLAGS.has(arg));
+  return createHash('sha256')
+    .update(JSON.stringify({ cwd: process.cwd(), entry: entryKey, args: relevantArgs }))
+    .digest('hex');
+}
+
+function loadBatchLedger() {
+  const ledger = new Map();
+  if (!existsSync(BATCH_LEDGER_PATH)) return ledger;
+  try {
+    readFileSync(BATCH_LEDGER_PATH, 'utf8').split('\n').forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        if (entry?.specHash) ledger.set(entry.specHash, entry);
+      } catch (e) {
+        // Skip lines truncated by an interrupted write.
+      }
+    });
+  } catch (e) {
+    // Unreadable ledger: treat every entry as pending.
+  }
+  return ledger;
+}
+
+function appendBatchLedger(entry) {
+  try {
+    const dir = dirname(BATCH_LEDGER_PATH);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    appendFileSync(BATCH_LEDGER_PATH, JSON.stringify(entry) + '\n');
+  } catch (e) {
+    // Ignore save errors
+  }
+}
+
+function collectDownloadedPaths(payload) {
+  return [payload.localPath, ...(payload.localPaths || []), payload.videoPath]
+    .filter((p, i, all) => all.indexOf(p) === i)
+    .filter((p) => typeof p === 'string' && p && existsSync(p))
+    .map((p) => resolvePath(p));
+}
+
+function isLedgerEntryComplete(entry) {
+  // Entries written before `status` existed were only appended on success.
+  return entry?.status === 'completed' || (entry?.status === undefined && Boolean(entry?.result));
+}
+
+/**
+ * Execute every entry of a batch manifest over a single connected client.
+ * Shared CLI flags are prepended to each entry, so entries override them.
+ * Entries already completed in the batch ledger are skipped unless
+ * --no-resume is set. Returns the number of failed entries.
+ */
+async function runBatch(client, batchOptions, sharedArgs, log) {
+  const specs = loadBatchSpecs(batchOptions.batch);
+  const writeReportLine = (payload) => {
+    const line = JSON.stringify(payload);
+    if (batchOptions.batchReport) {
+      appendFileSync(batchOptions.batchReport, line + '\n');
+    } else {
+      console.log(line);
+    }
+  };
+  if (batchOptions.batchReport) {
+    sanitizePath(batchOptions.batchReport, '--batch-report');
+    const dir = dirname(batchOptions.batchReport);
+    if (dir && dir !== '.' && !existsSync(dir)) mkdirSync(dir, { recursive: true });
+    // One report per run: start empty, then append a line per entry.
+    writeFileSync(batchOptions.batchReport, '');
+  }
+
+  const ledger = loadBatchLedger();
+  let failed = 0;
+  let skipped = 0;
+  for (let index = 0; index < specs.length; index++) {
+    const spec = specs[index];
+    const entryOptions = createDefaultOptions();
+    const entryCliSet = createCliSet();
+    const entryLabel = `${index + 1}/${specs.length}`;
+    let payload;
+    try {
+      const entryArgs = [...sharedArgs, ...batchSpecToArgs(spec)];
+      // Two identical entries (e.g. two random-seed takes) are two renders.
+      const specHash = computeBatchSpecHash(entryArgs, spec?.id ?? `#${index + 1}`);
+      const ledgerEntry = ledger.get(specHash);
+      if (batchOptions.batchResume && isLedgerEntryComplete(ledgerEntry)) {
+        skipped++;
+        log(`Batch entry ${entryLabel} already completed (project ${ledgerEntry.projectId || 'n/a'}), skipping.`);
+        payload = { ...ledgerEntry.result, skipped: true };
+      } else {
+        parseCliArgs(expandReplayArgs(entryArgs), entryOptions, entryCliSet);
+        resolveOptions(entryOptions, entryCliSet);
+        const entryLog = entryOptions.quiet ? () => {} : log;
+        entryLog(`Batch entry ${entryLabel}...`);
+        payload = await runRender(client, entryOptions, entryCliSet, entryLog);
+        const record = {
+          specHash,
+          status: 'completed',
+          completedAt: new Date().toISOString(),
+          batchFile: resolvePath(batchOptions.batch),
+          batchId: spec?.id ?? null,
+          projectId: payload.projectId ?? null,
+          seeds: payload.seeds ?? (payload.seed !== undefined ? [payload.seed] : []),
+          paths: collectDownloadedPaths(payload),
+          result: payload
+        };
+        ledger.set(specHash, record);
+        appendBatchLedger(record);
+      }
+    } catch (error) {
+      failed++;
+      payload = buildRenderErrorPayload(error, entryOptions);
+      if (payload.prompt === null && typeof spec?.prompt === 'string') payload.prompt = spec.prompt;
+      log(`Batch entry ${entryLabel} failed: ${error.message}`);
+    }
+    payload.batchIndex = index;
+    if (spec?.id !== undefined) payload.batchId = spec.id;
+    writeReportLine(payload);
+  }
+
+  const skippedNote = skipped > 0 ? `, ${skipped} skipped (already completed)` : '';
+  log(`Batch complete: ${specs.length - failed - skipped} succeeded, ${failed} failed${skippedNote}.`);
+  return failed;
+}
+
+// ---------------------------------------------------------------------------
+// Replay — turn a saved render info (history entry or JSON file) back into a
+// render spec and run it again with the recorded seed and settings. Flags
+// given alongside --replay override the recorded ones.
+// ---------------------------------------------------------------------------
+
+function loadReplaySource(ref) {
+  if (/^\d+$/.test(ref) && !existsSync(ref)) {
+    const id = Number(ref);
+    const entry = readRenderHistory().find((item) => item.id === id);
+    if (!entry) {
+      fatalCliError(`No render with id ${id} in history.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: '--replay', value: ref },
+        hint: 'Use --history to list past renders and their ids.'
+      });
+    }
+    return entry;
+  }
+  let info;
+  try {
+    info = JSON.parse(readFileSync(ref, 'utf8'));
+  } catch (e) {
+    fatalCliError(`Failed to read render info from ${ref}: ${e?.message || e}`, {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: '--replay', value: ref }
+    });
+  }
+  if (!info || typeof info !== 'object' || Array.isArray(info) || !info.model) {
+    fatalCliError('Replay file is not a render info object (expected a "model" field).', {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: '--replay', value: ref }
+    });
+  }
+  return info;
+}
+
+/**
+ * Map a render info object (as written by saveLastRender) to a render spec
+ * keyed by CLI long option names, the same shape batch entries use.
+ */
+function renderInfoToSpec(info) {
+  const spec = {
+    prompt: info.prompt ?? null,
+    model: info.model,
+    width: info.width,
+    height: info.height,
+    count: info.count,
+    seed: info.seed,
+    'token-type': info.tokenType,
+    'output-format': info.outputFormat,
+    negative: info.negativePrompt,
+    style: info.stylePrompt,
+    steps: info.steps,
+    guidance: info.guidance,
+    sampler: info.sampler,
+    scheduler: info.scheduler,
+    lora: info.loras,
+    'lora-strength': info.loraStrengths,
+    context: info.contextImages,
+    mask: info.mask,
+    'mask-feather': info.maskFeather,
+    'init-image': info.initImage,
+    denoise: info.denoise
+  };
+  if (info.outpaint?.aspect) {
+    spec.aspect = info.outpaint.aspect;
+    spec.outpaint = true;
+  } else if (info.outpaint?.extend) {
+    spec.extend = Object.entries(info.outpaint.extend)
+      .filter(([, px]) => px > 0)
+      .map(([side, px]) => `${side}=${px}`)
+      .join(',');
+  }
+
+  if (info.type === 'multi-angle' || info.type === 'multi-angle-360') {
+    if (info.type === 'multi-angle-360') {
+      spec['angles-360'] = true;
+      if (info.videoPath) spec['angles-360-video'] = info.videoPath;
+      if (info.videoModel) spec['video-model'] = info.videoModel;
+    } else {
+      spec['multi-angle'] = true;
+      spec.azimuth = info.angles?.[0]?.azimuth;
+    }
+    spec.elevation = info.elevation;
+    spec.distance = info.distance;
+    spec['angle-strength'] = info.angleStrength;
+    spec['angle-description'] = info.angleDescription;
+  } else if (info.type === 'video') {
+    spec.video = true;
+    spec.workflow = info.workflow;
+    spec.fps = info.fps;
+    if (info.frames) {
+      spec.frames = info.frames;
+    } else {
+      spec.duration = info.duration;
+    }
+    if (info.autoResizeVideoAssets === true) spec['auto-resize-assets'] = true;
+    if (info.autoResizeVideoAssets === false) spec['no-auto-resize-assets'] = true;
+    spec.ref = info.refImage;
+    spec['ref-end'] = info.refImageEnd;
+    spec['ref-audio'] = info.refAudio;
+    spec['ref-video'] = info.refVideo;
+    spec['controlnet-name'] = info.controlNet?.name;
+    spec['controlnet-strength'] = info.controlNet?.strength;
+    if (Array.isArray(info.sam2Coordinates)) {
+      spec['sam2-coordinates'] = info.sam2Coordinates.map(({ x, y }) => `${x},${y}`).join(';');
+    }
+    spec['trim-end-frame'] = info.trimEndFrame;
+    spec['first-frame-strength'] = info.firstFrameStrength;
+    spec['last-frame-strength'] = info.lastFrameStrength;
+    spec.looping = info.looping;
+  } else if (info.photobooth) {
+    spec.photobooth = true;
+    spec.ref = info.refImage;
+    spec['cn-strength'] = info.controlNet?.strength;
+    spec['cn-guidance-start'] = info.controlNet?.guidanceStart;
+    spec['cn-guidance-end'] = info.controlNet?.guidanceEnd;
+  } else if (info.controlNet) {
+    spec.controlnet = info.controlNet.name;
+    spec['control-image'] = info.controlNet.image;
+    spec['controlnet-strength'] = info.controlNet.strength;
+    spec['cn-guidance-start'] = info.controlNet.guidanceStart;
+    spec['cn-guidance-end'] = info.controlNet.guidanceEnd;
+  }
+  return spec;
+}
+
+/**
+ * Expand `--replay <file|id>` into the recorded render's flags. The recorded
+ * flags come first so explicit flags win, and the recorded prompt is only
+ * used when no prompt was given. Returns argv unchanged without --replay.
+ */
+function expandReplayArgs(argv) {
+  const index = argv.indexOf('--replay');
+  const separator = argv.indexOf('--');
+  if (index === -1 || (separator !== -1 && separator < index)) return argv;
+  const ref = requireFlagValue(argv, index, '--replay');
+  const { prompt, ...spec } = renderInfoToSpec(loadReplaySource(ref));
+  const rest = [...argv.slice(0, index), ...argv.slice(index + 2)];
+  const args = [...batchSpecToArgs(spec), ...rest];
+  if (prompt && !rest.includes('--')) args.push('--', prompt);
+  return args;
+}
+
+// ---------------------------------------------------------------------------
+// Prompt matrix — `{a|b|c}` alternatives and `--var name=a,b` placeholders
+// expand into the cartesian product of prompts. Each combination is its own
+// render; with -o, its values are appended to the filename
+// (out/pet.png -> out/pet-cat-watercolor.png).
+// ---------------------------------------------------------------------------
+
+const MAX_PROMPT_MATRIX_SIZE = 64;
+const PROMPT_ALTERNATION_RE = /\{([^{}]*\|[^{}]*)\}/g;
+
+function hasPromptMatrix(options) {
+  if (options.noMatrix) {
+    if (options.promptVars.length > 0) {
+      fatalCliError('--var needs prompt matrix expansion, which is turned off here.', {
+        code: 'INVALID_ARGUMENT',
+        hint: 'Drop --no-matrix, or pass { promptMatrix: true } to runCliJson.'
+      });
+    }
+    return false;
+  }
+  return options.promptVars.length > 0 || (typeof options.prompt === 'string' && /\{[^{}]*\|[^{}]*\}/.test(options.prompt));
+}
+
+/**
+ * Expand a prompt template into [{ prompt, vars }] combinations. Inline
+ * groups are named group1, group2, ... in order of appearance.
+ */
+function expandPromptMatrix(template, promptVars) {
+  const axes = [];
+  const skeleton = template.replace(PROMPT_ALTERNATION_RE, (_, body) => {
+    const token = `{#${axes.length + 1}}`;
+    axes.push({ name: `group${axes.length + 1}`, token, values: body.split('|').map((value) => value.trim()) });
+    return token;
+  });
+  for (const { name, values } of promptVars) {
+    const token = `{${name}}`;
+    if (!skeleton.includes(token)) {
+      fatalCliError(`--var ${name} is not used in the prompt (expected ${token}).`, {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: '--var', name }
+      });
+    }
+    axes.push({ name, token, values });
+  }
+
+  const size = axes.reduce((total, axis) => total * axis.values.length, 1);
+  if (size > MAX_PROMPT_MATRIX_SIZE) {
+    fatalCliError(`Prompt matrix expands to ${size} renders (max ${MAX_PROMPT_MATRIX_SIZE}).`, {
+      code: 'INVALID_ARGUMENT',
+      details: { size, max: MAX_PROMPT_MATRIX_SIZE },
+      hint: 'Reduce the number of alternatives, or split the matrix into a --batch file.'
+    });
+  }
+
+  return axes.reduce((combos, axis) => combos.flatMap((combo) => axis.values.map((value) => ({
+    prompt: combo.prompt.split(axis.token).join(value),
+    vars: { ...combo.vars, [axis.name]: value }
+  }))), [{ prompt: skeleton, vars: {} }]);
+}
+
+function slugifyMatrixValue(value) {
+  return slugifyOutputValue(value) || 'none';
+}
+
+function deriveMatrixOutputPath(outputPath, vars) {
+  const ext = extname(outputPath);
+  const base = ext ? outputPath.slice(0, -ext.length) : outputPath;
+  const label = Object.values(vars).map(slugifyMatrixValue).join('-');
+  return `${base}-${label}${ext}`;
+}
+
+/**
+ * Parse and resolve one render per matrix combination. argv is re-parsed for
+ * every combination so each gets fresh options (and its own prompt-hash seed).
+ */
+function buildMatrixJobs(argv, options) {
+  return expandPromptMatrix(options.prompt, options.promptVars).map(({ prompt, vars }) => {
+    const jobOptions = createDefaultOptions();
+    const jobCliSet = createCliSet();
+    parseCliArgs(argv, jobOptions, jobCliSet);
+    jobOptions.prompt = prompt;
+    jobOptions.promptVars = [];
+    if (jobOptions.output) jobOptions.output = deriveMatrixOutputPath(jobOptions.output, vars);
+    resolveOptions(jobOptions, jobCliSet);
+    return { vars, options: jobOptions, cliSet: jobCliSet };
+  });
+}
+
+async function runMatrix(client, template, jobs, log) {
+  const renders = [];
+  let failed = 0;
+  for (let index = 0; index < jobs.length; index++) {
+    const job = jobs[index];
+    const label = Object.values(job.vars).join(', ');
+    log(`Matrix ${index + 1}/${jobs.length}: ${label}`);
+    let payload;
+    try {
+      payload = await runRender(client, job.options, job.cliSet, log);
+    } catch (error) {
+      failed++;
+      payload = buildRenderErrorPayload(error, job.options);
+      log(`Matrix ${index + 1}/${jobs.length} failed: ${error.message}`);
+    }
+    payload.matrixVars = job.vars;
+    renders.push(payload);
+  }
+  return {
+    failed,
+    result: {
+      success: failed === 0,
+      type: 'matrix',
+      template,
+      count: renders.length,
+      failed,
+      renders
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Programmatic API — each function takes a render spec keyed by CLI long
+// option names (camelCase or kebab-case, the same shape as batch entries),
+// validates it exactly like the CLI and resolves to the object `--json`
+// prints. Errors are thrown with the usual code/details/hint fields.
+//
+//   await generateImage({ prompt: 'a red fox', model: 'flux1-schnell-fp8', count: 2, output: 'out/' });
+//   await editImage({ prompt: 'make it snowy', context: ['photo.jpg'] });
+//   await generateVideo({ prompt: 'fox runs', ref: 'fox.png', duration: 3 });
+//
+// Pass `{ client }` to reuse a connected client across calls (it is left
+// connected) and `{ onLog }` to receive progress lines.
+// ---------------------------------------------------------------------------
+
+async function disconnectClient(client) {
+  try {
+    if (client?.isConnected?.()) {
+      await Promise.race([
+        client.disconnect(),
+        new Promise(resolve => setTimeout(resolve, 1000))
+      ]);
+    }
+  } catch (e) {}
+}
+
+async function renderSpec(spec, flowSpec, { client: sharedClient = null, onLog = null } = {}) {
+  const options = createDefaultOptions();
+  const cliSet = createCliSet();
+  parseCliArgs(batchSpecToArgs({ quiet: !onLog, ...spec, ...flowSpec }, 'an API render spec'), options, cliSet);
+  resolveOptions(options, cliSet);
+  const log = onLog || (() => {});
+  const client = sharedClient || await createSogniClient();
+  try {
+    return await runRender(client, options, cliSet, log);
+  } finally {
+    if (!sharedClient) await disconnectClient(client);
+  }
+}
+
+/** Text-to-image (or image edit when `context` images are given). */
+export async function generateImage(spec = {}, context) {
+  return renderSpec(spec, {}, context);
+}
+
+/** Edit one or more `context` images with a prompt. */
+export async function editImage(spec = {}, context) {
+  const images = [].concat(spec.context ?? []);
+  if (images.length === 0) {
+    fatalCliError('editImage requires at least one context image.', {
+      code: 'INVALID_ARGUMENT',
+      details: { field: 'context' }
+    });
+  }
+  return renderSpec(spec, {}, context);
+}
+
+/** Video generation; the workflow is inferred from the model and references like the CLI. */
+export async function generateVideo(spec = {}, context) {
+  return renderSpec(spec, { video: true }, context);
+}
+
+/** Face transfer from a `ref` face image. */
+export async function photobooth(spec = {}, context) {
+  return renderSpec(spec, { photobooth: true }, context);
+}
+
+/** Multiple-angles render of a `context` image; set `angles360` for the full turntable. */
+export async function multiAngle(spec = {}, context) {
+  return renderSpec(spec, spec.angles360 || spec['angles-360'] ? {} : { multiAngle: true }, context);
+}
+
+export { createSogniClient, readRenderHistory, PACKAGE_VERSION as version };
+
+function buildVersionPayload() {
+  return {
+    success: true,
+    type: 'version',
+    name: 'sogni-gen',
+    version: PACKAGE_VERSION,
+    timestamp: new Date().toISOString()
+  };
+}
+
+async function fetchBalancePayload(client, options) {
+  const balance = await client.getBalance();
+  const spark = Number.parseFloat(balance?.spark);
+  const sogni = Number.parseFloat(balance?.sogni);
+  return {
+    success: true,
+    type: 'balance',
+    spark: Number.isFinite(spark) ? spark : null,
+    sogni: Number.isFinite(sogni) ? sogni : null,
+    tokenType: options.tokenType || 'spark',
+    timestamp: new Date().toISOString()
+  };
+}
+
+let catalogClientPromise = null;
+
+/**
+ * REST-only SDK client for the public LoRA catalog; it needs no login. The
+ * wrapper's bundled client predates `projects.availableLoras`, so this one
+ * comes from @sogni-ai/sogni-client. SOGNI_REST_ENDPOINT points it elsewhere.
+ */
+function getCatalogClient() {
+  if (!catalogClientPromise) {
+    catalogClientPromise = SogniClient.createInstance({
+      disableSocket: true,
+      restEndpoint: process.env.SOGNI_REST_ENDPOINT || undefined,
+      logLevel: 'error'
+    });
+    catalogClientPromise.catch(() => { catalogClientPromise = null; });
+  }
+  return catalogClientPromise;
+}
+
+/** The LoRA catalog, narrowed to the LoRAs `modelId` accepts when given. */
+async function fetchLoraCatalog(modelId) {
+  const client = await getCatalogClient();
+  const catalog = await client.projects.availableLoras(modelId ? { modelId } : {});
+  return {
+    loras: catalog?.loras || [],
+    models: catalog?.models || [],
+    maxPerRequest: catalog?.constraints?.maxPerRequest ?? null
+  };
+}
+
+async function fetchLorasPayload(modelId) {
+  const catalog = await fetchLoraCatalog(modelId);
+  return {
+    success: true,
+    type: 'loras',
+    model: modelId || null,
+    loras: catalog.loras.map((lora) => ({
+      id: lora.loraId,
+      name: lora.name,
+      defaultStrength: lora.ui?.default ?? null,
+      minStrength: lora.ui?.min ?? null,
+      maxStrength: lora.ui?.max ?? null,
+      models: lora.modelIds || []
+    })),
+    maxPerRequest: catalog.maxPerRequest,
+    timestamp: new Date().toISOString()
+  };
+}
+
+function printLoras(payload) {
+  if (payload.loras.length === 0) {
+    console.log(payload.model ? `No LoRAs available for ${payload.model}.` : 'No LoRAs available.');
+    return;
+  }
+  const width = Math.max(...payload.loras.map((lora) => lora.id.length));
+  for (const lora of payload.loras) {
+    const range = lora.minStrength != null && lora.maxStrength != null ? ` (${lora.minStrength} to ${lora.maxStrength})` : '';
+    const models = payload.model ? '' : `  [${lora.models.join(', ')}]`;
+    console.log(`${lora.id.padEnd(width)}  default ${lora.defaultStrength ?? '-'}${range}  ${lora.name || ''}${models}`);
+  }
+  if (payload.maxPerRequest) console.log(`\nUp to ${payload.maxPerRequest} LoRAs per render.`);
+}
+
+/**
+ * Fail before submitting when a text-to-image model cannot take the requested
+ * LoRAs, instead of rendering without them. Without a catalog the LoRAs are
+ * sent unchecked and the network has the final say.
+ */
+async function assertModelLoras(options, log) {
+  const { model: modelId, loras: loraIds } = options;
+  let catalog;
+  try {
+    catalog = await fetchLoraCatalog(modelId);
+  } catch (err) {
+    if (!options.quiet) {
+      log(`Warning: Could not fetch the LoRA catalog (${err?.message || 'error'}); sending LoRAs unchecked.`);
+    }
+    return;
+  }
+  if (catalog.loras.length === 0) {
+    fatalCliError(`Model ${modelId} does not support LoRAs.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { model: modelId, loras: loraIds },
+      hint: catalog.models.length > 0 ? `Models with LoRAs: ${catalog.models.join(', ')}` : undefined
+    });
+  }
+  const known = new Set(catalog.loras.map((lora) => lora.loraId));
+  const unknown = loraIds.filter((id) => !known.has(id));
+  if (unknown.length > 0) {
+    fatalCliError(`LoRA ${unknown.join(', ')} is not available for ${modelId}.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { model: modelId, loras: unknown },
+      hint: `Run --list-loras -m ${modelId} to see its LoRAs.`
+    });
+  }
+  if (catalog.maxPerRequest && loraIds.length > catalog.maxPerRequest) {
+    fatalCliError(`At most ${catalog.maxPerRequest} LoRAs can be used per render, got ${loraIds.length}.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { maxPerRequest: catalog.maxPerRequest, provided: loraIds.length }
+    });
+  }
+}
+
+/**
+ * Run a render whose options are already resolved (or a prompt matrix), then
+ * compose the --grid contact sheet. Returns the --json result and how many
+ * matrix renders failed.
+ */
+async function runResolvedRender(client, options, cliSet, matrixJobs, log, hooks) {
+  let result;
+  let failed = 0;
+  if (matrixJobs) {
+    const matrix = await runMatrix(client, options.prompt, matrixJobs, log);
+    result = matrix.result;
+    failed = matrix.failed;
+  } else {
+    result = await runRender(client, options, cliSet, log, hooks);
+  }
+  if (options.grid) {
+    log('Composing contact sheet...');
+    // The renders are already paid for and saved; a failed sheet must not hide them.
+    try {
+      result.gridPath = await writeContactSheet(collectGridTiles(result), options.grid);
+      log(`Saved contact sheet to ${result.gridPath}`);
+    } catch (error) {
+      result.gridError = error?.message || String(error);
+      log(`Contact sheet failed: ${result.gridError}`);
+    }
+  }
+  return { result, failed };
+}
+
+// Flags that print, exit or stream several results; runCliJson rejects them.
+const CLI_ONLY_FLAGS = new Set(['--help', '--last', '--history', '--inspect', '--batch']);
+
+/**
+ * Run CLI arguments in-process and resolve to the object `--json` would print:
+ * a render/matrix result, a balance or version payload, or a
+ * `success: false` error payload. Never prints or exits. Pass `client` to run
+ * on a connected client (left connected); otherwise one is created per call.
+ * `onProgress({ phase, percentage, step, steps })` follows a single render
+ * (phases: uploading, queued, rendering, downloading, concatenating) and
+ * aborting `signal` resolves it to a `CANCELLED` error payload. A `{a|b}` in
+ * the prompt is sent as-is unless `promptMatrix` is set, since a matrix bills
+ * one render per combination.
+ */
+export async function runCliJson(argv, { client: sharedClient = null, onLog = null, onProgress = null, signal = null, promptMatrix = false } = {}) {
+  const options = createDefaultOptions();
+  const cliSet = createCliSet();
+  let matrixJobs = null;
+  try {
+    const end = argv.indexOf('--');
+    const cliOnly = (end === -1 ? argv : argv.slice(0, end)).find((arg) => CLI_ONLY_FLAGS.has(arg));
+    if (cliOnly) {
+      fatalCliError(`${cliOnly} is only available from the command line.`, { code: 'INVALID_ARGUMENT' });
+    }
+    const cliArgs = expandReplayArgs(argv);
+    parseCliArgs(cliArgs, options, cliSet);
+    if (!promptMatrix) options.noMatrix = true;
+    if (options.showVersion) return buildVersionPayload();
+    if (hasPromptMatrix(options)) {
+      if (!options.prompt) {
+        fatalCliError('--var requires a prompt with {name} placeholders.', { code: 'INVALID_ARGUMENT' });
+      }
+      matrixJobs = buildMatrixJobs(cliArgs, options);
+    } else {
+      resolveOptions(options, cliSet);
+    }
+  } catch (error) {
+    if (!error.isCliValidation) throw error;
+    return buildCliErrorPayload({
+      message: error.message,
+      code: error.code,
+      details: error.details,
+      hint: error.hint,
+      prompt: options.prompt ?? null
+    });
+  }
+
+  const log = onLog || (() => {});
+  let client = sharedClient;
+  try {
+    if (signal?.aborted) throw renderCancelledError();
+    if (!client) client = await createSogniClient();
+    if (options.showBalance) return await fetchBalancePayload(client, options);
+    if (options.listLoras) return await fetchLorasPayload(cliSet.model ? options.model : null);
+    return (await runResolvedRender(client, options, cliSet, matrixJobs, log, { onProgress, signal })).result;
+  } catch (error) {
+    return buildRenderErrorPayload(error, options);
+  } finally {
+    if (!sharedClient) await disconnectClient(client);
+  }
+}
+
+/**
+ * Run the CLI for `argv` (without the node/script prefix). Prints results and
+ * errors like the `sogni-gen` binary and resolves to the process exit code.
+ */
+export async function runCli(argv) {
+  const options = createDefaultOptions();
+  const cliSet = createCliSet();
+  let matrixJobs = null;
+  try {
+    const cliArgs = expandReplayArgs(argv);
+    parseCliArgs(cliArgs, options, cliSet);
+    if (options.showHelp) {
+      printHelp();
+      return 0;
+    }
+    if (options.showLast) {
+      printLastRender();
+      return 0;
+    }
+    if (!options.showHistory && (cliSet.historyLimit || options.historyFilters.length > 0)) {
+      fatalCliError('--limit and --filter only apply to --history.', { code: 'INVALID_ARGUMENT' });
+    }
+    if (options.showHistory) {
+      printRenderHistory(options);
+      return 0;
+    }
+    if (options.inspect) {
+      await printFileMetadata(options);
+      return 0;
+    }
+    if (options.batch) {
+      if (options.prompt) {
+        fatalCliError('--batch cannot be combined with a prompt; put prompts in the batch file.', {
+          code: 'INVALID_ARGUMENT'
+        });
+      }
+      if (options.grid) {
+        fatalCliError('--grid is not supported with --batch.', { code: 'INVALID_ARGUMENT' });
+      }
+    } else if (hasPromptMatrix(options)) {
+      if (!options.prompt) {
+        fatalCliError('--var requires a prompt with {name} placeholders.', { code: 'INVALID_ARGUMENT' });
+      }
+      matrixJobs = buildMatrixJobs(cliArgs, options);
+    } else {
+      resolveOptions(options, cliSet);
+    }
+  } catch (error) {
+    if (!error.isCliValidation) throw error;
+    reportFatalCliError(error, options.prompt ?? null, argv.includes('--json'));
+    return 1;
+  }
+
+  let exitCode = 0;
+  const log = options.quiet ? () => {} : console.error.bind(console);
+  let client = null;
+  
+  try {
+    if (options.showVersion) {
+      console.log(options.json ? JSON.stringify(buildVersionPayload()) : PACKAGE_VERSION);
+      return 0;
+    }
+
+    log('Connecting to Sogni...');
+    client = await createSogniClient();
+    log('Connected.');
+
+    if (options.showBalance) {
+      const balance = await fetchBalancePayload(client, options);
+      if (options.json) {
+        console.log(JSON.stringify(balance));
+      } else {
+        console.log(`SPARK: ${formatTokenValue(balance.spark)}`);
+        console.log(`SOGNI: ${formatTokenValue(balance.sogni)}`);
+      }
+      return 0;
+    }
+
+    if (options.listLoras) {
+      const loras = await fetchLorasPayload(cliSet.model ? options.model : null);
+      if (options.json) {
+        console.log(JSON.stringify(loras));
+      } else {
+        printLoras(loras);
+      }
+      return 0;
+    }
+
+    if (options.batch) {
+      const failed = await runBatch(client, options, stripBatchArgs(argv), log);
+      if (failed > 0) exitCode = 1;
+    } else {
+      const { result, failed } = await runResolvedRender(client, options, cliSet, matrixJobs, log);
+      if (failed > 0 || result.gridError) exitCode = 1;
+      if (options.json) {
+        console.log(JSON.stringify(result));
+      } else {
+        printHumanResult(result);
+      }
+    }
+  } catch (error) {
+    exitCode = 1;
+    const shouldJson = options.json || IS_OPENCLAW_INVOCATION;
+    if (shouldJson) {
+      console.log(JSON.stringify(buildRenderErrorPayload(error, options)));
+      if (!options.json) {
+        console.error(`Error: ${error.message}`);
+        if (error.hint) console.error(`Hint: ${error.hint}`);
+      }
+    } else {
+      console.error(`Error: ${error.message}`);
+      if (error.hint) console.error(`Hint: ${error.hint}`);
+    }
+  } finally {
+    await disconnectClient(client);
+  }
+  return exitCode;
+}
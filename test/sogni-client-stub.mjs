@@ -23,7 +23,8 @@ function persistState() {
       lastImageProject: state.lastImageProject ?? null,
       lastVideoProject: state.lastVideoProject ?? null,
       lastEditProject: state.lastEditProject ?? null,
-      emittedJobs: state.emittedJobs ?? null
+      emittedJobs: state.emittedJobs ?? null,
+      clientCount: state.instances.length
     }));
   } catch (err) {
     // Ignore persistence errors in tests.
@@ -39,6 +40,7 @@ class SogniClientWrapper extends EventEmitter {
     this.lastVideoProject = null;
     this.lastEditProject = null;
     this.emittedJobs = 0;
+    this.projectCount = 0;
     const state = getState();
     state.instances.push(this);
   }
@@ -60,8 +62,8 @@ class SogniClientWrapper extends EventEmitter {
     this.lastImageProject = config;
     state.lastImageProject = config;
     persistState();
-    this._emitJobs('imageUrl', config.numberOfMedia ?? 1, config.seed);
-    return { project: { id: 'proj-1' } };
+    const projectId = this._emitJobs('imageUrl', config.numberOfMedia ?? 1, config.seed);
+    return { project: { id: projectId } };
   }
 
   async createImageEditProject(config) {
@@ -69,8 +71,8 @@ class SogniClientWrapper extends EventEmitter {
     this.lastEditProject = config;
     state.lastEditProject = config;
     persistState();
-    this._emitJobs('imageUrl', config.numberOfMedia ?? 1, config.seed);
-    return { project: { id: 'proj-1' } };
+    const projectId = this._emitJobs('imageUrl', config.numberOfMedia ?? 1, config.seed);
+    return { project: { id: projectId } };
   }
 
   async createVideoProject(config) {
@@ -78,8 +80,8 @@ class SogniClientWrapper extends EventEmitter {
     this.lastVideoProject = config;
     state.lastVideoProject = config;
     persistState();
-    this._emitJobs('videoUrl', config.numberOfMedia ?? 1, config.seed);
-    return { project: { id: 'proj-1' }, videoUrls: ['https://example.com/video.mp4'] };
+    const projectId = this._emitJobs('videoUrl', config.numberOfMedia ?? 1, config.seed);
+    return { project: { id: projectId }, videoUrls: ['https://example.com/video.mp4'] };
   }
 
   async getBalance() {
@@ -99,21 +101,40 @@ class SogniClientWrapper extends EventEmitter {
     };
   }
 
+  // SOGNI_GEN_TEST_JOB_DELAY_MS keeps the project running that long, reporting
+  // 50% progress meanwhile. SOGNI_GEN_TEST_STALE_PROJECT_EVENTS first emits a
+  // completion for another project, like an abandoned render still running.
   _emitJobs(urlField, count, seed) {
-    queueMicrotask(() => {
+    this.projectCount += 1;
+    const projectId = `proj-${this.projectCount}`;
+    const delayMs = Number(process.env.SOGNI_GEN_TEST_JOB_DELAY_MS) || 0;
+    if (process.env.SOGNI_GEN_TEST_STALE_PROJECT_EVENTS) {
+      queueMicrotask(() => this.emit(ClientEvent.JOB_COMPLETED, {
+        [urlField]: `https://example.com/stale-${urlField}.png`,
+        job: { data: { seed: 999 } },
+        jobIndex: 0,
+        projectId: 'proj-stale'
+      }));
+    }
+    if (delayMs > 0) {
+      queueMicrotask(() => this.emit(ClientEvent.PROJECT_PROGRESS, { projectId, percentage: 50 }));
+    }
+    const schedule = delayMs > 0 ? (fn) => setTimeout(fn, delayMs) : queueMicrotask;
+    schedule(() => {
       const state = getState();
       for (let i = 0; i < count; i++) {
         this.emittedJobs += 1;
         state.emittedJobs = this.emittedJobs;
         this.emit(ClientEvent.JOB_COMPLETED, {
-          [urlField]: `https://example.com/${urlField}-${i + 1}.png`,
+          [urlField]: process.env.SOGNI_GEN_TEST_MEDIA_PATH || `https://example.com/${urlField}-${i + 1}.png`,
           job: { data: { seed: seed ?? 123 } },
           jobIndex: i,
-          projectId: 'proj-1'
+          projectId
         });
       }
       persistState();
     });
+    return projectId;
   }
 }
 
@@ -1,9 +1,11 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { spawnSync } from 'node:child_process';
-import { mkdtempSync, readFileSync } from 'node:fs';
+import { spawn, spawnSync } from 'node:child_process';
+import { chmodSync, existsSync, mkdirSync, mkdtempSync, readdirSync, readFileSync, rmSync, utimesSync, writeFileSync } from 'node:fs';
+import { createServer } from 'node:http';
 import { tmpdir } from 'node:os';
 import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
 
 const MIN_NODE_VERSION = [22, 11, 0];
 
@@ -23,8 +25,10 @@ if (!isVersionAtLeast(currentNodeVersion, MIN_NODE_VERSION)) {
 }
 const PACKAGE_VERSION = JSON.parse(readFileSync(join(process.cwd(), 'package.json'), 'utf8')).version;
 
-function runCli(args) {
-  const tempHome = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+// With `evalSource`, runs that ES module source (under the same stub loader)
+// instead of the CLI, for exercising the library API in a child process.
+function runCli(args, { home, env: extraEnv, evalSource } = {}) {
+  const tempHome = home || mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
   const statePath = join(tempHome, 'state.json');
   const loaderPath = join(process.cwd(), 'test', 'loader.mjs');
   const cliPath = join(process.cwd(), 'sogni-gen.mjs');
@@ -38,12 +42,15 @@ function runCli(args) {
     SOGNI_USERNAME: 'test-user',
     SOGNI_PASSWORD: 'test-pass',
     SOGNI_GEN_TEST_STATE_PATH: statePath,
-    NODE_NO_WARNINGS: '1'
+    NODE_NO_WARNINGS: '1',
+    ...extraEnv
   };
 
   const result = spawnSync(
     process.execPath,
-    ['--loader', loaderPath, cliPath, ...args],
+    evalSource
+      ? ['--loader', loaderPath, '--input-type=module', '--eval', evalSource, '--', ...args]
+      : ['--loader', loaderPath, cliPath, ...args],
     { env, encoding: 'utf8' }
   );
 
@@ -66,8 +73,8 @@ function runCli(args) {
   };
 }
 
-function expectCliError(args, messageIncludes) {
-  const { exitCode, stderr } = runCli(args);
+function expectCliError(args, messageIncludes, { env } = {}) {
+  const { exitCode, stderr } = runCli(args, { env });
   assert.equal(exitCode, 1);
   if (messageIncludes) {
     assert.ok(
@@ -211,6 +218,23 @@ test('explicit 512x512, output format, and seed are applied', () => {
   assert.equal(state.lastImageProject.seed, 42);
 });
 
+test('completion events from another project on the client are ignored', async () => {
+  const { default: sharp } = await import('sharp');
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  const source = join(home, 'source.png');
+  await sharp({ create: { width: 64, height: 48, channels: 3, background: '#224488' } }).png().toFile(source);
+  const env = { SOGNI_GEN_TEST_STALE_PROJECT_EVENTS: '1' };
+  const image = runCli(['--json', '--seed', '7', 'a lighthouse at dusk'], { home, env });
+  assert.equal(image.exitCode, 0);
+  const payload = JSON.parse(image.stdout.trim());
+  assert.deepEqual(payload.urls, ['https://example.com/imageUrl-1.png']);
+  assert.equal(payload.seed, 7);
+
+  const edit = runCli(['--json', '-c', source, 'make it night'], { home, env });
+  assert.equal(edit.exitCode, 0);
+  assert.deepEqual(JSON.parse(edit.stdout.trim()).urls, ['https://example.com/imageUrl-1.png']);
+});
+
 test('count is forwarded to image generation', () => {
   const { exitCode, state } = runCli([
     '--count', '2',
@@ -440,3 +464,1362 @@ test('--controlnet-strength flag is recognized', () => {
   const { stderr } = runCli(['--video', '--workflow', 'v2v', '--ref-video', 'vid.mp4', '--controlnet-name', 'canny', '--controlnet-strength', '0.7', 'a cat']);
   assert.ok(!stderr.includes('Unknown option: --controlnet-strength'), `Should recognize --controlnet-strength, got: ${stderr}`);
 });
+
+// --- batch mode tests ---
+
+test('--batch runs every JSONL entry over a single client and reports one line per entry', () => {
+  const tmp = mkdtempSync(join(tmpdir(), 'sogni-gen-batch-'));
+  const batchPath = join(tmp, 'jobs.jsonl');
+  writeFileSync(batchPath, [
+    JSON.stringify({ id: 'fox', prompt: 'a red fox', width: 768 }),
+    '',
+    '# comments and blank lines are skipped',
+    JSON.stringify({ prompt: 'bad width', width: 'foo' }),
+    JSON.stringify({ prompt: 'two cats', count: 2, outputFormat: 'jpg' })
+  ].join('\n'));
+
+  const { exitCode, stdout, state } = runCli(['--batch', batchPath, '-q']);
+  assert.equal(exitCode, 1);
+  const lines = stdout.trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(lines.length, 3);
+  assert.equal(lines[0].success, true);
+  assert.equal(lines[0].width, 768);
+  assert.equal(lines[0].batchIndex, 0);
+  assert.equal(lines[0].batchId, 'fox');
+  assert.equal(lines[1].success, false);
+  assert.equal(lines[1].errorCode, 'INVALID_ARGUMENT');
+  assert.equal(lines[1].prompt, 'bad width');
+  assert.equal(lines[2].success, true);
+  assert.equal(lines[2].urls.length, 2);
+  assert.equal(lines[2].outputFormat, 'jpg');
+  assert.equal(state.clientCount, 1);
+});
+
+test('--batch reads YAML manifests and writes the report to --batch-report', () => {
+  const tmp = mkdtempSync(join(tmpdir(), 'sogni-gen-batch-'));
+  const batchPath = join(tmp, 'jobs.yaml');
+  const reportPath = join(tmp, 'report', 'results.jsonl');
+  writeFileSync(batchPath, [
+    '- prompt: a lighthouse at dusk',
+    '  model: flux1-schnell-fp8',
+    '- prompt: waves rolling in',
+    '  video: true',
+    '  duration: 1'
+  ].join('\n'));
+  mkdirSync(join(tmp, 'report'));
+  writeFileSync(reportPath, '{"stale":true}\n');
+
+  const { exitCode, stdout } = runCli(['--batch', batchPath, '--batch-report', reportPath, '-q']);
+  assert.equal(exitCode, 0);
+  assert.equal(stdout.trim(), '');
+  const lines = readFileSync(reportPath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0].model, 'flux1-schnell-fp8');
+  assert.equal(lines[1].type, 'video');
+  assert.equal(lines[1].workflow, 't2v');
+});
+
+test('--batch rejects a prompt on the command line', () => {
+  expectCliError(['--batch', 'jobs.jsonl', 'a cat'], '--batch cannot be combined with a prompt');
+});
+
+test('--batch skips entries completed in the ledger on rerun unless --no-resume is set', async () => {
+  const { default: sharp } = await import('sharp');
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  const mediaPath = join(home, 'tile.png');
+  await sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).png().toFile(mediaPath);
+  const outputPath = join(home, 'first.png');
+  const batchPath = join(home, 'jobs.jsonl');
+  writeFileSync(batchPath, [
+    JSON.stringify({ id: 'a', prompt: 'first image', output: outputPath }),
+    JSON.stringify({ id: 'b', prompt: 'second image', width: 'foo' }),
+    // Identical takes without ids are told apart by their position.
+    JSON.stringify({ prompt: 'another take', 'seed-strategy': 'random' }),
+    JSON.stringify({ prompt: 'another take', 'seed-strategy': 'random' })
+  ].join('\n'));
+  const env = { SOGNI_GEN_TEST_MEDIA_PATH: mediaPath };
+
+  const first = runCli(['--batch', batchPath, '-q'], { home, env });
+  assert.equal(first.exitCode, 1);
+  const ledger = readFileSync(join(home, '.config', 'sogni', 'batch-ledger.jsonl'), 'utf8')
+    .trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(ledger.length, 3);
+  assert.notEqual(ledger[1].specHash, ledger[2].specHash);
+  assert.equal(ledger[0].batchId, 'a');
+  assert.equal(ledger[0].projectId, 'proj-1');
+  assert.equal(ledger[0].seeds.length, 1);
+  assert.equal(ledger[0].status, 'completed');
+
+  // Moving the saved file away does not make the entry render (and bill) again.
+  rmSync(outputPath);
+  rmSync(join(home, 'state.json'));
+  const second = runCli(['--batch', batchPath, '-q'], { home, env });
+  assert.equal(second.exitCode, 1);
+  const lines = second.stdout.trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(lines[0].skipped, true);
+  assert.equal(lines[0].batchId, 'a');
+  assert.equal(lines[1].success, false);
+  assert.deepEqual([lines[2].skipped, lines[3].skipped], [true, true]);
+  // The stub only persists state once a project is created.
+  assert.equal(second.state, null);
+
+  const third = runCli(['--batch', batchPath, '--no-resume', '-q'], { home, env });
+  const rerun = third.stdout.trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(rerun.map((line) => line.skipped), [undefined, undefined, undefined, undefined]);
+  assert.equal(third.state.lastImageProject.positivePrompt, 'another take');
+});
+
+// --- render history tests ---
+
+test('renders are appended to history and listed newest first with --limit and --filter', () => {
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  runCli(['--json', '-q', 'a red fox'], { home });
+  const second = runCli(['--json', '-q', '-m', 'flux1-schnell-fp8', 'a blue bird'], { home });
+  assert.equal(JSON.parse(second.stdout).historyId, 2);
+  runCli(['--json', '-q', 'a green frog'], { home });
+
+  const all = JSON.parse(runCli(['--history', '--json'], { home }).stdout);
+  assert.equal(all.type, 'history');
+  assert.equal(all.total, 3);
+  assert.deepEqual(all.entries.map((entry) => entry.id), [3, 2, 1]);
+
+  const limited = JSON.parse(runCli(['--history', '--limit', '1', '--json'], { home }).stdout);
+  assert.deepEqual(limited.entries.map((entry) => entry.prompt), ['a green frog']);
+
+  const filtered = JSON.parse(runCli(['--history', '--filter', 'model=flux1-schnell-fp8', '--json'], { home }).stdout);
+  assert.equal(filtered.total, 1);
+  assert.equal(filtered.entries[0].prompt, 'a blue bird');
+
+  const lastRender = JSON.parse(readFileSync(join(home, '.config', 'sogni', 'last-render.json'), 'utf8'));
+  assert.equal(lastRender.id, 3);
+});
+
+test('a last-render.json from before the history becomes history entry #1', () => {
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  mkdirSync(join(home, '.config', 'sogni'), { recursive: true });
+  writeFileSync(join(home, '.config', 'sogni', 'last-render.json'), JSON.stringify({
+    timestamp: '2025-01-01T00:00:00.000Z', type: 'image', prompt: 'an old lighthouse', model: 'flux1-schnell-fp8', seed: 7
+  }));
+
+  const listed = JSON.parse(runCli(['--history', '--json'], { home }).stdout);
+  assert.deepEqual(listed.entries.map((entry) => [entry.id, entry.prompt]), [[1, 'an old lighthouse']]);
+
+  // Ids keep counting past entries longer than one read window of the history tail.
+  const long = runCli(['--json', '-q', `a ${'very '.repeat(8000)}long prompt`], { home });
+  assert.equal(JSON.parse(long.stdout).historyId, 2);
+  const next = runCli(['--json', '-q', 'a new lighthouse'], { home });
+  assert.equal(JSON.parse(next.stdout).historyId, 3);
+  assert.equal(runCli(['--replay', '1', '-q'], { home }).state.lastImageProject.seed, 7);
+});
+
+test('--from-history reuses an older render as context image and seed', async () => {
+  const { default: sharp } = await import('sharp');
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  const imagePath = join(home, 'fox.png');
+  await sharp({
+    create: { width: 64, height: 64, channels: 3, background: { r: 200, g: 80, b: 0 } }
+  }).png().toFile(imagePath);
+  mkdirSync(join(home, '.config', 'sogni'), { recursive: true });
+  writeFileSync(join(home, '.config', 'sogni', 'history.jsonl'), [
+    JSON.stringify({ id: 1, type: 'image', prompt: 'a red fox', seed: 42, localPath: imagePath }),
+    JSON.stringify({ id: 2, type: 'image', prompt: 'a blue bird', seed: 7, urls: ['https://example.com/bird.png'] })
+  ].join('\n') + '\n');
+
+  const { exitCode, state, stdout } = runCli(['--json', '-q', '--from-history', '1', '--last-image', '--last-seed', 'make it snowy'], { home });
+  assert.equal(exitCode, 0);
+  assert.ok(state?.lastEditProject, 'createImageEditProject was called');
+  assert.equal(state.lastEditProject.seed, 42);
+  assert.equal(JSON.parse(stdout).historyId, 3);
+});
+
+test('--mask is refused for edit models the client cannot send a mask to', async () => {
+  const { default: sharp } = await import('sharp');
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  const source = join(home, 'source.png');
+  await sharp({ create: { width: 64, height: 48, channels: 3, background: '#884422' } }).png().toFile(source);
+  const mask = join(home, 'mask.png');
+  await sharp({ create: { width: 64, height: 48, channels: 3, background: '#ffffff' } }).png().toFile(mask);
+
+  for (const model of [[], ['-m', 'qwen_image_edit_2511_fp8']]) {
+    const { exitCode, stdout, state } = runCli(['--json', '-q', ...model, '-c', source, '--mask', mask, 'fix it'], { home });
+    assert.equal(exitCode, 1);
+    const error = JSON.parse(stdout);
+    assert.equal(error.errorCode, 'INVALID_ARGUMENT');
+    assert.match(error.error, /^Model qwen_image_edit_2511_fp8(_lightning)? does not support --mask\.$/);
+    assert.equal(state?.lastEditProject ?? null, null, 'no edit project was created');
+  }
+});
+
+test('--mask requires an image edit source and --mask-feather requires --mask', () => {
+  expectCliError(['--mask', 'mask.png', 'a cat'], '--mask requires a source image (-c/--context or --last-image).');
+  expectCliError(['--mask-feather', '3', 'a cat'], '--mask-feather requires --mask or outpainting.');
+  expectCliError(['--video', '--mask', 'mask.png', 'a cat'], '--mask only applies to image editing');
+  expectCliError(['-c', 'a.png', '--mask', 'mask.png', '--mask-feather', '-2', 'a cat'], '--mask-feather must be a number of pixels');
+});
+
+test('outpainting is refused for edit models the client cannot send a mask to', async () => {
+  const { default: sharp } = await import('sharp');
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  const source = join(home, 'source.png');
+  await sharp({ create: { width: 64, height: 64, channels: 3, background: '#3366aa' } }).png().toFile(source);
+
+  for (const args of [['--aspect', '16:9', '--outpaint'], ['--extend', 'left=32', '-m', 'qwen_image_edit_2511_fp8']]) {
+    const { exitCode, stdout, state } = runCli(['--json', '-q', '-c', source, ...args, 'a wide mountain valley'], { home });
+    assert.equal(exitCode, 1);
+    const error = JSON.parse(stdout);
+    assert.equal(error.errorCode, 'INVALID_ARGUMENT');
+    assert.match(error.error, /^Model qwen_image_edit_2511_fp8(_lightning)? does not support outpainting\.$/);
+    assert.equal(state?.lastEditProject ?? null, null, 'no edit project was created');
+  }
+});
+
+test('outpainting flags are validated', () => {
+  expectCliError(['-c', 'a.png', '--aspect', '16:9', 'a cat'], '--aspect requires --outpaint.');
+  expectCliError(['-c', 'a.png', '--outpaint', 'a cat'], '--outpaint requires --aspect <w:h> or --extend <sides>.');
+  expectCliError(['-c', 'a.png', '--extend', 'up=10', 'a cat'], '--extend expects side=pixels pairs');
+  expectCliError(['-c', 'a.png', '--aspect', 'wide', '--outpaint', 'a cat'], '--aspect must be a ratio like 16:9.');
+  expectCliError(['-c', 'a.png', '--extend', 'left=8', '--aspect', '16:9', 'a cat'], 'Use either --extend or --aspect');
+  expectCliError(['--extend', 'left=8', 'a cat'], 'Outpainting requires a source image');
+  expectCliError(['-c', 'a.png', '--extend', 'left=8', '--mask', 'm.png', 'a cat'], '--mask cannot be combined with outpainting');
+});
+
+test('--init-image sends a starting image with strength 1 - denoise and keeps its aspect', async () => {
+  const { default: sharp } = await import('sharp');
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  const init = join(home, 'sketch.png');
+  await sharp({ create: { width: 96, height: 64, channels: 3, background: '#777777' } }).png().toFile(init);
+
+  const first = runCli(['--json', '-q', '--init-image', init, '--denoise', '0.35', '-m', 'flux1-schnell-fp8', 'an oil painting of a harbour'], { home });
+  assert.equal(first.exitCode, 0, first.stderr);
+  const project = first.state.lastImageProject;
+  assert.equal(project.startingImageStrength, 0.65);
+  assert.ok(Buffer.from(project.startingImage.data).equals(readFileSync(init)));
+  assert.deepEqual([project.width, project.height], [512, 336]);
+  const lastRender = JSON.parse(readFileSync(join(home, '.config', 'sogni', 'last-render.json'), 'utf8'));
+  assert.equal(lastRender.initImage, init);
+  assert.equal(lastRender.denoise, 0.35);
+
+  const defaults = runCli(['--json', '-q', '--init-image', init, '-m', 'flux1-schnell-fp8', 'an oil painting of a harbour'], { home });
+  assert.equal(defaults.state.lastImageProject.startingImageStrength, 0.4);
+  // The init image and denoise are part of the prompt-hash seed.
+  const plain = runCli(['--json', '-q', '-m', 'flux1-schnell-fp8', 'an oil painting of a harbour'], { home });
+  const seeds = [first, defaults, plain].map((run) => run.state.lastImageProject.seed);
+  assert.equal(new Set(seeds).size, 3);
+  assert.equal(plain.state.lastImageProject.startingImage, undefined);
+  // The seed hashes the size fitted to the init image, as if -w/-h had said so.
+  const sized = runCli([
+    '--json', '-q', '--init-image', init, '--denoise', '0.35', '-w', '512', '-h', '336',
+    '-m', 'flux1-schnell-fp8', 'an oil painting of a harbour'
+  ], { home });
+  assert.equal(sized.state.lastImageProject.seed, project.seed);
+
+  const replay = runCli(['--replay', '1', '-q'], { home });
+  assert.equal(replay.exitCode, 0, replay.stderr);
+  assert.deepEqual(replay.state.lastImageProject, project);
+});
+
+test('--init-image and --denoise are validated', () => {
+  expectCliError(['--denoise', '0.5', 'a cat'], '--denoise requires --init-image.');
+  expectCliError(['--init-image', 'a.png', '--denoise', '1.5', 'a cat'], '--denoise must be between 0.0 and 1.0.');
+  expectCliError(['--init-image', 'a.png', '-m', 'qwen_image_edit_2511_fp8', 'a cat'], 'Model qwen_image_edit_2511_fp8 does not support --init-image.');
+  expectCliError(['--init-image', 'a.png', '-c', 'b.png', 'a cat'], '--init-image cannot be combined with');
+});
+
+test('--controlnet sends a control image with the image project and replays it', async () => {
+  const { default: sharp } = await import('sharp');
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  const pose = join(home, 'pose.png');
+  await sharp({ create: { width: 64, height: 96, channels: 3, background: '#000000' } }).png().toFile(pose);
+
+  const args = ['--json', '-q', '-m', 'coreml-sogni_artist_v1_768', '--controlnet', 'openpose', '--control-image', pose,
+    '--controlnet-strength', '0.9', '--cn-guidance-start', '0.1', '--cn-guidance-end', '0.8', 'a knight, full body'];
+  const first = runCli(args, { home });
+  assert.equal(first.exitCode, 0, first.stderr);
+  const project = first.state.lastImageProject;
+  assert.equal(project.controlNet.name, 'openpose');
+  assert.ok(Buffer.from(project.controlNet.image.data).equals(readFileSync(pose)));
+  assert.deepEqual(
+    [project.controlNet.strength, project.controlNet.guidanceStart, project.controlNet.guidanceEnd],
+    [0.9, 0.1, 0.8]
+  );
+  // Without -w/-h the output follows the control image's shape.
+  assert.deepEqual([project.width, project.height], [336, 512]);
+  assert.equal(JSON.parse(first.stdout).controlNet.image, pose);
+  // The seed hashes that fitted size, as if -w/-h had said so.
+  const sized = runCli([...args.slice(0, -1), '-w', '336', '-h', '512', args.at(-1)], { home });
+  assert.equal(sized.state.lastImageProject.seed, project.seed);
+
+  const plain = runCli(['--json', '-q', '-m', 'coreml-sogni_artist_v1_768', 'a knight, full body'], { home });
+  assert.equal(plain.state.lastImageProject.controlNet, undefined);
+  assert.notEqual(plain.state.lastImageProject.seed, project.seed);
+
+  const replay = runCli(['--replay', '1', '-q'], { home });
+  assert.equal(replay.exitCode, 0, replay.stderr);
+  assert.deepEqual(replay.state.lastImageProject, project);
+});
+
+test('--controlnet names are validated per model', () => {
+  expectCliError(['--controlnet', 'canny', '--control-image', 'a.png', 'a cat'], 'Model z_image_turbo_bf16 does not support ControlNet.');
+  expectCliError(['-m', 'coreml-sogniXLturbo_alpha1_ad', '--controlnet', 'canny', '--control-image', 'a.png', 'a cat'],
+    'Model coreml-sogniXLturbo_alpha1_ad does not support ControlNet "canny". Use: instantid');
+  expectCliError(['-m', 'coreml-sogni_artist_v1_768', '--controlnet', 'pose', '--control-image', 'a.png', 'a cat'], 'does not support ControlNet "pose"');
+  expectCliError(['-m', 'coreml-sogni_artist_v1_768', '--controlnet', 'canny', 'a cat'], '--controlnet requires --control-image.');
+  expectCliError(['--control-image', 'a.png', 'a cat'], '--control-image requires --controlnet.');
+  expectCliError(['--controlnet-strength', '0.5', 'a cat'], '--controlnet-strength requires --controlnet');
+  expectCliError(['-m', 'coreml-sogni_artist_v1_768', '--controlnet', 'canny', '--control-image', 'a.png', '--cn-guidance-start', '0.7', '--cn-guidance-end', '0.5', 'a cat'],
+    '--cn-guidance-start must be lower than --cn-guidance-end.');
+  expectCliError(['--controlnet', 'canny', '--control-image', 'a.png', '-c', 'b.png', 'a cat'], '--controlnet cannot be combined with');
+});
+
+const LORA_CATALOG = [
+  {
+    loraId: 'film-grain',
+    name: 'Film Grain',
+    ui: { min: 0, max: 1.5, default: 0.8 },
+    modelIds: ['flux1-schnell-fp8', 'z_image_turbo_bf16']
+  },
+  {
+    loraId: 'warm-light',
+    name: 'Warm Light',
+    ui: { min: -2, max: 2, default: 0 },
+    modelIds: ['z_image_turbo_bf16']
+  }
+];
+
+// Serve the public LoRA catalog (GET /v1/loras/comfy) the way the Sogni REST
+// API does, for SOGNI_REST_ENDPOINT. It runs in a child process because
+// runCli blocks this one while the CLI runs.
+async function startLoraCatalogServer() {
+  const source = `
+    import { createServer } from 'node:http';
+    const catalog = ${JSON.stringify(LORA_CATALOG)};
+    const server = createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== '/v1/loras/comfy') {
+        res.writeHead(404).end();
+        return;
+      }
+      const modelId = url.searchParams.get('modelId');
+      const loras = catalog.filter((lora) => !modelId || lora.modelIds.includes(modelId));
+      const models = [...new Set(catalog.flatMap((lora) => lora.modelIds))].sort();
+      const constraints = { maxPerRequest: 2, minStrength: -4, maxStrength: 4 };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'success', data: { loras, models, constraints } }));
+    });
+    server.listen(0, '127.0.0.1', () => console.log(server.address().port));
+  `;
+  const child = spawn(process.execPath, ['--input-type=module', '--eval', source], { stdio: ['ignore', 'pipe', 'inherit'] });
+  const port = await new Promise((resolve, reject) => {
+    child.stdout.once('data', (chunk) => resolve(String(chunk).trim()));
+    child.once('exit', (code) => reject(new Error(`LoRA catalog server exited with ${code}`)));
+  });
+  return { env: { SOGNI_REST_ENDPOINT: `http://127.0.0.1:${port}` }, close: () => child.kill() };
+}
+
+test('text-to-image applies LoRAs the model supports and rejects the rest', async () => {
+  const catalog = await startLoraCatalogServer();
+  const { env } = catalog;
+  try {
+    const ok = runCli(['--json', '-q', '--loras', 'film-grain,warm-light', '--lora-strengths', '0.6,-1', 'a foggy pier'], { env });
+    assert.equal(ok.exitCode, 0, ok.stderr);
+    assert.deepEqual(ok.state.lastImageProject.loras, ['film-grain', 'warm-light']);
+    assert.deepEqual(ok.state.lastImageProject.loraStrengths, [0.6, -1]);
+
+    expectCliError(['-m', 'flux1-schnell-fp8', '--lora', 'warm-light', 'a foggy pier'], 'LoRA warm-light is not available for flux1-schnell-fp8.', { env });
+    expectCliError(['-m', 'chroma-v.46-flash_fp8', '--lora', 'film-grain', 'a foggy pier'], 'Model chroma-v.46-flash_fp8 does not support LoRAs.', { env });
+    expectCliError(['--loras', 'film-grain,warm-light,film-grain', 'a foggy pier'], 'At most 2 LoRAs can be used per render, got 3.', { env });
+  } finally {
+    catalog.close();
+  }
+
+  // Without a catalog the LoRAs go through unchecked.
+  const offline = runCli(['--json', '-m', 'chroma-v.46-flash_fp8', '--lora', 'film-grain', 'a foggy pier'], {
+    env: catalog.env
+  });
+  assert.equal(offline.exitCode, 0, offline.stderr);
+  assert.deepEqual(offline.state.lastImageProject.loras, ['film-grain']);
+  assert.match(offline.stderr, /Warning: Could not fetch the LoRA catalog \(.+\); sending LoRAs unchecked\./);
+});
+
+test('--list-loras prints the catalog, narrowed by -m', async () => {
+  const catalog = await startLoraCatalogServer();
+  const { env } = catalog;
+  try {
+    const all = runCli(['--json', '--list-loras'], { env });
+    assert.equal(all.exitCode, 0, all.stderr);
+    const payload = JSON.parse(all.stdout);
+    assert.equal(payload.type, 'loras');
+    assert.equal(payload.model, null);
+    assert.equal(payload.maxPerRequest, 2);
+    assert.deepEqual(payload.loras.map((lora) => [lora.id, lora.defaultStrength]), [['film-grain', 0.8], ['warm-light', 0]]);
+
+    const flux = runCli(['--list-loras', '-m', 'flux1-schnell-fp8'], { env });
+    assert.equal(flux.exitCode, 0, flux.stderr);
+    assert.match(flux.stdout, /^film-grain {2}default 0\.8 \(0 to 1\.5\) {2}Film Grain$/m);
+    assert.doesNotMatch(flux.stdout, /warm-light/);
+    assert.match(runCli(['--list-loras', '-m', 'chroma-v.46-flash_fp8'], { env }).stdout, /No LoRAs available for chroma-v\.46-flash_fp8\./);
+  } finally {
+    catalog.close();
+  }
+});
+
+test('--from-history rejects unknown ids and --filter requires --history', () => {
+  expectCliError(['--from-history', '99', 'a cat'], 'No render with id 99 in history.');
+  expectCliError(['--filter', 'model=x', 'a cat'], '--limit and --filter only apply to --history.');
+  expectCliError(['--history', '--filter', 'nope'], '--filter must be in key=value form');
+});
+
+// --- replay tests ---
+
+test('--replay <id> re-submits the exact project config of a past render', () => {
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  const first = runCli([
+    '--video', '-q', '-s', '99', '--fps', '24', '--duration', '2', '--steps', '6', '--guidance', '4',
+    '--trim-end-frame', 'waves at dusk'
+  ], { home });
+  assert.equal(first.exitCode, 0);
+
+  const replay = runCli(['--replay', '1', '-q'], { home });
+  assert.equal(replay.exitCode, 0);
+  assert.deepEqual(replay.state.lastVideoProject, first.state.lastVideoProject);
+});
+
+test('--replay reads a render info file and lets explicit flags override it', () => {
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  const first = runCli(['-q', '-s', '1234', '-w', '768', '--steps', '8', 'a red fox'], { home });
+  assert.equal(first.exitCode, 0);
+
+  const infoPath = join(home, '.config', 'sogni', 'last-render.json');
+  const { exitCode, state } = runCli(['--replay', infoPath, '-m', 'flux1-schnell-fp8', '-q', 'a blue fox'], { home });
+  assert.equal(exitCode, 0);
+  assert.equal(state.lastImageProject.modelId, 'flux1-schnell-fp8');
+  assert.equal(state.lastImageProject.positivePrompt, 'a blue fox');
+  assert.equal(state.lastImageProject.seed, 1234);
+  assert.equal(state.lastImageProject.width, 768);
+  assert.equal(state.lastImageProject.steps, 8);
+});
+
+test('--replay rejects unknown history ids', () => {
+  expectCliError(['--replay', '42'], 'No render with id 42 in history.');
+});
+
+// --- negative/style prompt tests ---
+
+test('--negative and --style are sent with image projects and reported in JSON output', () => {
+  const { exitCode, state, stdout } = runCli(['--json', '-q', '--negative', 'blurry, text', '--style', 'watercolor', 'a cat']);
+  assert.equal(exitCode, 0);
+  assert.equal(state.lastImageProject.negativePrompt, 'blurry, text');
+  assert.equal(state.lastImageProject.stylePrompt, 'watercolor');
+  const payload = JSON.parse(stdout);
+  assert.equal(payload.negativePrompt, 'blurry, text');
+  assert.equal(payload.stylePrompt, 'watercolor');
+});
+
+test('--negative is forwarded to video projects', () => {
+  const { exitCode, state } = runCli(['--video', '-q', '--duration', '1', '--negative', 'flicker', 'ocean waves']);
+  assert.equal(exitCode, 0);
+  assert.equal(state.lastVideoProject.negativePrompt, 'flicker');
+  assert.equal(state.lastVideoProject.stylePrompt, '');
+});
+
+test('prompt-hash seeds include negative/style prompts only when set', () => {
+  const seedOf = (args) => runCli(['--json', '-q', ...args, 'a cat']).state.lastImageProject.seed;
+  const plain = seedOf([]);
+  assert.equal(seedOf([]), plain);
+  assert.equal(seedOf(['--negative', '']), plain);
+  const withNegative = seedOf(['--negative', 'blurry']);
+  assert.notEqual(withNegative, plain);
+  assert.equal(seedOf(['--negative', 'blurry']), withNegative);
+});
+
+test('OpenClaw defaultNegativePrompt/defaultStylePrompt apply unless overridden', () => {
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  writeFileSync(join(home, 'openclaw.json'), JSON.stringify({
+    plugins: { entries: { 'sogni-gen': { config: { defaultNegativePrompt: 'lowres', defaultStylePrompt: 'film still' } } } }
+  }));
+  const defaults = runCli(['-q', 'a cat'], { home });
+  assert.equal(defaults.state.lastImageProject.negativePrompt, 'lowres');
+  assert.equal(defaults.state.lastImageProject.stylePrompt, 'film still');
+  const overridden = runCli(['-q', '--style', 'anime', 'a cat'], { home });
+  assert.equal(overridden.state.lastImageProject.negativePrompt, 'lowres');
+  assert.equal(overridden.state.lastImageProject.stylePrompt, 'anime');
+});
+
+// --- prompt matrix tests ---
+
+test('inline {a|b} groups expand into a matrix of renders over one client', () => {
+  const { exitCode, stdout, state } = runCli(['--json', '-q', 'a {cat|red fox} in {watercolor|pixel art}']);
+  assert.equal(exitCode, 0);
+  const result = JSON.parse(stdout);
+  assert.equal(result.type, 'matrix');
+  assert.equal(result.count, 4);
+  assert.deepEqual(result.renders.map((render) => render.prompt), [
+    'a cat in watercolor',
+    'a cat in pixel art',
+    'a red fox in watercolor',
+    'a red fox in pixel art'
+  ]);
+  assert.deepEqual(result.renders[3].matrixVars, { group1: 'red fox', group2: 'pixel art' });
+  assert.equal(state.lastImageProject.positivePrompt, 'a red fox in pixel art');
+  assert.equal(state.clientCount, 1);
+});
+
+test('--var placeholders expand into a matrix and each render gets its own output path', () => {
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  const { stdout } = runCli([
+    '--json', '-q', '-o', join(home, 'out', 'pet.png'),
+    '--var', 'animal=cat,dog', '--var', 'style=ink wash', 'a {animal}, {style} painting'
+  ], { home });
+  const result = JSON.parse(stdout);
+  assert.deepEqual(result.renders.map((render) => render.prompt), ['a cat, ink wash painting', 'a dog, ink wash painting']);
+  assert.deepEqual(result.renders[1].matrixVars, { animal: 'dog', style: 'ink wash' });
+  // Render info is recorded before the (offline) download is attempted.
+  const history = readFileSync(join(home, '.config', 'sogni', 'history.jsonl'), 'utf8')
+    .trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(history.map((entry) => entry.localPath), [
+    join(home, 'out', 'pet-cat-ink-wash.png'),
+    join(home, 'out', 'pet-dog-ink-wash.png')
+  ]);
+  assert.notEqual(history[0].seed, history[1].seed);
+});
+
+test('prompt matrix validation errors', () => {
+  expectCliError(['--var', 'animal=cat,dog', 'a cat'], '--var animal is not used in the prompt');
+  expectCliError(['--var', 'animal', 'a {animal}'], '--var must be in name=value1,value2 form');
+  expectCliError(['{a|b|c|d} {a|b|c|d} {a|b|c|d} {a|b}'], 'Prompt matrix expands to 128 renders');
+});
+
+test('--no-matrix sends {a|b} literally and rejects --var', () => {
+  const { exitCode, state } = runCli(['-q', '--no-matrix', 'a {cat|dog} in a hat']);
+  assert.equal(exitCode, 0);
+  assert.equal(state.emittedJobs, 1);
+  assert.equal(state.lastImageProject.positivePrompt, 'a {cat|dog} in a hat');
+  expectCliError(['--no-matrix', '--var', 'animal=cat,dog', 'a {animal}'], '--var needs prompt matrix expansion');
+});
+
+// --- contact sheet tests ---
+
+test('--grid composes every output into a captioned contact sheet', async () => {
+  const { default: sharp } = await import('sharp');
+  const tmp = mkdtempSync(join(tmpdir(), 'sogni-gen-grid-'));
+  const mediaPath = join(tmp, 'tile.png');
+  await sharp({
+    create: { width: 64, height: 48, channels: 3, background: { r: 0, g: 120, b: 200 } }
+  }).png().toFile(mediaPath);
+  const gridPath = join(tmp, 'sheets', 'grid.jpg');
+
+  const { exitCode, stdout } = runCli(['--json', '-q', '-n', '3', '--grid', gridPath, 'a cat'], {
+    env: { SOGNI_GEN_TEST_MEDIA_PATH: mediaPath }
+  });
+  assert.equal(exitCode, 0);
+  assert.equal(JSON.parse(stdout).gridPath, gridPath);
+  const meta = await sharp(gridPath).metadata();
+  assert.equal(meta.format, 'jpeg');
+  // 3 tiles -> 2 columns x 2 rows of 384px tiles with a 48px caption band
+  assert.equal(meta.width, 768);
+  assert.equal(meta.height, 864);
+});
+
+test('a failed --grid still returns the saved renders with gridError', async () => {
+  const { default: sharp } = await import('sharp');
+  const tmp = mkdtempSync(join(tmpdir(), 'sogni-gen-grid-'));
+  const mediaPath = join(tmp, 'tile.png');
+  await sharp({ create: { width: 16, height: 16, channels: 3, background: '#00aa00' } }).png().toFile(mediaPath);
+  // The grid's parent is a file, so the sheet cannot be written.
+  const blocker = join(tmp, 'blocker');
+  writeFileSync(blocker, '');
+  const outputPath = join(tmp, 'cat.png');
+
+  const { exitCode, stdout } = runCli(['--json', '-q', '-o', outputPath, '--grid', join(blocker, 'grid.png'), 'a cat'], {
+    env: { SOGNI_GEN_TEST_MEDIA_PATH: mediaPath }
+  });
+  assert.equal(exitCode, 1);
+  const result = JSON.parse(stdout);
+  assert.equal(result.success, true);
+  assert.equal(result.localPath, outputPath);
+  assert.equal(result.gridPath, undefined);
+  assert.match(result.gridError, /\S/);
+  assert.ok(readFileSync(outputPath).length > 0);
+});
+
+test('--grid composes a prompt matrix', async () => {
+  const { default: sharp } = await import('sharp');
+  const tmp = mkdtempSync(join(tmpdir(), 'sogni-gen-grid-'));
+  const mediaPath = join(tmp, 'tile.png');
+  await sharp({
+    create: { width: 32, height: 32, channels: 3, background: { r: 200, g: 0, b: 0 } }
+  }).png().toFile(mediaPath);
+  const gridPath = join(tmp, 'matrix.png');
+
+  const { exitCode } = runCli(['-q', '--grid', gridPath, 'a {cat|dog} <&> {ink|oil}'], {
+    env: { SOGNI_GEN_TEST_MEDIA_PATH: mediaPath }
+  });
+  assert.equal(exitCode, 0);
+  const meta = await sharp(gridPath).metadata();
+  assert.equal(meta.width, 768);
+  assert.equal(meta.height, 864);
+});
+
+test('--grid validation errors', () => {
+  expectCliError(['--grid', 'sheet.gif', 'a cat'], '--grid path must end in .png, .jpg, .jpeg or .webp.');
+  expectCliError(['--video', '--grid', 'sheet.png', 'waves'], '--grid composes image outputs');
+});
+
+// --- multi-output save tests ---
+
+test('-o saves every result: directory, {index}/{seed} pattern and suffixed plain path', async () => {
+  const { default: sharp } = await import('sharp');
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  const mediaPath = join(home, 'result.png');
+  await sharp({ create: { width: 8, height: 8, channels: 3, background: '#aa3300' } }).png().toFile(mediaPath);
+  const env = { SOGNI_GEN_TEST_MEDIA_PATH: mediaPath };
+  const outDir = join(home, 'renders');
+  mkdirSync(outDir);
+  const runs = [
+    runCli(['--json', '-q', '-n', '3', '-s', '7', '-o', outDir, 'a cat'], { home, env }),
+    runCli(['--json', '-q', '-n', '2', '-o', join(home, 'p', 'cat-{index}.jpg'), 'a cat'], { home, env }),
+    runCli(['--json', '-q', '-n', '3', '-o', join(home, 'cat.png'), 'a cat'], { home, env })
+  ];
+  runs.forEach((run) => assert.equal(run.exitCode, 0, run.stderr));
+  const history = readFileSync(join(home, '.config', 'sogni', 'history.jsonl'), 'utf8')
+    .trim().split('\n').map((line) => JSON.parse(line));
+  const [fromDir, fromPattern, fromPlain] = history;
+  assert.equal(fromDir.localPaths.length, 3);
+  assert.equal(fromDir.localPaths[0], join(outDir, `1-${fromDir.seeds[0]}.png`));
+  assert.equal(new Set(fromDir.localPaths).size, 3);
+  assert.deepEqual(fromPattern.localPaths, [join(home, 'p', 'cat-1.jpg'), join(home, 'p', 'cat-2.jpg')]);
+  assert.deepEqual(fromPlain.localPaths, [
+    join(home, 'cat.png'), join(home, 'cat-2.png'), join(home, 'cat-3.png')
+  ]);
+  assert.equal(fromPlain.localPath, join(home, 'cat.png'));
+  for (const localPath of [...fromDir.localPaths, ...fromPattern.localPaths, ...fromPlain.localPaths]) {
+    assert.ok(existsSync(localPath), `${localPath} was not saved`);
+  }
+});
+
+test('-o template tokens fill prompt slug, model, workflow, date, index and seed', () => {
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
+  runCli([
+    '--json', '-q', '-n', '2', '-s', '42',
+    '-o', join(home, '{workflow}', '{date}', '{prompt_slug}-{model}-{index}-{seed}'),
+    'A Cat, in a Hat!'
+  ], { home });
+  const [entry] = readFileSync(join(home, '.config', 'sogni', 'history.jsonl'), 'utf8')
+    .trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(entry.localPaths.length, 2);
+  entry.localPaths.forEach((localPath, i) => {
+    const pattern = new RegExp(
+      `^${join(home, 'image')}/\\d{4}-\\d{2}-\\d{2}/a-cat-in-a-hat-z-image-turbo-bf16-${i + 1}-${entry.seeds[i]}\\.png$`
+    );
+    assert.match(localPath, pattern);
+  });
+});
+
+test('-o rejects unknown template tokens', () => {
+  expectCliError(['-o', 'out/{colour}.png', 'a cat'], '--output uses unknown token {colour}.');
+});
+
+// --- embedded metadata tests ---
+
+test('saved PNG and JPEG files embed their recipe and --inspect reads it back', async () => {
+  const { default: sharp } = await import('sharp');
+  const tmp = mkdtempSync(join(tmpdir(), 'sogni-gen-meta-'));
+  const pngSource = join(tmp, 'source.png');
+  const jpgSource = join(tmp, 'source.jpg');
+  await sharp({ create: { width: 16, height: 16, channels: 3, background: '#336699' } }).png().toFile(pngSource);
+  await sharp({ create: { width: 16, height: 16, channels: 3, background: '#996633' } }).jpeg().toFile(jpgSource);
+
+  const pngRun = runCli([
+    '-q', '-n', '2', '-s', '11', '--steps', '6', '--negative', 'blurry',
+    '-o', join(tmp, 'out', 'cafe.png'), 'un café à Paris'
+  ], { home: tmp, env: { SOGNI_GEN_TEST_MEDIA_PATH: pngSource } });
+  assert.equal(pngRun.exitCode, 0);
+  const inspected = runCli(['--json', '--inspect', join(tmp, 'out', 'cafe-2.png')], { home: tmp });
+  assert.equal(inspected.exitCode, 0);
+  const payload = JSON.parse(inspected.stdout);
+  assert.equal(payload.type, 'inspect');
+  assert.equal(payload.format, 'png');
+  assert.equal(payload.metadata.generator, `sogni-gen ${PACKAGE_VERSION}`);
+  assert.equal(payload.metadata.prompt, 'un café à Paris');
+  assert.equal(payload.metadata.negativePrompt, 'blurry');
+  assert.equal(payload.metadata.model, 'z_image_turbo_bf16');
+  assert.equal(payload.metadata.steps, 6);
+  assert.equal(typeof payload.metadata.seed, 'number');
+  // The embedded file is still a valid PNG
+  assert.equal((await sharp(join(tmp, 'out', 'cafe.png')).metadata()).width, 16);
+
+  const jpgRun = runCli(['-q', '--output-format', 'jpg', '-o', join(tmp, 'cat.jpg'), 'a cat'], {
+    home: tmp,
+    env: { SOGNI_GEN_TEST_MEDIA_PATH: jpgSource }
+  });
+  assert.equal(jpgRun.exitCode, 0);
+  const human = runCli(['--inspect', join(tmp, 'cat.jpg')], { home: tmp });
+  assert.equal(human.exitCode, 0);
+  assert.match(human.stdout, /^file: .*cat\.jpg \(jpeg\)$/m);
+  assert.match(human.stdout, /^prompt: a cat$/m);
+  // The XMP segment is spliced in; the compressed image data is untouched
+  const original = readFileSync(jpgSource);
+  const saved = readFileSync(join(tmp, 'cat.jpg'));
+  const scanStart = (buffer) => buffer.indexOf(Buffer.from([0xff, 0xda]));
+  assert.ok(saved.subarray(scanStart(saved)).equals(original.subarray(scanStart(original))));
+});
+
+test('--no-metadata skips embedding and --inspect reports files without metadata', async () => {
+  const { default: sharp } = await import('sharp');
+  const tmp = mkdtempSync(join(tmpdir(), 'sogni-gen-meta-'));
+  const source = join(tmp, 'source.png');
+  await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000000' } }).png().toFile(source);
+  runCli(['-q', '--no-metadata', '-o', join(tmp, 'plain.png'), 'a cat'], {
+    home: tmp,
+    env: { SOGNI_GEN_TEST_MEDIA_PATH: source }
+  });
+  expectCliError(['--inspect', join(tmp, 'plain.png')], 'No sogni-gen metadata found');
+  expectCliError(['--inspect', join(tmp, 'missing.png')], 'File not found');
+});
+
+// --- library API tests ---
+
+const LIB_URL = pathToFileURL(join(process.cwd(), 'sogni-gen-lib.mjs')).href;
+
+test('importing the library has no side effects, even with CLI-looking argv', () => {
+  const { exitCode, stdout, stderr } = runCli(['--help', '--json'], {
+    evalSource: `const lib = await import(${JSON.stringify(LIB_URL)});
+      console.log(JSON.stringify(Object.keys(lib).sort()));`
+  });
+  assert.equal(exitCode, 0, stderr);
+  assert.deepEqual(JSON.parse(stdout), [
+    'createSogniClient', 'editImage', 'generateImage', 'generateVideo', 'multiAngle', 'photobooth', 'readRenderHistory',
+    'runCli', 'runCliJson', 'version'
+  ]);
+});
+
+test('runCli resolves to exit codes instead of exiting the process', () => {
+  const { exitCode, stdout, stderr } = runCli([], {
+    evalSource: `const { runCli } = await import(${JSON.stringify(LIB_URL)});
+      const codes = [];
+      for (const argv of [['--help'], ['--last'], ['--bogus'], ['--json', '--steps', 'many', 'a cat']]) {
+        codes.push(await runCli(argv));
+      }
+      console.log(JSON.stringify(codes));`
+  });
+  assert.equal(exitCode, 0, stderr);
+  assert.match(stdout, /Usage: sogni-gen/);
+  assert.deepEqual(JSON.parse(stdout.trim().split('\n').at(-1)), [0, 0, 1, 1]);
+  assert.match(stderr, /No previous render found\./);
+  assert.match(stderr, /Error: Unknown option: --bogus/);
+});
+
+test('generateImage resolves to the --json result structure', () => {
+  const { exitCode, stdout, stderr, state } = runCli([], {
+    evalSource: `const { generateImage } = await import(${JSON.stringify(LIB_URL)});
+      const result = await generateImage({ prompt: 'a red fox', count: 2, seed: 9, negativePrompt: 'blurry' });
+      console.log(JSON.stringify(result));`
+  });
+  assert.equal(exitCode, 0, stderr);
+  assert.equal(stderr, '');
+  const result = JSON.parse(stdout);
+  assert.equal(result.success, true);
+  assert.equal(result.type, 'image');
+  assert.equal(result.prompt, 'a red fox');
+  assert.equal(result.urls.length, 2);
+  assert.equal(state.lastImageProject.numberOfMedia, 2);
+  assert.equal(state.lastImageProject.negativePrompt, 'blurry');
+});
+
+test('library functions throw validation errors with code and message', () => {
+  const { exitCode, stdout } = runCli([], {
+    evalSource: `const lib = await import(${JSON.stringify(LIB_URL)});
+      const errors = [];
+      for (const run of [
+        () => lib.editImage({ prompt: 'make it snowy' }),
+        () => lib.generateImage({ prompt: 'a cat', batch: 'jobs.jsonl' }),
+        () => lib.generateVideo({ prompt: 'waves', fps: 'fast' })
+      ]) {
+        try { await run(); errors.push(null); } catch (e) { errors.push({ code: e.code, message: e.message }); }
+      }
+      console.log(JSON.stringify(errors));`
+  });
+  assert.equal(exitCode, 0);
+  const [missingContext, blocked, badNumber] = JSON.parse(stdout);
+  assert.deepEqual(missingContext, { code: 'INVALID_ARGUMENT', message: 'editImage requires at least one context image.' });
+  assert.equal(blocked.message, '--batch is not allowed in an API render spec.');
+  assert.equal(badNumber.code, 'INVALID_ARGUMENT');
+});
+
+// Starts the stdio MCP server under the stub loader, completes the handshake
+// and passes `callTool(name, args, meta)` and `request(method, params)` to
+// `session`; resolves once the server exits after stdin closes, with every
+// notification it sent.
+function spawnMcpServer(args, tempHome, statePath, extraEnv) {
+  return spawn(
+    process.execPath,
+    ['--loader', join(process.cwd(), 'test', 'loader.mjs'), join(process.cwd(), 'mcp-server.mjs'), ...args],
+    {
+      env: {
+        ...process.env,
+        HOME: tempHome,
+        USERPROFILE: tempHome,
+        OPENCLAW_CONFIG_PATH: join(tempHome, 'openclaw.json'),
+        OPENCLAW_PLUGIN_CONFIG: '',
+        SOGNI_USERNAME: 'test-user',
+        SOGNI_PASSWORD: 'test-pass',
+        SOGNI_GEN_TEST_STATE_PATH: statePath,
+        NODE_NO_WARNINGS: '1',
+        ...extraEnv
+      },
+      timeout: 60_000
+    }
+  );
+}
+
+async function withMcpServer(session, { home, env: extraEnv } = {}) {
+  const tempHome = home || mkdtempSync(join(tmpdir(), 'sogni-gen-mcp-test-'));
+  const statePath = join(tempHome, 'state.json');
+  const child = spawnMcpServer([], tempHome, statePath, extraEnv);
+  let stdout = '';
+  let stderr = '';
+  const pending = new Map();
+  const notifications = [];
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+  child.stdout.on('data', (chunk) => {
+    stdout += chunk;
+    let newline;
+    while ((newline = stdout.indexOf('\n')) !== -1) {
+      const message = JSON.parse(stdout.slice(0, newline));
+      stdout = stdout.slice(newline + 1);
+      if (message.id === undefined) notifications.push(message);
+      else pending.get(message.id)?.(message);
+    }
+  });
+  const exited = new Promise((resolve) => child.on('close', resolve));
+
+  let nextId = 1;
+  const send = (message) => child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+  const request = (method, params) => new Promise((resolve) => {
+    const id = nextId++;
+    pending.set(id, resolve);
+    send({ id, method, params });
+  });
+  const callTool = async (name, args = {}, meta) => (
+    await request('tools/call', { name, arguments: args, ...(meta ? { _meta: meta } : {}) })
+  ).result;
+
+  await request('initialize', {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'test', version: '0' }
+  });
+  send({ method: 'notifications/initialized' });
+  try {
+    await session(callTool, request);
+  } finally {
+    child.stdin.end();
+  }
+  const exitCode = await exited;
+  let state = null;
+  try {
+    state = JSON.parse(readFileSync(statePath, 'utf8'));
+  } catch (err) {
+    state = null;
+  }
+  return { exitCode, state, stderr, notifications };
+}
+
+test('MCP server runs tool calls in-process on one shared client', async () => {
+  const { exitCode, state, stderr } = await withMcpServer(async (callTool) => {
+    const [first, second] = await Promise.all([
+      callTool('generate_image', { prompt: 'a red fox', seed: 1 }),
+      callTool('generate_image', { prompt: 'a blue fox', seed: 2 })
+    ]);
+    assert.notEqual(first.isError, true, JSON.stringify(first));
+    assert.notEqual(second.isError, true, JSON.stringify(second));
+    const version = await callTool('get_version');
+    assert.match(version.content[0].text, new RegExp(`sogni-gen version: ${PACKAGE_VERSION}`));
+  });
+  assert.equal(exitCode, 0, stderr);
+  // Both renders ran on the same connected stub instance in this process.
+  assert.equal(state.clientCount, 1);
+  assert.equal(state.emittedJobs, 2);
+  assert.equal(state.lastImageProject.positivePrompt, 'a blue fox');
+});
+
+test('MCP prompts with {a|b} render once, literally, in-process and when spawning the CLI', async () => {
+  // The spawned CLI inherits the stub loader through NODE_OPTIONS.
+  const spawnEnv = { SOGNI_GEN_MCP_SPAWN: '1', NODE_OPTIONS: `--loader ${join(process.cwd(), 'test', 'loader.mjs')}` };
+  for (const env of [{}, spawnEnv]) {
+    const { exitCode, state, stderr } = await withMcpServer(async (callTool) => {
+      const result = await callTool('generate_image', { prompt: 'a {red|blue} fox', seed: 1 });
+      assert.notEqual(result.isError, true, JSON.stringify(result));
+      assert.match(result.content[0].text, /^Model: z_image_turbo_bf16$/m);
+    }, { env });
+    assert.equal(exitCode, 0, stderr);
+    assert.equal(state.emittedJobs, 1);
+    assert.equal(state.lastImageProject.positivePrompt, 'a {red|blue} fox');
+  }
+});
+
+test('MCP job tools report progress, queue renders and cancel queued jobs', async () => {
+  const { exitCode, state, stderr } = await withMcpServer(async (callTool) => {
+    const status = async (name, args) => JSON.parse((await callTool(name, args)).content[0].text);
+
+    const image = await status('start_image', { prompt: 'a red fox', seed: 1 });
+    const video = await status('start_video', { prompt: 'waves', seed: 2 });
+    assert.deepEqual([image.jobId, image.status, video.jobId], ['job-1', 'queued', 'job-2']);
+    assert.equal((await status('cancel_job', { job_id: 'job-2' })).status, 'cancelled');
+
+    const running = await status('wait_for_job', { job_id: 'job-1', timeout_seconds: 1 });
+    assert.equal(running.status, 'running');
+    assert.equal(running.phase, 'rendering');
+    assert.equal(running.progress, 48);
+
+    const finished = await callTool('wait_for_job', { job_id: 'job-1', timeout_seconds: 30 });
+    assert.match(finished.content[0].text, /^Job job-1 completed\./);
+    const done = await status('get_job_status', { job_id: 'job-1' });
+    assert.equal(done.progress, 100);
+    assert.deepEqual(done.urls, ['https://example.com/imageUrl-1.png']);
+
+    const cancelled = await callTool('wait_for_job', { job_id: 'job-2' });
+    assert.equal(cancelled.isError, true);
+    assert.match(cancelled.content[0].text, /Render cancelled\./);
+    assert.match((await callTool('cancel_job', { job_id: 'job-1' })).content[0].text, /already completed/);
+    assert.match((await callTool('get_job_status', { job_id: 'job-9' })).content[0].text, /Unknown job: job-9/);
+
+    // Cancelling a running render drops the shared client, so the next call
+    // reconnects instead of sharing it with the abandoned project.
+    await status('start_image', { prompt: 'a green fox', seed: 3 });
+    assert.equal((await status('wait_for_job', { job_id: 'job-3', timeout_seconds: 1 })).status, 'running');
+    await callTool('cancel_job', { job_id: 'job-3' });
+    assert.equal((await callTool('wait_for_job', { job_id: 'job-3', timeout_seconds: 30 })).isError, true);
+    const next = await callTool('generate_image', { prompt: 'a grey fox', seed: 4 });
+    assert.notEqual(next.isError, true, JSON.stringify(next));
+  }, { env: { SOGNI_GEN_TEST_JOB_DELAY_MS: '1500' } });
+  assert.equal(exitCode, 0, stderr);
+  assert.equal(state.clientCount, 2);
+});
+
+test('MCP tool calls with a progressToken stream phased progress notifications', async () => {
+  const { default: sharp } = await import('sharp');
+  const tmp = mkdtempSync(join(tmpdir(), 'sogni-gen-mcp-progress-'));
+  const source = join(tmp, 'source.png');
+  await sharp({ create: { width: 8, height: 8, channels: 3, background: '#112233' } }).png().toFile(source);
+
+  const catalog = await startLoraCatalogServer();
+  const { exitCode, stderr, notifications } = await withMcpServer(async (callTool) => {
+    const result = await callTool('generate_image', {
+      prompt: 'a red fox',
+      output: join(tmp, 'fox.png')
+    }, { progressToken: 'fox' });
+    assert.notEqual(result.isError, true, JSON.stringify(result));
+    await callTool('check_balance');
+    const loras = await callTool('list_loras', { model: 'flux1-schnell-fp8' });
+    assert.equal(loras.content[0].text, 'film-grain (Film Grain): default 0.8, range 0 to 1.5\nUp to 2 LoRAs per render.');
+  }, { env: { ...catalog.env, SOGNI_GEN_TEST_JOB_DELAY_MS: '200', SOGNI_GEN_TEST_MEDIA_PATH: source } }).finally(catalog.close);
+  assert.equal(exitCode, 0, stderr);
+
+  const progress = notifications.filter((n) => n.method === 'notifications/progress').map((n) => n.params);
+  assert.ok(progress.every((p) => p.progressToken === 'fox' && p.total === 100));
+  assert.deepEqual([...new Set(progress.map((p) => p.message))], ['queued', 'rendering', 'downloading']);
+  const values = progress.map((p) => p.progress);
+  assert.deepEqual(values, [...values].sort((a, b) => a - b));
+  assert.equal(new Set(values).size, values.length);
+  assert.ok(values.includes(47.5));
+});
+
+test('MCP multi_angle and turntable_360 tools report every angle', async () => {
+  const { default: sharp } = await import('sharp');
+  const tmp = mkdtempSync(join(tmpdir(), 'sogni-gen-mcp-angles-'));
+  const subject = join(tmp, 'subject.png');
+  await sharp({ create: { width: 8, height: 8, channels: 3, background: '#445566' } }).png().toFile(subject);
+
+  const { exitCode, stderr, state } = await withMcpServer(async (callTool) => {
+    const single = await callTool('multi_angle', {
+      reference_image: subject,
+      azimuth: 'back-left',
+      elevation: 'high-angle',
+      prompt: 'a bronze statue'
+    });
+    assert.notEqual(single.isError, true, JSON.stringify(single));
+    assert.match(single.content[0].text, /^Elevation: high-angle$/m);
+    assert.match(single.content[0].text, /^back-left: https:\/\/example\.com\/imageUrl-1\.png$/m);
+
+    const turntable = await callTool('turntable_360', { reference_image: subject, distance: 'wide' });
+    assert.notEqual(turntable.isError, true, JSON.stringify(turntable));
+    const angleLines = turntable.content[0].text.split('\n').filter((line) => /^[a-z-]+: https:/.test(line));
+    assert.deepEqual(
+      angleLines.map((line) => line.split(':')[0]),
+      ['front', 'front-right', 'right', 'back-right', 'back', 'back-left', 'left', 'front-left']
+    );
+
+    const invalid = await callTool('multi_angle', { reference_image: subject, azimuth: 'upside-down' });
+    assert.equal(invalid.isError, true);
+    assert.match(invalid.content[0].text, /azimuth must be one of: front, front-right/);
+  });
+  assert.equal(exitCode, 0, stderr);
+  assert.equal(state.lastEditProject.positivePrompt, '<sks> front-left quarter view eye-level shot wide shot');
+});
+
+test('MCP resources expose render history and saved downloads as sogni://render/<id>', async () => {
+  const { default: sharp } = await import('sharp');
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-mcp-resources-'));
+  const source = join(home, 'source.png');
+  await sharp({ create: { width: 8, height: 8, channels: 3, background: '#aa3300' } }).png().toFile(source);
+  mkdirSync(join(home, 'Downloads', 'sogni'), { recursive: true });
+  writeFileSync(join(home, 'Downloads', 'sogni', 'sogni-2026-01-02T03-04-05-0.png'), readFileSync(source));
+
+  const { exitCode, stderr, notifications } = await withMcpServer(async (callTool, request) => {
+    const rendered = await callTool('generate_image', { prompt: 'a red fox', output: join(home, 'fox.png') });
+    assert.notEqual(rendered.isError, true, JSON.stringify(rendered));
+
+    const { result: { resources } } = await request('resources/list', {});
+    assert.deepEqual(resources.map((r) => r.uri), [
+      'sogni://render/1',
+      'sogni://render/sogni-2026-01-02T03-04-05-0'
+    ]);
+    assert.equal(resources[0].name, '#1 image "a red fox"');
+
+    const { result: { contents } } = await request('resources/read', { uri: 'sogni://render/1' });
+    const metadata = JSON.parse(contents[0].text);
+    assert.equal(metadata.prompt, 'a red fox');
+    assert.deepEqual(metadata.files, [join(home, 'fox.png')]);
+    assert.equal(contents[1].mimeType, 'image/png');
+    assert.equal(Buffer.from(contents[1].blob, 'base64').subarray(1, 4).toString(), 'PNG');
+
+    const last = await request('resources/read', { uri: 'sogni://render/last' });
+    assert.equal(JSON.parse(last.result.contents[0].text).id, 1);
+    const download = await request('resources/read', { uri: 'sogni://render/sogni-2026-01-02T03-04-05-0' });
+    assert.equal(download.result.contents[1].mimeType, 'image/png');
+    const missing = await request('resources/read', { uri: 'sogni://render/99' });
+    assert.match(missing.error.message, /Unknown resource: sogni:\/\/render\/99/);
+  }, { home, env: { SOGNI_GEN_TEST_MEDIA_PATH: source } });
+  assert.equal(exitCode, 0, stderr);
+  assert.ok(notifications.some((n) => n.method === 'notifications/resources/list_changed'));
+});
+
+test('MCP resources list a legacy last-render.json as history entry #1', async () => {
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-mcp-legacy-'));
+  mkdirSync(join(home, '.config', 'sogni'), { recursive: true });
+  writeFileSync(join(home, '.config', 'sogni', 'last-render.json'), JSON.stringify({ type: 'image', model: 'z_image_turbo_bf16', prompt: 'an old fox' }));
+
+  // In spawn mode the CLI reads the history for the server.
+  const spawnEnv = { SOGNI_GEN_MCP_SPAWN: '1', NODE_OPTIONS: `--loader ${join(process.cwd(), 'test', 'loader.mjs')}` };
+  for (const env of [{}, spawnEnv]) {
+    const { exitCode, stderr } = await withMcpServer(async (callTool, request) => {
+      const { result: { resources } } = await request('resources/list', {});
+      assert.deepEqual(resources.map((r) => [r.uri, r.name]), [['sogni://render/1', '#1 image "an old fox"']]);
+    }, { home, env });
+    assert.equal(exitCode, 0, stderr);
+  }
+});
+
+test('MCP tools accept inline base64 media and remove it after the render', async () => {
+  const { default: sharp } = await import('sharp');
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-mcp-inline-'));
+  const serverTmp = join(home, 'tmp');
+  mkdirSync(serverTmp);
+  const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#0055aa' } }).png().toBuffer();
+  const inline = { data: png.toString('base64'), mimeType: 'image/png' };
+
+  const { exitCode, stderr, state } = await withMcpServer(async (callTool) => {
+    const edited = await callTool('edit_image', {
+      prompt: 'make it snowy',
+      context_images: [inline, { ...inline, data: `data:image/png;base64,${inline.data}` }]
+    });
+    assert.notEqual(edited.isError, true, JSON.stringify(edited));
+    assert.deepEqual(readdirSync(serverTmp), []);
+
+    const wrongKind = await callTool('photobooth', { prompt: 'portrait', reference_face: { ...inline, mimeType: 'audio/mpeg' } });
+    assert.equal(wrongKind.isError, true);
+    assert.match(wrongKind.content[0].text, /reference_face mimeType must be one of: image\/png/);
+    const badData = await callTool('generate_video', { prompt: 'waves', ref: { data: 'not base64!', mimeType: 'image/png' } });
+    assert.match(badData.content[0].text, /ref data is not valid base64/);
+    assert.deepEqual(readdirSync(serverTmp), []);
+  }, { home, env: { TMPDIR: serverTmp } });
+  assert.equal(exitCode, 0, stderr);
+  const contextImages = state.lastEditProject.contextImages;
+  assert.equal(contextImages.length, 2);
+  assert.ok(contextImages.every((image) => Buffer.from(image.data).equals(png)));
+});
+
+test('MCP inpaint_image reports models without mask support as an error', async () => {
+  const { default: sharp } = await import('sharp');
+  const png = await sharp({ create: { width: 16, height: 8, channels: 3, background: '#226644' } }).png().toBuffer();
+  const mask = await sharp({ create: { width: 8, height: 4, channels: 3, background: '#ffffff' } }).png().toBuffer();
+
+  const { exitCode, stderr, state } = await withMcpServer(async (callTool) => {
+    const result = await callTool('inpaint_image', {
+      prompt: 'a wooden sign that reads OPEN',
+      image: { data: png.toString('base64'), mimeType: 'image/png' },
+      mask: { data: mask.toString('base64'), mimeType: 'image/png' },
+      feather: 2
+    });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /does not support --mask/);
+  });
+  assert.equal(exitCode, 0, stderr);
+  assert.equal(state?.lastEditProject ?? null, null);
+});
+
+test('MCP downloads follow the configured folder, name template and retention, and reuse -o files', async () => {
+  const { default: sharp } = await import('sharp');
+  const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#338800' } }).png().toBuffer();
+  const media = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(png);
+  });
+  await new Promise((resolve) => media.listen(0, '127.0.0.1', resolve));
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-mcp-output-'));
+  const out = join(home, 'renders');
+  mkdirSync(out);
+  writeFileSync(join(out, 'notes.txt'), 'not a render');
+  // Fits the custom template but was not written by the server.
+  writeFileSync(join(out, 'image-9-0.png'), png);
+  // A default-named copy from before the manifest existed.
+  writeFileSync(join(out, 'sogni-2024-01-01T00-00-00-r7-0.png'), png);
+  const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60_000);
+  utimesSync(join(out, 'image-9-0.png'), monthAgo, monthAgo);
+  utimesSync(join(out, 'sogni-2024-01-01T00-00-00-r7-0.png'), monthAgo, monthAgo);
+  const listOut = () => readdirSync(out).filter((name) => !name.startsWith('.')).sort();
+
+  try {
+    const { exitCode, stderr } = await withMcpServer(async (callTool) => {
+      const first = await callTool('generate_image', { prompt: 'a red fox', seed: 1 });
+      assert.match(first.content[0].text, new RegExp(`Saved: ${join(out, 'image-1-r1-0.png')}`));
+      assert.equal(first.content[1].type, 'image');
+      // The month-old default copy is past SOGNI_GEN_MCP_MAX_AGE_DAYS; the
+      // user's own files stay even when their names fit the template.
+      assert.deepEqual(listOut(), ['image-1-r1-0.png', 'image-9-0.png', 'notes.txt']);
+
+      await callTool('generate_image', { prompt: 'a red fox', seed: 2 });
+      await callTool('generate_image', { prompt: 'a red fox', seed: 3 });
+      assert.deepEqual(listOut(), ['image-2-r2-0.png', 'image-3-r3-0.png', 'image-9-0.png', 'notes.txt']);
+      assert.equal(readFileSync(join(out, '.sogni-gen-mcp-files'), 'utf8'), 'image-2-r2-0.png\nimage-3-r3-0.png\n');
+
+      const saved = await callTool('generate_image', { prompt: 'a red fox', seed: 4, output: join(home, 'mine.png') });
+      assert.match(saved.content[0].text, new RegExp(`Saved to: ${join(home, 'mine.png')}`));
+      assert.doesNotMatch(saved.content[0].text, /📁/);
+      assert.equal(saved.content[1].type, 'image');
+      assert.deepEqual(listOut(), ['image-2-r2-0.png', 'image-3-r3-0.png', 'image-9-0.png', 'notes.txt']);
+    }, {
+      home,
+      env: {
+        SOGNI_GEN_TEST_MEDIA_PATH: `http://127.0.0.1:${media.address().port}/result.png`,
+        SOGNI_GEN_MCP_OUTPUT_DIR: out,
+        SOGNI_GEN_MCP_FILENAME: '{type}-{seed}[-r{id}]-{index}',
+        SOGNI_GEN_MCP_MAX_FILES: '2',
+        SOGNI_GEN_MCP_MAX_AGE_DAYS: '7'
+      }
+    });
+    assert.equal(exitCode, 0, stderr);
+  } finally {
+    media.close();
+  }
+
+  const invalid = spawnSync(
+    process.execPath,
+    ['--loader', join(process.cwd(), 'test', 'loader.mjs'), join(process.cwd(), 'mcp-server.mjs')],
+    { input: '', encoding: 'utf8', timeout: 30_000, env: { ...process.env, HOME: home, NODE_NO_WARNINGS: '1', SOGNI_GEN_MCP_FILENAME: '{nope}-{index}' } }
+  );
+  assert.equal(invalid.status, 1);
+  assert.match(invalid.stderr, /unknown placeholder \{nope\}/);
+});
+
+test('MCP results embed JPEG thumbnails of images and a poster frame for videos', async () => {
+  const { default: sharp } = await import('sharp');
+  const png = await sharp({ create: { width: 1024, height: 768, channels: 3, background: '#2266cc' } }).png().toBuffer();
+  const media = createServer((req, res) => {
+    res.writeHead(200);
+    res.end(req.url.endsWith('.mp4') ? Buffer.from('not really an mp4') : png);
+  });
+  await new Promise((resolve) => media.listen(0, '127.0.0.1', resolve));
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-mcp-thumbs-'));
+  const out = join(home, 'renders');
+  // Stands in for ffmpeg: "extracts" the poster by printing a PNG.
+  const poster = join(home, 'poster.png');
+  await sharp({ create: { width: 640, height: 360, channels: 3, background: '#000000' } }).png().toFile(poster);
+  const fakeFfmpeg = join(home, 'ffmpeg');
+  writeFileSync(fakeFfmpeg, `#!/bin/sh\nexec cat "${poster}"\n`);
+  chmodSync(fakeFfmpeg, 0o755);
+  const env = { SOGNI_GEN_MCP_OUTPUT_DIR: out, SOGNI_GEN_MCP_THUMBNAIL_SIZE: '256', FFMPEG_PATH: fakeFfmpeg };
+  const base = `http://127.0.0.1:${media.address().port}`;
+
+  try {
+    const image = await withMcpServer(async (callTool) => {
+      const result = await callTool('generate_image', { prompt: 'a blue wall', seed: 1 });
+      assert.equal(result.content[1].mimeType, 'image/jpeg');
+      const thumbnail = await sharp(Buffer.from(result.content[1].data, 'base64')).metadata();
+      assert.deepEqual([thumbnail.width, thumbnail.height], [256, 192]);
+    }, { home, env: { ...env, SOGNI_GEN_TEST_MEDIA_PATH: `${base}/result.png` } });
+    assert.equal(image.exitCode, 0, image.stderr);
+    const [saved] = readdirSync(out).filter((name) => !name.startsWith('.'));
+    const full = await sharp(join(out, saved)).metadata();
+    assert.deepEqual([full.width, full.height], [1024, 768]);
+
+    const video = await withMcpServer(async (callTool) => {
+      const result = await callTool('generate_video', { prompt: 'waves at night' });
+      assert.notEqual(result.isError, true, JSON.stringify(result));
+      assert.equal(result.content.length, 2);
+      assert.equal(result.content[1].mimeType, 'image/jpeg');
+      const frame = await sharp(Buffer.from(result.content[1].data, 'base64')).metadata();
+      assert.deepEqual([frame.width, frame.height], [256, 144]);
+    }, { home, env: { ...env, SOGNI_GEN_TEST_MEDIA_PATH: `${base}/clip.mp4` } });
+    assert.equal(video.exitCode, 0, video.stderr);
+  } finally {
+    media.close();
+  }
+});
+
+// Start `sogni-gen-mcp --http` on a free port and resolve once it is listening.
+async function startHttpMcpServer(extraEnv) {
+  const tempHome = mkdtempSync(join(tmpdir(), 'sogni-gen-mcp-http-'));
+  const statePath = join(tempHome, 'state.json');
+  const child = spawnMcpServer(['--http', '--port', '0'], tempHome, statePath, extraEnv);
+  const server = { child, home: tempHome, statePath, stderr: '' };
+  server.exited = new Promise((resolve) => child.on('close', resolve));
+  server.endpoint = await new Promise((resolve, reject) => {
+    child.stderr.on('data', (chunk) => {
+      server.stderr += chunk;
+      const match = /listening on (http:\/\/\S+)/.exec(server.stderr);
+      if (match) resolve(match[1]);
+    });
+    child.on('close', () => reject(new Error(`server exited early: ${server.stderr}`)));
+  });
+  return server;
+}
+
+async function postJsonRpc(endpoint, body, headers = {}) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body: JSON.stringify({ jsonrpc: '2.0', ...body })
+  });
+  const text = await response.text();
+  // Responses arrive as an SSE stream; the last data line is the JSON-RPC reply.
+  const data = text.split('\n').filter((line) => line.startsWith('data: ')).pop();
+  return { response, message: data ? JSON.parse(data.slice(6)) : JSON.parse(text) };
+}
+
+const MCP_INITIALIZE = {
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '0' } }
+};
+
+test('MCP server over --http requires the bearer token and shares one client across sessions', async () => {
+  const server = await startHttpMcpServer({ SOGNI_GEN_MCP_TOKEN: 's3cret' });
+  const post = (body, headers = {}) => postJsonRpc(server.endpoint, body, { Authorization: 'Bearer s3cret', ...headers });
+
+  try {
+    const denied = await post(MCP_INITIALIZE, { Authorization: 'Bearer wrong' });
+    assert.equal(denied.response.status, 401);
+    assert.equal(denied.response.headers.get('www-authenticate'), 'Bearer');
+    const noSession = await post({ id: 2, method: 'tools/list' });
+    assert.equal(noSession.response.status, 400);
+
+    const sessions = [];
+    for (const prompt of ['a red fox', 'a blue fox']) {
+      const init = await post(MCP_INITIALIZE);
+      assert.equal(init.response.status, 200);
+      assert.equal(init.message.result.serverInfo.name, 'sogni');
+      const sessionId = init.response.headers.get('mcp-session-id');
+      assert.ok(sessionId);
+      assert.ok(!sessions.includes(sessionId));
+      sessions.push(sessionId);
+      const rendered = await post(
+        { id: 3, method: 'tools/call', params: { name: 'generate_image', arguments: { prompt, seed: 1 } } },
+        { 'mcp-session-id': sessionId }
+      );
+      assert.notEqual(rendered.message.result.isError, true, JSON.stringify(rendered.message));
+    }
+  } finally {
+    server.child.kill('SIGTERM');
+  }
+  assert.equal(await server.exited, 0, server.stderr);
+  const state = JSON.parse(readFileSync(server.statePath, 'utf8'));
+  assert.equal(state.clientCount, 1);
+  assert.equal(state.emittedJobs, 2);
+});
+
+test('MCP server over --http rejects foreign origins on loopback and closes idle sessions', async () => {
+  const server = await startHttpMcpServer({ SOGNI_GEN_MCP_TOKEN: '', SOGNI_GEN_MCP_SESSION_IDLE_MINUTES: '0.005' });
+  try {
+    const rebound = await postJsonRpc(server.endpoint, MCP_INITIALIZE, { Origin: 'http://attacker.example' });
+    assert.equal(rebound.response.status, 403);
+
+    const init = await postJsonRpc(server.endpoint, MCP_INITIALIZE);
+    assert.equal(init.response.status, 200);
+    const sessionId = init.response.headers.get('mcp-session-id');
+    const listed = await postJsonRpc(server.endpoint, { id: 2, method: 'tools/list' }, { 'mcp-session-id': sessionId });
+    assert.equal(listed.response.status, 200);
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    const expired = await postJsonRpc(server.endpoint, { id: 3, method: 'tools/list' }, { 'mcp-session-id': sessionId });
+    assert.equal(expired.response.status, 404);
+  } finally {
+    server.child.kill('SIGTERM');
+  }
+  assert.equal(await server.exited, 0, server.stderr);
+});
+
+test('MCP server over --http keeps tool paths inside allowed folders and jobs inside their session', async () => {
+  const { default: sharp } = await import('sharp');
+  const extraRoot = mkdtempSync(join(tmpdir(), 'sogni-gen-mcp-root-'));
+  const media = join(extraRoot, 'media.png');
+  await sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).png().toFile(media);
+  const server = await startHttpMcpServer({
+    SOGNI_GEN_MCP_TOKEN: '',
+    SOGNI_GEN_MCP_ROOTS: extraRoot,
+    SOGNI_GEN_TEST_MEDIA_PATH: media
+  });
+  const outputDir = join(server.home, 'Downloads', 'sogni');
+  const openSession = async () => {
+    const init = await postJsonRpc(server.endpoint, MCP_INITIALIZE);
+    const sessionId = init.response.headers.get('mcp-session-id');
+    return async (name, args) => {
+      const { message } = await postJsonRpc(
+        server.endpoint,
+        { id: 2, method: 'tools/call', params: { name, arguments: args } },
+        { 'mcp-session-id': sessionId }
+      );
+      return message.result;
+    };
+  };
+
+  try {
+    const callTool = await openSession();
+    for (const output of [join(server.home, 'fox.png'), join(outputDir, '..', '..', 'fox.png')]) {
+      const outside = await callTool('generate_image', { prompt: 'a red fox', output });
+      assert.equal(outside.isError, true);
+      assert.match(outside.content[0].text, /output must be inside/);
+    }
+    const secret = join(server.home, 'secret.png');
+    writeFileSync(secret, 'not for remote clients');
+    const input = await callTool('edit_image', { prompt: 'make it night', context_images: [secret] });
+    assert.match(input.content[0].text, /context_images must be inside/);
+    for (const output of [join(outputDir, 'fox.png'), join(extraRoot, 'fox.png')]) {
+      const inside = await callTool('generate_image', { prompt: 'a red fox', output });
+      assert.notEqual(inside.isError, true, JSON.stringify(inside));
+    }
+
+    const { jobId } = JSON.parse((await callTool('start_image', { prompt: 'a red fox' })).content[0].text);
+    const otherSession = await openSession();
+    for (const tool of ['get_job_status', 'cancel_job']) {
+      const foreign = await otherSession(tool, { job_id: jobId });
+      assert.match(foreign.content[0].text, new RegExp(`Unknown job: ${jobId}`));
+    }
+    assert.notEqual((await callTool('wait_for_job', { job_id: jobId })).isError, true);
+  } finally {
+    server.child.kill('SIGTERM');
+  }
+  assert.equal(await server.exited, 0, server.stderr);
+});
+
+test('MCP server over --http refuses a network interface without a token', async () => {
+  const tempHome = mkdtempSync(join(tmpdir(), 'sogni-gen-mcp-http-'));
+  const child = spawnMcpServer(['--http', '--host', '0.0.0.0'], tempHome, join(tempHome, 'state.json'), {
+    SOGNI_GEN_MCP_TOKEN: ''
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+  const exitCode = await new Promise((resolve) => child.on('close', resolve));
+  assert.equal(exitCode, 1);
+  assert.match(stderr, /--host 0\.0\.0\.0 is reachable from the network; set SOGNI_GEN_MCP_TOKEN/);
+});